@@ -11,8 +11,12 @@
  *   --login         Open login UI or login with provided credentials
  *   --email         Email for KBBI login (requires --login)
  *   --password      Password for KBBI login (requires --login)
- *   --cookie        Specify a cookie string to use (instead of from cookie file)
- *   --cookie-manage Manage cookies (add, remove, list)
+ *   --cookie        Specify a cookie string to use (instead of KBBI_COOKIE or the cookie file)
+ *   --cookie-manage Manage cookies (add, remove, list, check)
+ *   --label         Label for a cookie added with --cookie-manage add
+ *   --prune         Remove expired cookies when running --cookie-manage check
+ *   --cookie-key-file Key file used to encrypt the saved cookies (or KBBI_COOKIE_KEY_FILE)
+ *   --cookie-strategy Cookie rotation: skip-exhausted (default), round-robin or least-used
  *   --save-cookie   Save a cookie string to cookie file for future use (deprecated)
  *   --add-cookie    Add an additional cookie for rotation (deprecated)
  *   --list-cookies  List all saved cookies (deprecated)
@@ -20,8 +24,24 @@
  *   --debug         Save debug files (HTML, screenshots)
  *   --json-debug    Show debug information as JSON in the console
  *   --json          Output results in JSON format
+ *   --format        Output format: terminal (default), plain, markdown, html or json
  *   --scrape        Scrape entry IDs and output in JSON format
+ *   --no-cache      Don't read or write the result cache
+ *   --refresh       Ignore cached results and fetch again (updates the cache)
+ *   --transport     Page transport: playwright (default) or http (falls back to the browser)
+ *   --record        Save every fetched page to a directory
+ *   --replay        Serve pages recorded with --record instead of the network
+ *   --base-url      KBBI site to use instead of KBBI_BASE_URL, the config file or the official site
  *   --help          Show this help
+ *
+ * Commands:
+ *   batch [file]    Look up every word in a file (or stdin) and write JSONL results
+ *   crawl [words]   Look up the seed words and the words their entries link to
+ *   export          Export cached results (or JSONL result files) to another format
+ *   config          Show the config file, data and cache directories
+ *   cache stats     Show result cache statistics
+ *   cache clear     Remove all cached results
+ *   cache prune     Remove expired results and enforce the cache size limit
  */
 
 const path = require('path');
@@ -29,11 +49,36 @@ const chalk = require('chalk');
 const KBBI = require('./kbbi');
 const Auth = require('./lib/auth');
 const Utils = require('./lib/utils');
+const Cache = require('./lib/cache');
+const BatchRunner = require('./lib/batch');
+const Crawler = require('./lib/crawl');
+const {
+  readResults, exportSqlite, exportJsonl, JsonlExporter, exportAnki, exportStardict, exportYomitan, exportTei
+} = require('./lib/exporters');
+const Config = require('./lib/config');
+const Endpoints = require('./lib/endpoints');
+const { SCHEMA_VERSION } = require('./lib/schema');
+const { getRenderer, TextRenderer } = require('./lib/renderers');
 const fs = require('fs');
 
 // Process command line arguments
 const args = process.argv.slice(2);
 
+// Subcommands of `kbbi cache`
+const CACHE_ACTIONS = ['stats', 'clear', 'prune'];
+
+// Flags followed by a value, for commands taking a list of words or files
+const VALUE_FLAGS = ['--output', '--failures', '--checkpoint', '--concurrency', '--rate', '--depth', '--limit',
+  '--relations', '--transport', '--record', '--replay', '--base-url', '--cookie', '--cookie-strategy',
+  '--cookie-key-file', '--format', '--sqlite', '--jsonl', '--anki', '--anki-template', '--stardict', '--yomitan',
+  '--tei'];
+
+// Process exit codes
+const EXIT_CODES = {
+  ERROR: 1,
+  RATE_LIMIT: 75 // EX_TEMPFAIL: try again after the limit resets
+};
+
 // Handle help request
 if (args.includes('--help') || args.includes('-h')) {
   showHelp();
@@ -42,8 +87,6 @@ if (args.includes('--help') || args.includes('-h')) {
 
 // Main function
 async function main() {
-  const auth = new Auth();
-  
   // Extract arguments and flags
   const flags = {
     login: args.includes('--login'),
@@ -58,10 +101,96 @@ async function main() {
     debug: args.includes('--debug'),
     jsonDebug: args.includes('--json-debug'),
     json: args.includes('--json'),
+    format: args.includes('--format') ? args[args.indexOf('--format') + 1] : null,
     scrape: args.includes('--scrape'),
+    noCache: args.includes('--no-cache'),
+    refresh: args.includes('--refresh'),
+    transport: args.includes('--transport') ? args[args.indexOf('--transport') + 1] : null,
+    record: args.includes('--record') ? args[args.indexOf('--record') + 1] : null,
+    replay: args.includes('--replay') ? args[args.indexOf('--replay') + 1] : null,
+    baseUrl: args.includes('--base-url') ? args[args.indexOf('--base-url') + 1] : null,
+    output: args.includes('--output') ? args[args.indexOf('--output') + 1] : null,
+    failures: args.includes('--failures') ? args[args.indexOf('--failures') + 1] : null,
+    checkpoint: args.includes('--checkpoint') ? args[args.indexOf('--checkpoint') + 1] : null,
+    concurrency: args.includes('--concurrency') ? parseInt(args[args.indexOf('--concurrency') + 1], 10) || 1 : 1,
+    rate: args.includes('--rate') ? parseFloat(args[args.indexOf('--rate') + 1]) || null : null,
+    depth: args.includes('--depth') ? parseInt(args[args.indexOf('--depth') + 1], 10) : null,
+    limit: args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1], 10) || null : null,
+    relations: args.includes('--relations') ? args[args.indexOf('--relations') + 1] : null,
+    sqlite: args.includes('--sqlite') ? args[args.indexOf('--sqlite') + 1] : null,
+    jsonl: args.includes('--jsonl') ? args[args.indexOf('--jsonl') + 1] : null,
+    anki: args.includes('--anki') ? args[args.indexOf('--anki') + 1] : null,
+    ankiTemplate: args.includes('--anki-template') ? args[args.indexOf('--anki-template') + 1] : null,
+    stardict: args.includes('--stardict') ? args[args.indexOf('--stardict') + 1] : null,
+    yomitan: args.includes('--yomitan') ? args[args.indexOf('--yomitan') + 1] : null,
+    tei: args.includes('--tei') ? args[args.indexOf('--tei') + 1] : null,
+    label: args.includes('--label') ? args[args.indexOf('--label') + 1] : null,
+    prune: args.includes('--prune'),
+    cookieKeyFile: args.includes('--cookie-key-file') ? args[args.indexOf('--cookie-key-file') + 1] : null,
+    cookieStrategy: args.includes('--cookie-strategy') ? args[args.indexOf('--cookie-strategy') + 1] : null,
     help: args.includes('--help')
   };
   
+  // Defaults from config.json / .kbbirc
+  try {
+    flags.config = Config.load();
+    flags.endpoints = Endpoints.from(flags.baseUrl, { config: flags.config.endpoints });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  flags.outputFormat = flags.format || (flags.json ? 'json' : flags.config.format);
+  flags.json = flags.json || flags.outputFormat === 'json';
+  if (!flags.json) {
+    try {
+      getRenderer(flags.outputFormat);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = EXIT_CODES.ERROR;
+      return;
+    }
+  }
+  flags.headless = flags.visible ? false : flags.config.headless;
+  
+  const auth = new Auth({
+    endpoints: flags.endpoints,
+    ...(flags.cookieKeyFile ? { keyFile: flags.cookieKeyFile } : {})
+  });
+  
+  // Show directories and the effective config (kbbi config)
+  const configArgs = ['config', '--json', '--base-url', flags.baseUrl];
+  if (args.includes('config') && args.every(arg => configArgs.includes(arg))) {
+    handleConfigCommand(flags);
+    return;
+  }
+  
+  // Cache management command (kbbi cache stats|clear|prune)
+  if (args[0] === 'cache' && CACHE_ACTIONS.includes(args[1])) {
+    // The cache of the site --base-url or KBBI_BASE_URL points at
+    const cache = new Cache({ ttl: flags.config.cacheTtl, cacheDir: Cache.dirFor(flags.endpoints.baseUrl) });
+    handleCacheCommand(cache, args[1], flags);
+    return;
+  }
+  
+  // Batch lookups (kbbi batch words.txt, or words piped on stdin)
+  if (args[0] === 'batch') {
+    await handleBatch(flags, args);
+    return;
+  }
+
+  // Crawl through related words (kbbi crawl cinta rumah --depth 2)
+  if (args[0] === 'crawl') {
+    await handleCrawl(flags, args);
+    return;
+  }
+
+  // Export results (kbbi export --sqlite kbbi.db [results.jsonl...], or another format)
+  if (args[0] === 'export') {
+    await handleExport(flags, args);
+    return;
+  }
+  
   // Get the word to lookup (first non-flag argument)
   let word = null;
   for (const arg of args) {
@@ -71,7 +200,15 @@ async function main() {
         arg !== flags.cookie &&
         arg !== flags.cookieManage &&
         arg !== flags.saveCookie &&
-        arg !== flags.addCookie) {
+        arg !== flags.addCookie &&
+        arg !== flags.transport &&
+        arg !== flags.record &&
+        arg !== flags.replay &&
+        arg !== flags.baseUrl &&
+        arg !== flags.format &&
+        arg !== flags.label &&
+        arg !== flags.cookieStrategy &&
+        arg !== flags.cookieKeyFile) {
       word = arg;
       break;
     }
@@ -98,7 +235,7 @@ async function main() {
     
     // Cookie management operations
     if (flags.cookieManage) {
-      await handleCookieManagement(auth, flags.cookieManage, args);
+      await handleCookieManagement(auth, flags.cookieManage, args, flags);
       return;
     }
     
@@ -142,10 +279,34 @@ async function main() {
   
     // Create options object for KBBI class
     const options = {
-      headless: !flags.visible,
-      debug: flags.debug || flags.jsonDebug
+      config: flags.config,
+      endpoints: flags.endpoints,
+      headless: flags.headless,
+      debug: flags.debug || flags.jsonDebug,
+      cache: !flags.noCache,
+      refresh: flags.refresh
     };
     
+    if (flags.transport) {
+      options.transport = flags.transport;
+    }
+    
+    if (flags.record) {
+      options.record = flags.record;
+    }
+    
+    if (flags.replay) {
+      options.replay = flags.replay;
+    }
+    
+    if (flags.cookieStrategy) {
+      options.cookieStrategy = flags.cookieStrategy;
+    }
+    
+    if (flags.cookieKeyFile) {
+      options.cookieKeyFile = flags.cookieKeyFile;
+    }
+    
     // Add cookie if provided
     if (flags.cookie) {
       options.cookie = flags.cookie;
@@ -166,149 +327,40 @@ async function main() {
         // Restore console.log for our output
         console.log = originalLog;
         
-        if (!result || !result.entries || result.entries.length === 0) {
-          if (flags.json) {
-            console.log(JSON.stringify({
-              kata: word,
-              entri: [],
-              error: "No entries found",
-              mirip: result?.mirip || []
-            }, null, 2));
-          } else {
-            console.log(chalk.red('No entries found'));
-            
-            if (result?.mirip && result.mirip.length > 0) {
-              console.log(chalk.yellow('\nMirip:'));
-              result.mirip.forEach(suggestion => {
-                console.log(chalk.cyan(`  • ${suggestion}`));
-              });
-            }
-          }
-          return;
-        }
-        
-        // Handle JSON output format if requested
         if (flags.json) {
-          // Transform keys for JSON output
-          const transformedResult = {
-            kata: result.word,
-            entri: result.entries.map(entry => ({
-              nama: entry.nama,
-              nomor: entry.nomor || "",
-              id: entry.id,
-              akarkata: entry.rootWord || "",
-              jenis: entry.jenis || "",
-              makna: entry.makna?.map(meaning => ({
-                definisi: meaning.definisi || "",
-                kelaskata: meaning.kelasKata || [],
-                contoh: meaning.contoh || []
-              })) || [],
-              turunan: entry.turunan || [],
-              gabungan: entry.gabungan || [],
-              peribahasa: entry.peribahasa || [],
-              idiom: entry.idiom || []
-            })),
-            mirip: result.mirip || []
-          };
-          
-          console.log(JSON.stringify(transformedResult, null, 2));
+          const empty = !result || !result.entries || result.entries.length === 0;
+          console.log(JSON.stringify(empty ? { ...result, error: 'No entries found' } : result, null, 2));
           return;
         }
-        
-        // Format and display each entry with full details
-        result.entries.forEach(entry => {
-          console.log(chalk.bold(`${entry.nama}${entry.nomor ? entry.nomor : ''}`));
-          
-          // Show entry type if available
-          if (entry.jenis) {
-            console.log(chalk.hex('#8B4513')(` ⟨${entry.jenis}⟩`));
-          }
-          
-          // Show root word if available
-          if (entry.rootWord) {
-            console.log(chalk.gray(`   Kata Dasar: `) + chalk.white(entry.rootWord));
-          }
-          
-          // Show etymology if available
-          if (entry.etimologi && entry.etimologi.text) {
-            console.log(chalk.gray(`   Etimologi: `) + chalk.yellow(entry.etimologi.text));
-          }
-          
-          if (entry.makna && entry.makna.length > 0) {
-            console.log(''); // Add empty line before meanings
-            
-            entry.makna.forEach((meaning, i) => {
-              const meaningNumber = meaning.nomor || (i + 1);
-              console.log(chalk.bold(`Makna #${meaningNumber}`));
-              
-              // Show word classes if available
-              if (meaning.kelasKata && meaning.kelasKata.length > 0) {
-                const classes = meaning.kelasKata.map(wc => 
-                  `${wc.kode}${wc.nama ? ` (${wc.nama})` : ''}`).join(', ');
-                console.log(chalk.gray(`   Kelas Kata: `) + chalk.white(classes));
-              }
-              
-              // Show definition
-              if (meaning.definisi) {
-                console.log(chalk.gray(`   Definisi: `) + chalk.white(meaning.definisi));
-              }
-              
-              // Show examples if available
-              if (meaning.contoh && meaning.contoh.length > 0) {
-                console.log('');
-                meaning.contoh.forEach((example, j) => {
-                  const exampleNumber = example.nomor || (j + 1);
-                  console.log(chalk.bold.italic(`   Contoh #${meaningNumber}-${exampleNumber}`));
-                  console.log(chalk.gray('      ') + chalk.italic.cyan(example.teks));
-                  console.log('');
-                });
-              } else {
-                console.log('');
-              }
-            });
-          }
-          
-          // Show related words if available
-          if (entry.turunan && entry.turunan.length > 0) {
-            console.log(chalk.bold('Kata Turunan:'));
-            console.log(chalk.cyan(entry.turunan.join('; ')));
-            console.log('');
-          }
-          
-          if (entry.gabungan && entry.gabungan.length > 0) {
-            console.log(chalk.bold('Gabungan Kata:'));
-            console.log(chalk.cyan(entry.gabungan.join('; ')));
-            console.log('');
-          }
-          
-          if (entry.peribahasa && entry.peribahasa.length > 0) {
-            console.log(chalk.bold(`Peribahasa (mengandung [${entry.nama}]):`));
-            console.log(chalk.cyan(entry.peribahasa.join('; ')));
-            console.log('');
-          }
-          
-          if (entry.idiom && entry.idiom.length > 0) {
-            console.log(chalk.bold(`Idiom (mengandung [${entry.nama}]):`));
-            console.log(chalk.cyan(entry.idiom.join('; ')));
-            console.log('');
-          }
-          
-          // Add a blank line between entries if there are multiple
-          if (result.entries.length > 1) {
-            console.log('');
-          }
-        });
+
+        // Same renderers as a normal lookup
+        printResult(result, flags);
       } catch (error) {
         // Restore console.log in case of error
         console.log = originalLog;
         
-        if (error.message && (error.message.includes('not found') || error.message.includes('No entries'))) {
+        if (error.name === 'RateLimitError') {
+          if (flags.json) {
+            console.log(JSON.stringify({
+              schemaVersion: SCHEMA_VERSION,
+              word,
+              entries: [],
+              error: error.message,
+              cookie: error.cookie,
+              resetAt: error.resetAt
+            }, null, 2));
+            process.exitCode = EXIT_CODES.RATE_LIMIT;
+          } else {
+            handleError(error);
+          }
+        } else if (error.message && (error.message.includes('not found') || error.message.includes('No entries'))) {
           if (flags.json) {
             console.log(JSON.stringify({
-              kata: word,
-              entri: [],
-              error: "No entries found",
-              mirip: []
+              schemaVersion: SCHEMA_VERSION,
+              word,
+              entries: [],
+              mirip: [],
+              error: 'No entries found'
             }, null, 2));
           } else {
             console.log(chalk.red('No entries found'));
@@ -316,9 +368,10 @@ async function main() {
         } else {
           if (flags.json) {
             console.log(JSON.stringify({
-              kata: word,
-              error: error.message,
-              entri: []
+              schemaVersion: SCHEMA_VERSION,
+              word,
+              entries: [],
+              error: error.message
             }, null, 2));
           } else {
             console.error(chalk.red(`Error: ${error.message}`));
@@ -332,7 +385,7 @@ async function main() {
       if (flags.json || flags.jsonDebug) {
         console.log(JSON.stringify(result, null, 2));
       } else {
-        printResult(result);
+        printResult(result, flags);
       }
     }
   } catch (error) {
@@ -367,7 +420,7 @@ async function handleBrowserLogin(auth) {
 /**
  * Unified cookie management function
  */
-async function handleCookieManagement(auth, command, args) {
+async function handleCookieManagement(auth, command, args, flags = {}) {
   const parts = command.split(':');
   const action = parts[0].toLowerCase();
   let value = parts.length > 1 ? parts[1] : null;
@@ -387,7 +440,7 @@ async function handleCookieManagement(auth, command, args) {
           console.error(chalk.red('Error: Cookie value is required for add action'));
           return;
         }
-        await auth.addCookie(value);
+        await auth.addCookie(value, flags.label);
         const cookies = await auth.loadCookies();
         console.log(chalk.green(`Cookie added successfully.`));
         console.log(`You now have ${cookies.length} ${cookies.length === 1 ? 'cookie' : 'cookies'} configured for rotation.`);
@@ -407,51 +460,29 @@ async function handleCookieManagement(auth, command, args) {
         }
         break;
         
-      case 'list':
+      case 'list': {
         console.log(chalk.bold('===== KBBI Saved Cookies ====='));
-        
-        // Simple, direct cookie listing using raw code for reliable output
-        const cookiesPath = auth.options.cookiesPath;
-        let cookieCount = 0;
-        let cookiesArray = [];
-        
-        try {
-          if (fs.existsSync(cookiesPath)) {
-            const data = fs.readFileSync(cookiesPath, 'utf8');
-            cookiesArray = JSON.parse(data);
-            
-            if (Array.isArray(cookiesArray)) {
-              cookieCount = cookiesArray.length;
-          } else {
-              cookieCount = 0;
-              cookiesArray = [];
-            }
-          }
-        } catch (err) {
-          cookieCount = 0;
-          cookiesArray = [];
-        }
-        
-        if (cookieCount === 0) {
+
+        const { details } = await auth.listCookies();
+
+        if (details.length === 0) {
           console.log('No cookies found.');
-    } else {
-          console.log(`Found ${cookieCount} saved ${cookieCount === 1 ? 'cookie' : 'cookies'}:`);
-          
+        } else {
+          console.log(`Found ${details.length} saved ${details.length === 1 ? 'cookie' : 'cookies'}:`);
+
           // Use simple loop to avoid issues with PowerShell output
-          for (let i = 0; i < cookieCount; i++) {
-            let displayValue = cookiesArray[i] || '';
-            
-            // Basic masking for long cookies
-            if (displayValue.length > 10) {
-              displayValue = displayValue.substring(0, 5) + '...' + 
-                             displayValue.substring(displayValue.length - 5);
-            }
-            
-            console.log(`${i + 1}. ${displayValue}`);
+          for (let i = 0; i < details.length; i++) {
+            console.log(formatCookieDetails(details[i], i + 1));
           }
-          
+
           console.log('Note: Cookies are masked for security. Use --cookie-manage add to add more cookies.');
         }
+        console.log(chalk.gray(`Cookie store: ${auth.isEncrypted() ? 'encrypted' : 'plaintext'} (${auth.options.cookiesPath})`));
+        break;
+      }
+        
+      case 'check':
+        await handleCookieCheck(auth, flags);
         break;
         
       default:
@@ -460,6 +491,7 @@ async function handleCookieManagement(auth, command, args) {
         console.log('  --cookie-manage add:VALUE     Add a new cookie');
         console.log('  --cookie-manage delete:VALUE  Delete a cookie');
         console.log('  --cookie-manage list          List all cookies');
+        console.log('  --cookie-manage check         Check which cookies are still logged in (--prune removes expired ones)');
     }
   } catch (error) {
     console.error(chalk.red(`Cookie management error: ${error.message}`));
@@ -469,6 +501,466 @@ async function handleCookieManagement(auth, command, args) {
   }
 }
 
+/**
+ * Show the config, data and cache directories and the effective config
+ */
+function handleConfigCommand(flags) {
+  const paths = Config.getPaths();
+  const { file, ...values } = flags.config;
+
+  if (flags.json) {
+    console.log(Utils.formatJson({ paths, file, config: values, endpoints: flags.endpoints }));
+    return;
+  }
+
+  console.log(chalk.bold('===== KBBI Configuration ====='));
+  console.log(`Config file:     ${file || chalk.gray(`none (create ${path.join(paths.config, 'config.json')} or .kbbirc)`)}`);
+  console.log(`Data:            ${paths.data}`);
+  console.log(`Cache:           ${paths.cache}`);
+  console.log('');
+  for (const [key, value] of Object.entries(values)) {
+    if (key === 'endpoints') continue;
+    console.log(`${(key + ':').padEnd(16)} ${value === null ? chalk.gray('default') : value}`);
+  }
+  console.log('');
+  for (const [key, value] of Object.entries(flags.endpoints.toJSON())) {
+    console.log(`${(key + ':').padEnd(16)} ${value}`);
+  }
+}
+
+/**
+ * Handle cache management commands (stats, clear, prune)
+ */
+function handleCacheCommand(cache, action, flags) {
+  try {
+    switch (action) {
+      case 'stats': {
+        const stats = cache.stats();
+        if (flags.json) {
+          console.log(JSON.stringify(stats, null, 2));
+          break;
+        }
+        console.log(chalk.bold('===== KBBI Result Cache ====='));
+        console.log(`Location:      ${stats.cacheDir}`);
+        console.log(`Entries:       ${stats.entries} / ${stats.maxEntries} (${stats.words} words, ${stats.eids} entry details)`);
+        console.log(`Size:          ${formatBytes(stats.size)} / ${formatBytes(stats.maxSize)}`);
+        console.log(`Expired:       ${stats.expired}`);
+        console.log(`Authenticated: ${stats.authenticated}`);
+        if (stats.oldest) {
+          console.log(`Oldest:        ${stats.oldest}`);
+          console.log(`Newest:        ${stats.newest}`);
+        }
+        break;
+      }
+
+      case 'clear': {
+        const removed = cache.clear();
+        console.log(chalk.green(`Removed ${removed} cached ${removed === 1 ? 'result' : 'results'}.`));
+        break;
+      }
+
+      case 'prune': {
+        const { expired, evicted } = cache.prune();
+        console.log(chalk.green(`Removed ${expired} expired and ${evicted} evicted ${expired + evicted === 1 ? 'result' : 'results'}.`));
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red(`Cache error: ${error.message}`));
+  }
+}
+
+/**
+ * Create the KBBI instance for batch and crawl runs
+ * Browsers are pooled and requests paced for --concurrency and --rate.
+ */
+function createRunnerKBBI(flags) {
+  return new KBBI({
+    config: flags.config,
+    endpoints: flags.endpoints,
+    headless: flags.headless,
+    debug: flags.debug,
+    cache: !flags.noCache,
+    refresh: flags.refresh,
+    transport: flags.transport || 'playwright',
+    ...(flags.record ? { record: flags.record } : {}),
+    ...(flags.replay ? { replay: flags.replay } : {}),
+    ...(flags.cookieStrategy ? { cookieStrategy: flags.cookieStrategy } : {}),
+    ...(flags.cookie ? { cookie: flags.cookie } : {}),
+    ...(flags.cookieKeyFile ? { cookieKeyFile: flags.cookieKeyFile } : {}),
+    pool: { size: flags.concurrency },
+    scheduler: {
+      concurrency: flags.concurrency,
+      ...(flags.rate ? { hostRate: flags.rate } : {}),
+      onPause: (ms, reason) => {
+        process.stderr.write(chalk.yellow(`\n${reason}: pausing all requests for ${Math.round(ms / 1000)}s\n`));
+      }
+    }
+  });
+}
+
+/**
+ * Handle batch lookups from a word list file or stdin
+ */
+async function handleBatch(flags, args) {
+  const input = args[1] && !args[1].startsWith('--') ? args[1] : null;
+  let text = null;
+
+  if (input && input !== '-') {
+    if (!fs.existsSync(input)) {
+      console.error(chalk.red(`Error: Word list not found: ${input}`));
+      process.exitCode = 1;
+      return;
+    }
+    text = fs.readFileSync(input, 'utf8');
+  } else if (!process.stdin.isTTY) {
+    text = await BatchRunner.readStream(process.stdin);
+  } else {
+    console.error(chalk.red('Error: No word list provided. Use "kbbi batch words.txt" or pipe words on stdin.'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const words = BatchRunner.parseWords(text);
+  if (words.length === 0) {
+    console.error(chalk.yellow('No words to look up.'));
+    return;
+  }
+
+  const kbbi = createRunnerKBBI(flags);
+
+  const interactive = process.stderr.isTTY;
+  const runner = new BatchRunner(kbbi, {
+    output: flags.output || BatchRunner.defaultOutput(input),
+    failures: flags.failures,
+    checkpoint: flags.checkpoint,
+    mode: flags.scrape ? 'scrape' : 'lookup',
+    concurrency: flags.concurrency,
+    onProgress: ({ word, failure, completed, total }) => {
+      if (interactive) {
+        const status = failure ? chalk.red(`✗ ${word}`) : chalk.green(`✓ ${word}`);
+        process.stderr.write(`\r\x1b[K${Utils.progressBar(completed, total)} ${status}`);
+      } else if (failure) {
+        process.stderr.write(`${completed}/${total} ✗ ${word}: ${failure.error}\n`);
+      } else if (completed % 100 === 0 || completed === total) {
+        process.stderr.write(`${completed}/${total}\n`);
+      }
+    }
+  });
+
+  const onInterrupt = () => {
+    process.stderr.write(chalk.yellow('\nStopping after the current lookups, progress is saved...\n'));
+    runner.stop();
+  };
+  process.once('SIGINT', onInterrupt);
+
+  // Scrape mode logs every phase, keep the terminal for the progress bar
+  const originalLog = console.log;
+  if (flags.scrape) {
+    console.log = function() {};
+  }
+
+  let summary;
+  try {
+    if (fs.existsSync(runner.options.checkpoint)) {
+      process.stderr.write(chalk.gray(`Resuming from ${runner.options.checkpoint}\n`));
+    }
+    summary = await runner.run(words);
+  } finally {
+    console.log = originalLog;
+    process.removeListener('SIGINT', onInterrupt);
+    await kbbi.close();
+  }
+
+  if (interactive) {
+    process.stderr.write('\n');
+  }
+
+  console.log(chalk.bold('===== Batch Summary ====='));
+  console.log(`Words:     ${summary.total}${summary.skipped ? ` (${summary.skipped} already done)` : ''}`);
+  console.log(`Succeeded: ${chalk.green(summary.succeeded)} -> ${summary.output}`);
+  console.log(`Failed:    ${summary.failed ? chalk.red(summary.failed) : 0} -> ${summary.failures}`);
+  if (summary.rateLimitError) {
+    printRateLimit(summary.rateLimitError);
+    console.log(chalk.yellow(`Progress is saved. Run the same command again after the reset to resume (${summary.checkpoint}).`));
+    process.exitCode = EXIT_CODES.RATE_LIMIT;
+  } else if (summary.stopped) {
+    console.log(chalk.yellow(`Interrupted. Run the same command again to resume (${summary.checkpoint}).`));
+  }
+}
+
+/**
+ * Get the arguments of a command (kbbi crawl, kbbi export) that aren't flags or flag values
+ */
+function commandOperands(args) {
+  return args.slice(1).filter((arg, i, rest) => !arg.startsWith('--') && !(i > 0 && VALUE_FLAGS.includes(rest[i - 1])));
+}
+
+/**
+ * Handle a crawl from seed words through related-word links
+ */
+async function handleCrawl(flags, args) {
+  const seeds = commandOperands(args);
+
+  let runner;
+  const kbbi = createRunnerKBBI(flags);
+  const interactive = process.stderr.isTTY;
+
+  try {
+    runner = new Crawler(kbbi, {
+      ...(flags.output ? { output: flags.output } : {}),
+      failures: flags.failures,
+      checkpoint: flags.checkpoint,
+      mode: flags.scrape ? 'scrape' : 'lookup',
+      ...(Number.isInteger(flags.depth) && flags.depth >= 0 ? { depth: flags.depth } : {}),
+      ...(flags.limit ? { limit: flags.limit } : {}),
+      ...(flags.relations ? { relations: flags.relations.split(',').map(relation => relation.trim()) } : {}),
+      concurrency: flags.concurrency,
+      onProgress: ({ word, depth, failure, fetched, limit, remaining }) => {
+        const status = failure ? chalk.red(`✗ ${word}`) : chalk.green(`✓ ${word}`);
+        if (interactive) {
+          process.stderr.write(`\r\x1b[K${Utils.progressBar(fetched, limit)} ${status} ${chalk.gray(`(depth ${depth}, ${remaining} queued)`)}`);
+        } else if (failure) {
+          process.stderr.write(`${fetched}/${limit} ✗ ${word}: ${failure.error}\n`);
+        } else if (fetched % 100 === 0) {
+          process.stderr.write(`${fetched}/${limit} (${remaining} queued)\n`);
+        }
+      }
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    await kbbi.close();
+    return;
+  }
+
+  const resuming = fs.existsSync(runner.options.checkpoint);
+  if (seeds.length === 0 && !resuming) {
+    console.error(chalk.red('Error: No seed words provided. Use "kbbi crawl cinta rumah".'));
+    process.exitCode = EXIT_CODES.ERROR;
+    await kbbi.close();
+    return;
+  }
+
+  const onInterrupt = () => {
+    process.stderr.write(chalk.yellow('\nStopping after the current lookups, the frontier is saved...\n'));
+    runner.stop();
+  };
+  process.once('SIGINT', onInterrupt);
+
+  // Scrape mode logs every phase, keep the terminal for the progress bar
+  const originalLog = console.log;
+  if (flags.scrape) {
+    console.log = function() {};
+  }
+
+  let summary;
+  try {
+    if (resuming) {
+      process.stderr.write(chalk.gray(`Resuming from ${runner.options.checkpoint}\n`));
+    }
+    summary = await runner.run(seeds);
+  } finally {
+    console.log = originalLog;
+    process.removeListener('SIGINT', onInterrupt);
+    await kbbi.close();
+  }
+
+  if (interactive) {
+    process.stderr.write('\n');
+  }
+
+  console.log(chalk.bold('===== Crawl Summary ====='));
+  console.log(`Words:      ${summary.fetched} looked up, ${summary.remaining} still queued`);
+  console.log(`Entries:    ${summary.entries} unique`);
+  console.log(`Succeeded:  ${chalk.green(summary.succeeded)} -> ${summary.output}`);
+  console.log(`Duplicates: ${summary.duplicates}`);
+  console.log(`Failed:     ${summary.failed ? chalk.red(summary.failed) : 0} -> ${summary.failures}`);
+  if (summary.rateLimitError) {
+    printRateLimit(summary.rateLimitError);
+    console.log(chalk.yellow(`The frontier is saved. Run the same command again after the reset to resume (${summary.checkpoint}).`));
+    process.exitCode = EXIT_CODES.RATE_LIMIT;
+  } else if (summary.stopped) {
+    console.log(chalk.yellow(`Interrupted. Run the same command again to resume (${summary.checkpoint}).`));
+  } else if (summary.limitReached) {
+    console.log(chalk.yellow(`Stopped at --limit ${runner.options.limit}. Run again with a higher --limit to continue (${summary.checkpoint}).`));
+  }
+}
+
+/**
+ * Handle exports of cached results or JSONL result files
+ */
+async function handleExport(flags, args) {
+  const files = commandOperands(args);
+
+  if (!flags.sqlite && !flags.jsonl && !flags.anki && !flags.stardict && !flags.yomitan && !flags.tei) {
+    console.error(chalk.red('Error: No export format given. Use "kbbi export --sqlite kbbi.db [results.jsonl...]" ' +
+      '(or --jsonl, --anki, --stardict, --yomitan, --tei).'));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  // Without result files, export what the cache holds for the configured site
+  const cache = files.length === 0
+    ? new Cache({ cacheDir: Cache.dirFor(flags.endpoints.baseUrl) })
+    : null;
+  const source = files.length > 0 ? files.join(', ') : `the cache (${cache.options.cacheDir})`;
+
+  try {
+    // Each format reads the results again, so they are never all in memory
+    if (flags.sqlite) {
+      const counts = await exportSqlite(readResults({ files, cache }), flags.sqlite);
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.sqlite}`);
+      console.log(`Entries: ${chalk.green(counts.entries)} written, ${counts.unchanged} unchanged (newer copy in the database)`);
+    }
+
+    if (flags.jsonl) {
+      const { counts } = await exportJsonl(readResults({ files, cache }), flags.jsonl);
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.jsonl}`);
+      console.log(`Entries: ${chalk.green(counts.entries)} written, ${counts.duplicates} duplicates skipped, ` +
+        `${counts.withoutHash} without a source page hash`);
+      console.log(`Manifest: ${JsonlExporter.manifestPath(flags.jsonl)}`);
+    }
+
+    if (flags.anki) {
+      // A template name, or a JSON file with { front, back }
+      const options = {};
+      if (flags.ankiTemplate) {
+        options.template = flags.ankiTemplate.endsWith('.json')
+          ? JSON.parse(fs.readFileSync(flags.ankiTemplate, 'utf8'))
+          : flags.ankiTemplate;
+      }
+      const counts = await exportAnki(readResults({ files, cache }), flags.anki, options);
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.anki}`);
+      console.log(`Notes: ${chalk.green(counts.notes)} from ${counts.entries} entries, ${counts.duplicates} duplicates skipped`);
+    }
+
+    if (flags.stardict) {
+      const counts = await exportStardict(readResults({ files, cache }), flags.stardict);
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.stardict.replace(/\.ifo$/, '')}.ifo`);
+      console.log(`Articles: ${chalk.green(counts.articles)} from ${counts.entries} entries, ${counts.synonyms} derived forms`);
+    }
+
+    if (flags.yomitan) {
+      const counts = await exportYomitan(readResults({ files, cache }), flags.yomitan, { url: flags.endpoints.baseUrl });
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.yomitan}`);
+      console.log(`Terms: ${chalk.green(counts.terms)} from ${counts.entries} entries, ${counts.derived} derived forms`);
+    }
+
+    if (flags.tei) {
+      const counts = await exportTei(readResults({ files, cache }), flags.tei, { url: flags.endpoints.baseUrl });
+      console.log(`Exported ${counts.results} results from ${source} to ${flags.tei}`);
+      console.log(`Entries: ${chalk.green(counts.entries)} with ${counts.senses} senses, ${counts.duplicates} duplicates skipped`);
+    }
+  } catch (error) {
+    console.error(chalk.red(`Export error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Check every saved cookie against KBBI and print the results as a table or JSON
+ */
+async function handleCookieCheck(auth, flags) {
+  const count = (await auth.listCookies()).count;
+  if (count === 0) {
+    if (flags.json) {
+      console.log(Utils.formatJson([]));
+    } else {
+      console.log('No cookies found.');
+    }
+    return;
+  }
+
+  if (!flags.json) {
+    console.log(chalk.bold('===== KBBI Cookie Check ====='));
+    console.log(`Checking ${count} saved ${count === 1 ? 'cookie' : 'cookies'}...`);
+  }
+
+  const results = await auth.validateCookies({
+    prune: flags.prune,
+    headless: flags.headless,
+    transport: flags.transport || 'playwright',
+    onResult: flags.json ? null : result => {
+      process.stderr.write(chalk.gray(`  ${result.cookie}: ${result.result}\n`));
+    }
+  });
+
+  if (flags.json) {
+    console.log(Utils.formatJson(results));
+    return;
+  }
+
+  const resultColors = { valid: chalk.green, expired: chalk.red, blocked: chalk.yellow, error: chalk.yellow };
+  const rows = results.map((result, index) => [
+    String(index + 1),
+    result.cookie,
+    result.label || '',
+    result.result,
+    [result.reason, result.pruned ? 'pruned' : null].filter(Boolean).join(', ')
+  ]);
+  const header = ['#', 'Cookie', 'Label', 'Result', 'Details'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log('');
+  console.log(chalk.bold(formatRow(header)));
+  rows.forEach((row, index) => {
+    const line = formatRow(row);
+    // Color only the result column, after padding so the columns stay aligned
+    const color = resultColors[results[index].result] || chalk.white;
+    const start = widths.slice(0, 3).reduce((sum, width) => sum + width + 2, 0);
+    console.log(line.slice(0, start) + color(line.slice(start, start + widths[3])) + line.slice(start + widths[3]));
+  });
+
+  const valid = results.filter(r => r.result === 'valid').length;
+  const expired = results.filter(r => r.result === 'expired').length;
+  console.log('');
+  console.log(`${valid} valid, ${expired} expired, ${results.length - valid - expired} could not be checked.`);
+  if (expired > 0 && !flags.prune) {
+    console.log(chalk.gray('Run with --prune to remove expired cookies.'));
+  }
+}
+
+/**
+ * Format one saved cookie with its usage for --cookie-manage list
+ * @param {Object} cookie - Cookie details from Auth.listCookies() (masked value)
+ * @param {number} index - Position in the list, starting at 1
+ * @returns {string} - Cookie line and usage line
+ */
+function formatCookieDetails(cookie, index) {
+  const statusColors = { active: chalk.green, exhausted: chalk.yellow, expired: chalk.red };
+  const colorStatus = statusColors[cookie.status] || chalk.white;
+  const formatDate = date => (date ? new Date(date).toLocaleString() : 'never');
+
+  const label = cookie.label ? ` (${cookie.label})` : '';
+  const lines = [`${index}. ${cookie.value}${label} ${colorStatus(`[${cookie.status}]`)}`];
+
+  let usage = `   Requests today: ${cookie.requestsToday}, total: ${cookie.totalRequests}, last used: ${formatDate(cookie.lastUsedAt)}`;
+  if (cookie.status === 'exhausted' && cookie.resetAt) {
+    usage += `, resets: ${formatDate(cookie.resetAt)}`;
+  }
+  lines.push(chalk.gray(usage));
+
+  if (cookie.addedAt) {
+    lines.push(chalk.gray(`   Added: ${formatDate(cookie.addedAt)}`));
+  }
+  if (cookie.lastFailure) {
+    lines.push(chalk.gray(`   Last failure: ${cookie.lastFailure.error} at ${formatDate(cookie.lastFailure.at)} (${cookie.lastFailure.message})`));
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Handle save cookie (legacy)
  */
@@ -517,35 +1009,21 @@ async function handleListCookies(auth) {
 }
 
 /**
- * Print the result to the console
+ * Print the result to the console in the chosen format (--format)
  */
-function printResult(result) {
+function printResult(result, flags) {
   if (!result) {
     console.error(chalk.red('No result returned'));
     return;
   }
-  
-  if (!result.entries || result.entries.length === 0) {
-    console.log(chalk.red('No entries found'));
-    
-    if (result.mirip && result.mirip.length > 0) {
-      console.log(chalk.yellow('\nMirip:'));
-      result.mirip.forEach(suggestion => {
-        console.log(chalk.cyan(`  • ${suggestion}`));
-      });
-    }
-    return;
+
+  const renderer = getRenderer(flags.outputFormat);
+  console.log(renderer.result(result, { endpoints: flags.endpoints }));
+
+  // Only text output has room for the note
+  if (result.cached && renderer instanceof TextRenderer) {
+    console.log(chalk.gray(`(cached result from ${result.fetchedAt}, use --refresh to fetch again)`));
   }
-  
-  // Direct output of entries without headers or separators
-  result.entries.forEach(entry => {
-    console.log(Utils.formatOutput(entry));
-    
-    // Add a single blank line between entries if there are multiple
-    if (result.entries.length > 1) {
-      console.log('');
-    }
-  });
 }
 
 /**
@@ -561,12 +1039,32 @@ function handleError(error) {
     console.error(chalk.yellow('Try logging in again with --login'));
   } else if (error.name === 'NotFoundError') {
     console.error(chalk.red(`Not found: ${error.message}`));
+  } else if (error.name === 'ReplayMissError') {
+    console.error(chalk.red(`Replay error: ${error.message}`));
+  } else if (error.name === 'RateLimitError') {
+    printRateLimit(error);
+    process.exitCode = EXIT_CODES.RATE_LIMIT;
+    return;
   } else {
     console.error(chalk.red(`Error: ${error.message}`));
     if (error.stack && process.env.DEBUG) {
       console.error(chalk.gray(error.stack));
     }
   }
+
+  process.exitCode = EXIT_CODES.ERROR;
+}
+
+/**
+ * Print the daily search limit message
+ */
+function printRateLimit(error) {
+  console.error(chalk.red('Error: KBBI daily search limit reached'));
+  console.error(chalk.yellow(`Cookie: ${error.cookie || 'none (limit applies to your IP address)'}`));
+  if (error.resetAt) {
+    console.error(chalk.yellow(`Expected reset: ${new Date(error.resetAt).toLocaleString()}`));
+  }
+  console.error(chalk.yellow('Add another cookie with --cookie-manage add, or try again after the reset.'));
 }
 
 /**
@@ -583,8 +1081,14 @@ function showHelp() {
     ${chalk.gray('--login')}           Open login UI or login with credentials
     ${chalk.gray('--email [email]')}   Email for KBBI login (with --login)
     ${chalk.gray('--password [pwd]')}  Password for KBBI login (with --login)
-    ${chalk.gray('--cookie [string]')} Specify cookie string to use
-    ${chalk.gray('--cookie-manage [command]')} Manage cookies (add:VALUE, delete:VALUE, list)
+    ${chalk.gray('--cookie [string]')} Cookie to use instead of KBBI_COOKIE or the saved cookies
+    ${chalk.gray('--cookie-manage [command]')} Manage cookies (add:VALUE, delete:VALUE, list, check)
+    ${chalk.gray('--prune')}           Remove expired cookies (with --cookie-manage check)
+    ${chalk.gray('--label [name]')}    Label for a cookie added with --cookie-manage add
+    ${chalk.gray('--cookie-key-file [path]')} Encrypt the saved cookies with this key file
+                      (or set KBBI_COOKIE_KEY_FILE / KBBI_COOKIE_PASSPHRASE)
+    ${chalk.gray('--cookie-strategy [name]')} Cookie rotation: skip-exhausted (default),
+                      round-robin or least-used
     ${chalk.gray('--save-cookie [string]')} Save cookie string for future use (deprecated)
     ${chalk.gray('--add-cookie [string]')} Add an additional cookie for rotation (deprecated)
     ${chalk.gray('--list-cookies')}    List all saved cookies (deprecated)
@@ -592,8 +1096,45 @@ function showHelp() {
     ${chalk.gray('--debug')}           Save debug files (HTML, screenshots)
     ${chalk.gray('--json-debug')}      Show debug data as JSON in console output
     ${chalk.gray('--json')}            Output results in JSON format
+    ${chalk.gray('--format [name]')}   Output format: terminal (default), plain, markdown, html
+                      (a standalone page) or json
     ${chalk.gray('--scrape')}          Scrape entry IDs and output in JSON format
+    ${chalk.gray('--no-cache')}        Don't read or write the result cache
+    ${chalk.gray('--refresh')}         Ignore cached results and fetch again
+    ${chalk.gray('--transport [name]')} playwright (default) or http, which skips the browser
+                      while the session is valid and falls back to it on a challenge
+    ${chalk.gray('--record [dir]')}    Save every fetched page (HTML, URL, status, time) to dir
+    ${chalk.gray('--replay [dir]')}    Serve pages recorded with --record, without the network;
+                      fails on any page that wasn't recorded
+    ${chalk.gray('--base-url [url]')}  KBBI site to use (or KBBI_BASE_URL, or "endpoints" in the config file)
     ${chalk.gray('--help')}            Show this help message
+
+  ${chalk.bold('Commands:')}
+    ${chalk.gray('batch [file]')}      Look up every word in a file (or piped on stdin)
+      ${chalk.gray('--output [file]')}     JSONL results (default: <file>.results.jsonl)
+      ${chalk.gray('--failures [file]')}   JSONL failures (default: <file>.failures.jsonl)
+      ${chalk.gray('--checkpoint [file]')} Progress file used to resume an interrupted run
+      ${chalk.gray('--concurrency [n]')}   Number of words looked up at the same time
+      ${chalk.gray('--rate [n]')}          Maximum requests per second to KBBI (default: 2)
+    ${chalk.gray('crawl [words]')}     Look up the seed words, then the words their entries link to
+      ${chalk.gray('--depth [n]')}         Links to follow away from the seeds (default: 2)
+      ${chalk.gray('--limit [n]')}         Maximum number of words to look up (default: 1000)
+      ${chalk.gray('--relations [list]')}  Links to follow, comma-separated (default: rootWord,
+                          kataTurunan,gabunganKata,peribahasa,idiom)
+      ${chalk.gray('--output [file]')}     JSONL results (default: kbbi-crawl.results.jsonl); also
+                          --failures, --checkpoint (frontier file), --concurrency, --rate
+    ${chalk.gray('export [files]')}    Export JSONL result files (batch, crawl), or the cache without files
+      ${chalk.gray('--sqlite [file]')}     SQLite database with normalized tables, updated in place
+      ${chalk.gray('--jsonl [file]')}      One entry per line with its provenance, plus a manifest
+      ${chalk.gray('--anki [file]')}       Anki notes, one per meaning (.tsv or .csv)
+      ${chalk.gray('--anki-template [t]')} basic (default), reverse, or a JSON file with { front, back }
+      ${chalk.gray('--stardict [name]')}   StarDict dictionary (<name>.ifo, .idx, .dict, .syn)
+      ${chalk.gray('--yomitan [file]')}    Yomitan dictionary ZIP
+      ${chalk.gray('--tei [file]')}        TEI Lex-0 XML document
+    ${chalk.gray('config')}            Show the config file, data and cache directories
+    ${chalk.gray('cache stats')}       Show result cache statistics (add --json for JSON)
+    ${chalk.gray('cache clear')}       Remove all cached results
+    ${chalk.gray('cache prune')}       Remove expired results and enforce the size limit
   `);
 }
 
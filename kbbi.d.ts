@@ -0,0 +1,343 @@
+// Type declarations for @doedja/kbbi-js
+// The result model matches schema/kbbi-result.schema.json (schemaVersion 1).
+
+declare class KBBI {
+  constructor(options?: KBBI.KBBIOptions);
+  lookup(word: string): Promise<KBBI.KBBIResult>;
+  scrape(word: string): Promise<KBBI.KBBIResult>;
+  close(): Promise<void>;
+  /** Parse a search results or details page fetched elsewhere, without a browser */
+  static parseHtml(html: string, options?: KBBI.ParseOptions): KBBI.KBBIResult;
+}
+
+/** Result of kbbi.create(), the canonical result plus text and serialized forms */
+declare class KBBIResultObject implements KBBI.KBBIResult {
+  constructor(data: Partial<KBBI.KBBIResult>);
+  schemaVersion: 1;
+  word: string;
+  authenticated: boolean;
+  entries: KBBI.KBBIEntry[];
+  mirip: string[];
+  fetchedAt?: string;
+  cached?: boolean;
+  url?: string | null;
+  pageType?: 'search' | 'details';
+  parserVersion?: number;
+  sources?: KBBI.KBBISource[];
+  toString(showExamples?: boolean): string;
+  render(format?: KBBI.OutputFormat, options?: KBBI.RenderOptions): string;
+  serialize(): KBBI.SerializedResult;
+}
+
+/** KBBI site URLs and cookie domain, see lib/endpoints.js */
+declare class EndpointsObject implements KBBI.EndpointValues {
+  constructor(values?: Partial<KBBI.EndpointValues>, options?: { env?: Record<string, string | undefined>; config?: Partial<KBBI.EndpointValues> });
+  baseUrl: string;
+  entryPath: string;
+  detailsPath: string;
+  loginPath: string;
+  cookieDomain: string;
+  static from(value?: EndpointsObject | Partial<KBBI.EndpointValues> | string | null, options?: { env?: Record<string, string | undefined>; config?: Partial<KBBI.EndpointValues> }): EndpointsObject;
+  static DEFAULTS: KBBI.EndpointValues;
+  homeUrl(): string;
+  entryUrl(word: string): string;
+  detailsUrl(eid: string | number): string;
+  loginUrl(): string;
+  toJSON(): KBBI.EndpointValues;
+}
+
+declare namespace KBBI {
+  const SCHEMA_VERSION: 1;
+  const KBBIResult: typeof KBBIResultObject;
+
+  /** Look up a word on the browser shared by create() calls */
+  function create(word: string, cookies?: string | string[] | null): Promise<KBBIResultObject>;
+  /** Close the browser shared by create() calls */
+  function closeBrowser(): Promise<void>;
+  const SessionPool: any;
+  const Credentials: any;
+  const KBBIParser: any;
+  const Endpoints: typeof EndpointsObject;
+  /** Read results from JSONL files (batch, crawl), or from the result cache when no file is given */
+  function readResults(sources?: { files?: string[]; cache?: object | null }): AsyncIterable<KBBIResult>;
+  /** Write results into a SQLite database (needs the sql.js package), updating entries already there */
+  function exportSqlite(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string): Promise<ExportCounts>;
+  /** Write one entry per line with its provenance, plus a manifest (<file>.manifest.json) */
+  function exportJsonl(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string): Promise<JsonlManifest>;
+  /** Write Anki-importable notes, one per meaning, as CSV or TSV (by the file extension) */
+  function exportAnki(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string, options?: AnkiOptions): Promise<AnkiCounts>;
+  /** Write a StarDict dictionary: <file>.ifo, .idx, .dict and .syn (derived forms pointing at their root) */
+  function exportStardict(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string, options?: DictionaryOptions): Promise<StardictCounts>;
+  /** Write a Yomitan dictionary ZIP */
+  function exportYomitan(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string, options?: DictionaryOptions & { url?: string }): Promise<YomitanCounts>;
+  /** Write a TEI Lex-0 XML document (structure in schema/kbbi-tei.rng) */
+  function exportTei(results: Iterable<KBBIResult> | AsyncIterable<KBBIResult>, file: string, options?: DictionaryOptions & { url?: string }): Promise<TeiCounts>;
+  /** Render a result as terminal text, plain text, Markdown or HTML */
+  function render(result: KBBIResult, format?: OutputFormat, options?: RenderOptions): string;
+
+  /** Word class or usage label, e.g. { kode: 'n', nama: 'Nomina' } */
+  interface KBBIWordClass {
+    kode: string;
+    /** Full name, empty when KBBI doesn't give one */
+    nama: string;
+  }
+
+  interface KBBIExample {
+    nomor: number;
+    teks: string;
+  }
+
+  interface KBBIMeaning {
+    nomor: number;
+    kelasKata: KBBIWordClass[];
+    definisi: string;
+    contoh: KBBIExample[];
+    /** Figurative use (labelled "ki") */
+    kiasan: boolean;
+  }
+
+  interface KBBIEtymology {
+    text: string;
+    languages: string[];
+  }
+
+  interface KBBIRelated {
+    kataTurunan: string[];
+    gabunganKata: string[];
+    peribahasa: string[];
+    idiom: string[];
+  }
+
+  interface KBBIEntry {
+    /** KBBI entry ID (eid), null when the page doesn't link to the details page */
+    id: string | null;
+    /** Headword */
+    nama: string;
+    /** Homonym number */
+    nomor: string | null;
+    /** Entry type, e.g. "dasar", "turunan", "gabungan kata", "peribahasa" */
+    jenis: string | null;
+    rootWord: string | null;
+    etimologi: KBBIEtymology | null;
+    makna: KBBIMeaning[];
+    terkait: KBBIRelated;
+  }
+
+  interface KBBIResult {
+    schemaVersion: 1;
+    word: string;
+    authenticated: boolean;
+    entries: KBBIEntry[];
+    /** Similar words suggested when nothing was found */
+    mirip: string[];
+    fetchedAt?: string;
+    cached?: boolean;
+    /** URL of the search page (or of the page given to parseHtml()) */
+    url?: string | null;
+    /** Set by parseHtml() */
+    pageType?: 'search' | 'details';
+    /** KBBIParser.VERSION the pages were parsed with */
+    parserVersion?: number;
+    /** Pages the result was parsed from: the search page, then any details pages */
+    sources?: KBBISource[];
+  }
+
+  /** A fetched page */
+  interface KBBISource {
+    url: string;
+    pageType: 'search' | 'details';
+    /** Entry ID of a details page */
+    eid: string | null;
+    /** Whether the page was served to a logged-in session */
+    authenticated: boolean;
+    fetchedAt: string;
+    /** SHA-256 of the page HTML as fetched */
+    sha256: string;
+  }
+
+  /** Result of KBBIResult.serialize() */
+  interface SerializedResult {
+    kata: string;
+    entri: Array<Omit<KBBIEntry, 'makna'> & {
+      makna: Array<Omit<KBBIMeaning, 'kelasKata'> & { kelaskata: KBBIWordClass[] }>;
+    }>;
+    mirip: string[];
+  }
+
+  interface EndpointValues {
+    baseUrl: string;
+    /** Contains {word} */
+    entryPath: string;
+    /** Contains {eid} */
+    detailsPath: string;
+    loginPath: string;
+    /** Defaults to the host name of baseUrl */
+    cookieDomain: string | null;
+  }
+
+  interface ExportCounts {
+    results: number;
+    /** Entries written */
+    entries: number;
+    /** Entries skipped because the database has a copy fetched later */
+    unchanged: number;
+  }
+
+  /** A line of `kbbi export --jsonl` */
+  interface JsonlRecord {
+    /** KBBI entry ID, or null when fetched without logging in */
+    eid: string | null;
+    /** eid, or nama:<headword>#<homonym number> without one */
+    key: string;
+    /** Word that was looked up */
+    word: string;
+    entry: KBBIEntry;
+    provenance: {
+      url: string | null;
+      pageType: 'search' | 'details' | null;
+      fetchedAt: string | null;
+      authenticated: boolean;
+      parserVersion: number | null;
+      /** SHA-256 of the page HTML, null for results saved before it was recorded */
+      sha256: string | null;
+      schemaVersion: 1;
+    };
+  }
+
+  interface JsonlManifest {
+    generator: { name: string; version: string };
+    createdAt: string;
+    schemaVersion: 1;
+    parserVersions: number[];
+    file: { name: string; sha256: string; bytes: number };
+    counts: {
+      results: number;
+      entries: number;
+      words: number;
+      /** Entries skipped because an earlier result had them */
+      duplicates: number;
+      authenticated: number;
+      /** Entries without a source page hash */
+      withoutHash: number;
+    };
+    fetchedAt: { earliest: string | null; latest: string | null };
+  }
+
+  /**
+   * Card template, with placeholders {headword}, {word}, {jenis}, {kelasKata},
+   * {definisi}, {contoh} (first example, headword blanked), {etimologi} and {rootWord}
+   */
+  interface AnkiTemplate {
+    front: string;
+    back: string;
+  }
+
+  interface AnkiOptions {
+    /** 'basic' (word on the front, default), 'reverse', or a template */
+    template?: 'basic' | 'reverse' | AnkiTemplate;
+    /** Defaults to a tab for .tsv and .txt files, a comma otherwise */
+    separator?: string;
+    /** Replaces the headword in examples (default: ____) */
+    blank?: string;
+  }
+
+  interface AnkiCounts {
+    results: number;
+    entries: number;
+    notes: number;
+    /** Entries skipped because an earlier result had them */
+    duplicates: number;
+  }
+
+  type OutputFormat = 'terminal' | 'text' | 'plain' | 'markdown' | 'html';
+
+  interface RenderOptions {
+    /** Include examples (default: true) */
+    examples?: boolean;
+    /** Markdown: level of the headword headings (default: 3) */
+    headingLevel?: number;
+    /** HTML: whole document (default) or just the entries */
+    standalone?: boolean;
+    /** HTML: href of a linked word (default: its entry page) */
+    link?: (word: string) => string;
+    /** HTML: site of the default links */
+    endpoints?: EndpointsObject | Partial<EndpointValues> | string;
+  }
+
+  interface DictionaryOptions {
+    /** Dictionary name (default: KBBI) */
+    title?: string;
+    description?: string;
+    /** Date recorded in the dictionary (default: now) */
+    date?: Date;
+  }
+
+  interface StardictCounts {
+    results: number;
+    entries: number;
+    /** Headwords; homonyms share an article */
+    articles: number;
+    /** Derived forms pointing at their root's article */
+    synonyms: number;
+    duplicates: number;
+  }
+
+  interface YomitanCounts {
+    results: number;
+    entries: number;
+    terms: number;
+    /** Terms for derived forms pointing at their root */
+    derived: number;
+    duplicates: number;
+  }
+
+  interface TeiCounts {
+    results: number;
+    entries: number;
+    /** Meanings, written as <sense> */
+    senses: number;
+    duplicates: number;
+  }
+
+  interface ParseOptions {
+    /** URL the page was fetched from, used to tell search and details pages apart */
+    url?: string;
+    /** Looked up word, defaults to the word in the URL or the headword */
+    word?: string;
+  }
+
+  interface CookieSource {
+    name?: string;
+    getCookieString(): Promise<string | null>;
+    recordFailure?(cookieString: string, error: Error): void;
+  }
+
+  interface KBBIOptions {
+    headless?: boolean;
+    debug?: boolean;
+    timeout?: number | null;
+    cookiesPath?: string;
+    cache?: boolean | object;
+    refresh?: boolean;
+    pool?: boolean | object | null;
+    transport?: 'playwright' | 'http' | object;
+    scheduler?: object | null;
+    cookieStrategy?: 'round-robin' | 'least-used' | 'skip-exhausted';
+    cookie?: string | string[] | null;
+    credentials?: Array<'inline' | 'env' | 'file' | (() => Promise<string | null> | string | null) | CookieSource> | object;
+    cookiePassphrase?: string | null;
+    cookieKeyFile?: string | null;
+    /** KBBI site URLs and cookie domain, defaults to the KBBI_* environment variables, the config file, then the official site */
+    endpoints?: EndpointsObject | Partial<EndpointValues> | null;
+    /** Shorthand for endpoints.baseUrl, e.g. a mock server URL */
+    baseUrl?: string | null;
+    /** Save every fetched page to this directory */
+    record?: string | null;
+    /** Serve pages from a directory written with `record` instead of the network */
+    replay?: string | null;
+    /** Config values, a config file path, or false to ignore config files */
+    config?: object | string | false;
+  }
+}
+
+export = KBBI;
@@ -14,100 +14,448 @@ const BrowserManager = require('./lib/browser');
 const KBBIParser = require('./lib/parser');
 const Utils = require('./lib/utils');
 const Auth = require('./lib/auth');
-const { CloudflareBlockError, NotFoundError } = require('./lib/errors');
+const { Credentials } = require('./lib/credentials');
+const Cache = require('./lib/cache');
+const Config = require('./lib/config');
+const Endpoints = require('./lib/endpoints');
+const { SCHEMA_VERSION, normalizeResult } = require('./lib/schema');
+const KBBIResult = require('./lib/result');
+const SessionPool = require('./lib/pool');
+const Scheduler = require('./lib/scheduler');
+const { CloudflareBlockError, NotFoundError, RateLimitError } = require('./lib/errors');
 const { KBBIScraper } = require('./scrape');
+const { parseHtml } = require('./parse');
+const {
+  readResults, exportSqlite, exportJsonl, exportAnki, exportStardict, exportYomitan, exportTei
+} = require('./lib/exporters');
+const { render } = require('./lib/renderers');
 
 class KBBI {
   constructor(options = {}) {
+    // Defaults from the user's config file (config.json or .kbbirc)
+    this.config = KBBI.loadConfig(options.config);
+
     this.options = {
-      headless: true,
+      headless: this.config.headless,
       debug: false,
-      cookiesPath: path.join(__dirname, 'data', 'kbbi-cookies.json'),
+      timeout: this.config.timeout, // Page load timeout (ms), null for the browser defaults
+      cookiesPath: path.join(Config.getPaths().data, 'kbbi-cookies.json'),
+      cache: true,      // Set to false to always fetch from KBBI
+      refresh: false,   // Ignore cached results but still update the cache
+      pool: null,       // SessionPool instance, pool options, or true to keep browsers warm
+      transport: 'playwright', // 'http' skips the browser while the session cookies are valid
+      scheduler: null,  // Scheduler instance or options (defaults to the shared scheduler)
+      cookieStrategy: this.config.cookieStrategy, // 'round-robin', 'least-used' or 'skip-exhausted'
+      cookie: null,     // Cookie value or string (or an array of them) to use instead of the cookie file
+      credentials: ['inline', 'env', 'file'], // Cookie sources in priority order, or a Credentials instance
+      cookiePassphrase: null, // Passphrase or key file for an encrypted cookies file
+      cookieKeyFile: null,
+      endpoints: null,  // KBBI site URLs and cookie domain, see lib/endpoints.js (defaults to the config file and environment)
+      baseUrl: null,    // Shorthand for endpoints.baseUrl, e.g. a mock server
+      record: null,     // Directory to save every fetched page to
+      replay: null,     // Directory of recorded pages to serve instead of the network
       ...options
     };
+
+    // A recording should capture every page, so cached results aren't used
+    if (this.options.record) {
+      this.options.refresh = true;
+    }
     
-    this.browser = null;
+    this.endpoints = Endpoints.from(this.options.endpoints || this.options.baseUrl, { config: this.config.endpoints });
     this.authenticated = false;
-    this.auth = new Auth();
+    this.credentials = this._createCredentials();
+    this.auth = this.credentials.auth;
+    this.cache = this._createCache();
+    this.scheduler = this._createScheduler();
+    this.ownsPool = false;
+    this.pool = this._createPool();
+  }
+
+  /**
+   * Load the config for the config option
+   * @param {Object|string|boolean} [config] - Config values, a config file path, or false to ignore config files
+   * @returns {Object} Config values
+   */
+  static loadConfig(config) {
+    if (config === false) return { ...Config.DEFAULTS };
+    if (typeof config === 'string') return Config.load({ file: config });
+    if (config && typeof config === 'object') return { ...Config.DEFAULTS, ...config };
+    return Config.load();
+  }
+
+  /**
+   * Parse a KBBI page fetched elsewhere, without a browser
+   * See parse.js; require('@doedja/kbbi-js/parse') for a build without Playwright.
+   * @param {string} html - Search results page or entry details page HTML
+   * @param {Object} [options] - { url, word }
+   * @returns {Object} Canonical result
+   */
+  static parseHtml(html, options = {}) {
+    return parseHtml(html, options);
+  }
+
+  /**
+   * Browser options shared by every session of this instance
+   * @private
+   * @returns {Object} BrowserManager / SessionPool options
+   */
+  _browserOptions() {
+    return {
+      headless: this.options.headless,
+      debug: this.options.debug,
+      // Leave the browser's own default alone unless a timeout is configured
+      ...(this.options.timeout ? { timeout: this.options.timeout } : {}),
+      transport: this.options.transport,
+      scheduler: this.scheduler,
+      endpoints: this.endpoints,
+      record: this.options.record,
+      replay: this.options.replay
+    };
+  }
+
+  /**
+   * Create the cookie sources from the credentials and cookie options
+   * The cookie file is only opened when 'file' is one of the sources.
+   * @private
+   * @returns {Credentials} Credentials handing out session cookies
+   */
+  _createCredentials() {
+    const { credentials } = this.options;
+    if (credentials instanceof Credentials) return credentials;
+
+    return Credentials.fromOptions({
+      sources: credentials,
+      cookie: this.options.cookie,
+      auth: {
+        cookiesPath: this.options.cookiesPath,
+        strategy: this.options.cookieStrategy,
+        passphrase: this.options.cookiePassphrase,
+        keyFile: this.options.cookieKeyFile,
+        endpoints: this.endpoints
+      }
+    });
+  }
+
+  /**
+   * Create the navigation scheduler from the scheduler option
+   * @private
+   * @returns {Scheduler} Scheduler shared by all browsers of this instance
+   */
+  _createScheduler() {
+    const { scheduler } = this.options;
+    if (scheduler instanceof Scheduler) return scheduler;
+    if (scheduler && typeof scheduler === 'object') return new Scheduler(scheduler);
+    return Scheduler.getDefault();
+  }
+
+  /**
+   * Create the session pool from the pool option
+   * A pool created here is owned by this instance and closed by close()
+   * @private
+   * @returns {SessionPool|null} Session pool or null to use one browser per request
+   */
+  _createPool() {
+    const { pool } = this.options;
+    if (!pool) return null;
+    if (pool instanceof SessionPool) return pool;
+
+    this.ownsPool = true;
+    return new SessionPool({
+      ...this._browserOptions(),
+      ...(typeof pool === 'object' ? pool : {})
+    });
+  }
+
+  /**
+   * Get a browser session, leased from the pool when one is configured
+   * @private
+   * @returns {Promise<BrowserManager>} Initialized browser session
+   */
+  async _acquireBrowser() {
+    if (this.pool) {
+      return this.pool.acquire();
+    }
+
+    const browser = new BrowserManager(this._browserOptions());
+    await browser.initBrowser();
+    return browser;
+  }
+
+  /**
+   * Give a browser session back to the pool, or close it
+   * @private
+   * @param {BrowserManager} browser - Session from _acquireBrowser()
+   * @param {Error} [error] - Error hit while using the session
+   */
+  async _releaseBrowser(browser, error = null) {
+    if (this.pool) {
+      await this.pool.release(browser, error);
+    } else {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Close the session pool if this instance created it
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.pool && this.ownsPool) {
+      await this.pool.close();
+    }
+  }
+
+  /**
+   * Create the result cache from the cache option
+   * @private
+   * @returns {Cache|null} Cache instance or null if caching is disabled
+   */
+  _createCache() {
+    const { cache } = this.options;
+    // Replays answer from the recording alone
+    if (!cache || this.options.replay) return null;
+    if (cache instanceof Cache) return cache;
+
+    return new Cache({
+      ttl: this.config.cacheTtl,
+      cacheDir: Cache.dirFor(this.endpoints.baseUrl),
+      ...(typeof cache === 'object' ? cache : {})
+    });
+  }
+
+  /**
+   * Get a cached result for a word
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cached result or null
+   */
+  _getCached(key) {
+    if (!this.cache || this.options.refresh) return null;
+
+    const record = this.cache.get(key);
+    // Results cached with an older result model are fetched again
+    if (!record || record.data.schemaVersion !== SCHEMA_VERSION) return null;
+
+    return {
+      ...record.data,
+      authenticated: record.authenticated,
+      fetchedAt: record.fetchedAt,
+      cached: true
+    };
+  }
+
+  /**
+   * Store a fetched result in the cache
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} result - Result to store
+   */
+  _setCached(key, result) {
+    if (!this.cache) return;
+
+    const { cached, ...data } = result;
+    this.cache.set(key, data, {
+      authenticated: result.authenticated,
+      fetchedAt: result.fetchedAt,
+      ttl: result.entries && result.entries.length > 0
+        ? this.cache.options.ttl
+        : this.cache.options.notFoundTtl
+    });
   }
 
   async lookup(word) {
     if (!word) throw new Error('No word provided');
 
-    try {
-      // Initialize browser
-      this.browser = new BrowserManager({
-        headless: this.options.headless,
-        debug: this.options.debug
-      });
+    const cacheKey = Cache.wordKey(word, 'lookup');
+    const cached = this._getCached(cacheKey);
+    if (cached) return cached;
+
+    const browser = await this._acquireBrowser();
+    let failure = null;
+    let cookieString = null;
 
-      await this.browser.initBrowser();
-      
-      // Get authentication cookie (with rotation support)
-      const cookieString = await this.auth.getCookieString();
+    try {
+      // Get authentication cookie from the configured sources (with rotation support)
+      cookieString = await this.credentials.getCookieString();
       if (cookieString) {
-        await this.browser.setCustomCookie(cookieString);
+        await browser.setCustomCookie(cookieString);
       }
 
       // Navigate to word page
-      const url = Utils.buildUrl(word);
-      const html = await this.browser.navigateTo(url);
+      const url = this.endpoints.entryUrl(word);
+      const html = await browser.navigateTo(url);
 
       if (!html) {
         throw new Error('Failed to fetch page content');
       }
 
+      if (this.options.debug) {
+        Utils.saveDebugFile(Config.getPaths().cache, `lookup-${encodeURIComponent(word)}.html`, html, url);
+      }
+
       // Check for Cloudflare
-      const isCloudflare = await this.browser.checkCloudflare();
+      const isCloudflare = await browser.checkCloudflare();
       if (isCloudflare) {
-        if (!this.options.headless) {
+        if (!this.options.headless && browser.page) {
           console.log('Please solve the Cloudflare challenge in the browser window...');
-          await this.browser.page.waitForNavigation({ 
+          await browser.page.waitForNavigation({ 
             waitUntil: 'domcontentloaded',
             timeout: 45000
           });
-      } else {
+        } else {
           throw new CloudflareBlockError();
         }
       }
 
       // Parse the page
       const parser = new KBBIParser(html);
+
+      // The daily search limit page has no entries, don't mistake it for "not found"
+      if (parser.checkQuotaExceeded()) {
+        throw new RateLimitError(undefined, {
+          cookie: cookieString ? Auth.maskCookie(cookieString) : null,
+          resetAt: Utils.nextQuotaReset()
+        });
+      }
+
       this.authenticated = parser.checkAuthentication();
       const { entries, mirip } = parser.parseEntries();
 
-      return {
-            word,
+      const result = normalizeResult({
+        word,
         authenticated: this.authenticated,
         entries,
-        mirip
-      };
+        mirip,
+        fetchedAt: new Date().toISOString(),
+        cached: false,
+        url,
+        parserVersion: KBBIParser.VERSION,
+        sources: [Utils.pageSource(url, html, { authenticated: this.authenticated })]
+      });
+
+      this._setCached(cacheKey, result);
+      return result;
     } catch (error) {
+      failure = error;
+      this.scheduler.noteError(error);
+      this.credentials.recordFailure(cookieString, error);
       throw error;
     } finally {
-      if (this.browser) {
-        await this.browser.close();
-      }
+      await this._releaseBrowser(browser, failure);
     }
   }
 
   async scrape(word) {
     if (!word) throw new Error('No word provided');
 
+    const cacheKey = Cache.wordKey(word, 'scrape');
+    const cached = this._getCached(cacheKey);
+    if (cached) return cached;
+
     try {
       const scraper = new KBBIScraper({
         headless: this.options.headless,
         debug: this.options.debug,
-        timeout: 45000,
+        timeout: this.options.timeout || 45000,
         stealth: true,
-        auth: this.auth // Pass auth object for cookie rotation
+        transport: this.options.transport,
+        scheduler: this.scheduler,
+        concurrency: this.pool ? this.pool.options.size : 1,
+        credentials: this.credentials, // Cookie sources, with rotation
+        pool: this.pool,
+        cache: this.cache,
+        refresh: this.options.refresh,
+        endpoints: this.endpoints,
+        record: this.options.record,
+        replay: this.options.replay
       });
 
-      return await scraper.scrapeWord(word);
+      const result = {
+        ...(await scraper.scrapeWord(word)),
+        fetchedAt: new Date().toISOString(),
+        cached: false
+      };
+
+      this._setCached(cacheKey, result);
+      return result;
     } catch (error) {
+      this.scheduler.noteError(error);
       throw error;
     }
   }
 }
 
-module.exports = KBBI; 
\ No newline at end of file
+/*
+ * Functional API (kbbi.create / kbbi.closeBrowser)
+ *
+ * Lookups made through create() share one browser, launched on first use
+ * and kept open until closeBrowser() is called.
+ */
+
+let sharedPool = null;
+const sharedInstances = new Map();
+
+/**
+ * Get the KBBI instance for a set of cookies, on the shared browser
+ * @private
+ * @param {string|string[]} [cookies] - Cookie value(s) to rotate through
+ * @returns {KBBI}
+ */
+function getSharedInstance(cookies) {
+  const key = cookies ? JSON.stringify(cookies) : '';
+
+  if (!sharedInstances.has(key)) {
+    // The first instance creates the pool, so its sessions get the browser
+    // options and site from the config file like the lookups do
+    const instance = new KBBI({ pool: sharedPool || { size: 1 }, cookie: cookies || null });
+    sharedPool = instance.pool;
+    sharedInstances.set(key, instance);
+  }
+
+  return sharedInstances.get(key);
+}
+
+/**
+ * Look up a word
+ * @param {string} word - Word to look up
+ * @param {string|string[]} [cookies] - Cookie value(s) to use, rotated between calls
+ * @returns {Promise<KBBIResult>} Result with toString() and serialize()
+ */
+async function create(word, cookies = null) {
+  const result = await getSharedInstance(cookies).lookup(word);
+  return new KBBIResult(result);
+}
+
+/**
+ * Close the browser shared by create()
+ * @returns {Promise<void>}
+ */
+async function closeBrowser() {
+  const pool = sharedPool;
+  sharedPool = null;
+  sharedInstances.clear();
+
+  if (pool) {
+    await pool.close();
+  }
+}
+
+module.exports = KBBI;
+module.exports.create = create;
+module.exports.closeBrowser = closeBrowser;
+module.exports.KBBIResult = KBBIResult;
+module.exports.SessionPool = SessionPool;
+module.exports.Credentials = Credentials;
+module.exports.KBBIParser = KBBIParser;
+module.exports.Endpoints = Endpoints;
+module.exports.readResults = readResults;
+module.exports.exportSqlite = exportSqlite;
+module.exports.exportJsonl = exportJsonl;
+module.exports.exportAnki = exportAnki;
+module.exports.exportStardict = exportStardict;
+module.exports.exportYomitan = exportYomitan;
+module.exports.exportTei = exportTei;
+module.exports.render = render;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+
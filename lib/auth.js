@@ -1,22 +1,53 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const BrowserManager = require('./browser');
-const { AuthenticationError } = require('./errors');
+const KBBIParser = require('./parser');
+const { AuthenticationError, CloudflareBlockError, RateLimitError } = require('./errors');
 const Utils = require('./utils');
+const Endpoints = require('./endpoints');
+const encryption = require('./encryption');
+const Config = require('./config');
 
 class Auth {
   constructor(options = {}) {
+    const dataDir = Config.getPaths().data;
     this.options = {
-      cookiesPath: path.join(__dirname, '..', 'data', 'kbbi-cookies.json'),
-      legacyCookiePath: path.join(__dirname, '..', 'data', 'kbbi-cookie.json'),
+      cookiesPath: path.join(dataDir, 'kbbi-cookies.json'),
+      legacyCookiePath: path.join(dataDir, 'kbbi-cookie.json'),
+      strategy: 'skip-exhausted', // Cookie rotation strategy, see Auth.STRATEGIES
+      usageSaveInterval: 30000, // Save cookie usage at most this often (ms), see getCookie()
+      // Encrypt the cookies file with a passphrase or key file
+      // (defaults to the KBBI_COOKIE_PASSPHRASE / KBBI_COOKIE_KEY_FILE environment variables)
+      passphrase: null,
+      keyFile: null,
+      endpoints: null, // KBBI site to log in to (see lib/endpoints.js)
+      baseUrl: null,   // Shorthand for endpoints.baseUrl
       ...options
     };
+
+    this.derivedKey = null;
+    // Records as last read or written, and the file they came from (see _loadRecords())
+    this.records = null;
+    this.recordsStamp = null;
+    // Cookie use not saved yet, by cookie value
+    this.pendingUsage = new Map();
+    this.usageSavedAt = 0;
+    this.saveUsageOnExit = null;
+    this.endpoints = Endpoints.from(this.options.endpoints || this.options.baseUrl);
+
+    if (!Auth.STRATEGIES.includes(this.options.strategy)) {
+      throw new Error(`Unknown cookie rotation strategy: ${this.options.strategy} (use ${Auth.STRATEGIES.join(', ')})`);
+    }
     
     // Ensure the data directory exists
     Utils.ensureDirectory(path.dirname(this.options.cookiesPath));
     
     // Migrate legacy cookie if it exists
     this.migrateLegacyCookie();
+
+    // Encrypt a plaintext cookies file once a key is configured
+    this.migratePlaintextCookies();
   }
 
   /**
@@ -34,7 +65,7 @@ class Auth {
           
           // Delete the legacy cookie file
           fs.unlinkSync(this.options.legacyCookiePath);
-          console.log('Migrated legacy cookie to new format');
+          console.error('Migrated legacy cookie to new format');
         }
       }
     } catch (error) {
@@ -42,6 +73,90 @@ class Auth {
     }
   }
 
+  /**
+   * Encrypt an existing plaintext cookies file when encryption is configured
+   * @private
+   */
+  migratePlaintextCookies() {
+    try {
+      if (!this.getSecret() || !fs.existsSync(this.options.cookiesPath)) return;
+
+      const stored = JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8'));
+      if (Array.isArray(stored)) {
+        this._writeRecords(this._readRecords());
+        console.error('Encrypted saved cookies');
+      }
+    } catch (error) {
+      console.error('Error encrypting saved cookies:', error.message);
+    }
+  }
+
+  /**
+   * Get the secret used to encrypt the cookies file
+   * Priority: passphrase option, key file option, KBBI_COOKIE_PASSPHRASE, KBBI_COOKIE_KEY_FILE.
+   * @returns {string|Buffer|null} - Passphrase or key file contents, or null when not encrypting
+   */
+  getSecret() {
+    if (this.options.passphrase) return this.options.passphrase;
+    if (this.options.keyFile) return Auth._readKeyFile(this.options.keyFile);
+    if (process.env.KBBI_COOKIE_PASSPHRASE) return process.env.KBBI_COOKIE_PASSPHRASE;
+    if (process.env.KBBI_COOKIE_KEY_FILE) return Auth._readKeyFile(process.env.KBBI_COOKIE_KEY_FILE);
+    return null;
+  }
+
+  /**
+   * Read a key file
+   * @private
+   * @param {string} keyFile - Path of the key file
+   * @returns {Buffer} - Key file contents without trailing whitespace
+   */
+  static _readKeyFile(keyFile) {
+    const key = fs.readFileSync(keyFile);
+
+    // Ignore a trailing newline added by editors or `echo`
+    let end = key.length;
+    while (end > 0 && [0x0a, 0x0d, 0x20, 0x09].includes(key[end - 1])) {
+      end--;
+    }
+
+    if (end === 0) {
+      throw new Error(`Cookie key file is empty: ${keyFile}`);
+    }
+    return key.subarray(0, end);
+  }
+
+  /**
+   * Check whether the cookies file is encrypted
+   * @returns {boolean}
+   */
+  isEncrypted() {
+    try {
+      return fs.existsSync(this.options.cookiesPath) &&
+        encryption.isEncrypted(JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8')));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the key for a salt, deriving it only when the salt changes
+   * @private
+   * @param {string|Buffer} secret - Passphrase or key file contents
+   * @param {Buffer} salt - Salt of the encrypted file
+   * @returns {Buffer} - Derived key
+   */
+  _getKey(secret, salt) {
+    const saltKey = salt.toString('base64');
+    if (!this.derivedKey || this.derivedKey.salt !== saltKey || !this.derivedKey.secret.equals(Buffer.from(secret))) {
+      this.derivedKey = {
+        salt: saltKey,
+        secret: Buffer.from(secret),
+        key: encryption.deriveKey(secret, salt)
+      };
+    }
+    return this.derivedKey.key;
+  }
+
   /**
    * Login to KBBI with email and password
    * @param {string} email - KBBI account email
@@ -60,11 +175,12 @@ class Auth {
       browser = new BrowserManager({
         headless,
         stealth: true,
-        timeout: 60000
+        timeout: 60000,
+        endpoints: this.endpoints
       });
 
       await browser.initBrowser();
-      await browser.navigateTo('https://kbbi.kemdikbud.go.id/Account/Login');
+      await browser.navigateTo(this.endpoints.loginUrl());
       
       // Wait for login form
       await browser.page.waitForSelector('#Email', { state: 'visible', timeout: 10000 });
@@ -126,11 +242,12 @@ class Auth {
       browser = new BrowserManager({
         headless: false,
         stealth: true,
-        timeout: 120000
+        timeout: 120000,
+        endpoints: this.endpoints
       });
 
       await browser.initBrowser();
-      await browser.navigateTo('https://kbbi.kemdikbud.go.id/Account/Login');
+      await browser.navigateTo(this.endpoints.loginUrl());
       
       // Wait for login and navigation
       console.log('Waiting for you to complete the login process...');
@@ -173,10 +290,11 @@ class Auth {
    * @param {Object} options - Cookie management options
    * @param {string} options.action - Action to perform ('add', 'delete', 'list')
    * @param {string} options.value - Cookie value for add/delete actions
+   * @param {string} options.label - Optional label for the add action
    * @returns {Promise<Object>} - Result of the operation
    */
   async manageCookies(options = {}) {
-    const { action, value } = options;
+    const { action, value, label } = options;
     
     if (!action) {
       throw new Error('Cookie management action is required');
@@ -187,7 +305,7 @@ class Auth {
         if (!value) {
           throw new Error('Cookie value is required for add action');
         }
-        await this.addCookie(value);
+        await this.addCookie(value, label);
         const count = (await this.listCookies()).cookies.length;
         return { success: true, action: 'add', count };
       
@@ -217,49 +335,232 @@ class Auth {
     return this.addCookie(cookieString);
   }
 
+  /**
+   * Create the stored metadata for a new cookie
+   * @private
+   * @param {string} value - Cookie value
+   * @param {string} [label] - Label shown by --cookie-manage list
+   * @returns {Object} - Cookie record
+   */
+  static _createRecord(value, label = null) {
+    return {
+      value,
+      label,
+      addedAt: new Date().toISOString(),
+      lastUsedAt: null,
+      requestsToday: 0,
+      totalRequests: 0,
+      lastFailure: null,
+      status: 'active',
+      resetAt: null,
+      lastCheckedAt: null
+    };
+  }
+
+  /**
+   * Bring a stored cookie up to date
+   * Older cookie files store plain cookie values, which become records here.
+   * Daily counters and exhausted cookies are reset once the daily limit resets.
+   * @private
+   * @param {string|Object} stored - Stored cookie value or record
+   * @param {Date} now - Current time
+   * @returns {Object|null} - Cookie record or null if invalid
+   */
+  static _normalizeRecord(stored, now = new Date()) {
+    let record;
+    if (typeof stored === 'string') {
+      record = Auth._createRecord(stored);
+      record.addedAt = null;
+    } else if (stored && typeof stored.value === 'string') {
+      record = { ...Auth._createRecord(stored.value), ...stored };
+    } else {
+      return null;
+    }
+
+    if (record.resetAt && Date.parse(record.resetAt) <= now.getTime()) {
+      record.requestsToday = 0;
+      record.resetAt = null;
+      if (record.status === 'exhausted') {
+        record.status = 'active';
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Read all cookie records from the cookies file
+   * @private
+   * @returns {Object[]} - Cookie records
+   */
+  _readRecords() {
+    if (!fs.existsSync(this.options.cookiesPath)) {
+      return [];
+    }
+
+    let stored = [];
+    try {
+      stored = JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8'));
+    } catch (e) {
+      console.error('Error parsing cookies file:', e.message);
+      stored = [];
+    }
+
+    if (encryption.isEncrypted(stored)) {
+      // Errors propagate: writing after a failed decryption would wipe the store
+      const secret = this.getSecret();
+      if (!secret) {
+        throw new Error('Saved cookies are encrypted: set KBBI_COOKIE_PASSPHRASE or KBBI_COOKIE_KEY_FILE');
+      }
+      const key = this._getKey(secret, Buffer.from(stored.salt, 'base64'));
+      stored = JSON.parse(encryption.decrypt(stored, secret, { key }));
+    }
+
+    if (!Array.isArray(stored)) {
+      stored = [];
+    }
+
+    const now = new Date(Date.now());
+    return stored.map(item => Auth._normalizeRecord(item, now)).filter(Boolean);
+  }
+
+  /**
+   * Identify the current cookies file, to notice when someone else rewrote it
+   * @private
+   * @returns {string|null} - Inode, modification time and size, or null when there is no file
+   */
+  _recordsFileStamp() {
+    try {
+      const stat = fs.statSync(this.options.cookiesPath);
+      return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the cookie records with the use that isn't saved yet
+   * The file is only read (and decrypted) again when it changed since it was
+   * last read or written.
+   * @private
+   * @param {Date} now - Current time, for the daily reset
+   * @returns {Object[]} - Cookie records
+   */
+  _loadRecords(now) {
+    const stamp = this._recordsFileStamp();
+    if (!this.records || stamp !== this.recordsStamp) {
+      this.records = this._applyUsage(this._readRecords());
+      this.recordsStamp = stamp;
+    }
+
+    this.records = this.records.map(record => Auth._normalizeRecord(record, now));
+    return this.records;
+  }
+
+  /**
+   * Add the use that isn't saved yet to records read from the cookies file
+   * @private
+   * @param {Object[]} records - Cookie records
+   * @returns {Object[]} - The same records
+   */
+  _applyUsage(records) {
+    for (const record of records) {
+      const usage = this.pendingUsage.get(record.value);
+      if (!usage) continue;
+
+      record.requestsToday += usage.count;
+      record.totalRequests += usage.count;
+      if (!record.lastUsedAt || record.lastUsedAt < usage.lastUsedAt) {
+        record.lastUsedAt = usage.lastUsedAt;
+      }
+      record.resetAt = record.resetAt || usage.resetAt;
+    }
+    return records;
+  }
+
+  /**
+   * Save the cookie use getCookie() hasn't saved yet
+   * Called on exit too, so nothing is lost when the process ends between saves.
+   */
+  saveUsage() {
+    if (this.pendingUsage.size === 0) return;
+
+    try {
+      this._writeRecords(this._readRecords());
+    } catch (error) {
+      console.error('Error saving cookie usage:', error.message);
+    }
+  }
+
+  /**
+   * Write cookie records to the cookies file, encrypted when a key is configured
+   * The use getCookie() hasn't saved yet is saved with them.
+   * @private
+   * @param {Object[]} records - Cookie records as read with _readRecords()
+   */
+  _writeRecords(records) {
+    this._applyUsage(records);
+    let content = JSON.stringify(records, null, 2);
+
+    const secret = this.getSecret();
+    if (secret) {
+      // Keep the salt of the current file so the key doesn't have to be derived again
+      const salt = this.derivedKey && this.derivedKey.secret.equals(Buffer.from(secret))
+        ? Buffer.from(this.derivedKey.salt, 'base64')
+        : crypto.randomBytes(16);
+      const key = this._getKey(secret, salt);
+      content = JSON.stringify(encryption.encrypt(content, secret, { salt, key }), null, 2);
+    }
+
+    Utils.writeFileAtomic(this.options.cookiesPath, content, { encoding: 'utf8', mode: 0o600 });
+
+    this.records = records;
+    this.recordsStamp = this._recordsFileStamp();
+    this.pendingUsage.clear();
+    this.usageSavedAt = Date.now();
+    if (this.saveUsageOnExit) {
+      process.removeListener('exit', this.saveUsageOnExit);
+      this.saveUsageOnExit = null;
+    }
+  }
+
+  /**
+   * Extract the cookie value from a value or a full cookie string
+   * @private
+   * @param {string} cookie - Cookie value or cookie string containing .AspNet.ApplicationCookie
+   * @returns {string} - Cookie value
+   */
+  static _extractValue(cookie) {
+    const match = String(cookie).match(/(?:^|\s|;)\.AspNet\.ApplicationCookie=([^;]+)/);
+    return match ? match[1] : String(cookie);
+  }
+
   /**
    * Add a cookie to the cookies file
    * @param {string} cookieValue - Cookie value to add
+   * @param {string} [label] - Label to tell cookies apart (e.g. the account email)
    * @returns {Promise<boolean>} - Whether add was successful
    */
-  async addCookie(cookieValue) {
+  async addCookie(cookieValue, label = null) {
     if (!cookieValue) {
       throw new Error('Cookie value is required');
     }
 
     try {
       // Safely extract just the value if a full cookie string was provided
-      let value = cookieValue;
-      if (cookieValue.includes('=')) {
-        const matches = cookieValue.match(/(?:^|\s)\.AspNet\.ApplicationCookie=([^;]+)/);
-        if (matches && matches[1]) {
-          value = matches[1];
-        }
-      }
-      
-      let cookies = [];
-      
-      // Load existing cookies
-      if (fs.existsSync(this.options.cookiesPath)) {
-        try {
-          cookies = JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8'));
-          if (!Array.isArray(cookies)) {
-            cookies = [];
-          }
-        } catch (e) {
-          cookies = [];
-        }
-      }
-      
-      // Check if this cookie already exists
-      const exists = cookies.includes(value);
-      if (!exists) {
-        cookies.push(value);
+      const value = Auth._extractValue(cookieValue);
+      const records = this._readRecords();
+
+      // Re-adding a cookie keeps its usage history, but updates the label and status
+      const existing = records.find(record => record.value === value);
+      if (existing) {
+        if (label) existing.label = label;
+        existing.status = 'active';
+      } else {
+        records.push(Auth._createRecord(value, label));
       }
-      
-      // Save the updated cookies array
-      fs.writeFileSync(this.options.cookiesPath, JSON.stringify(cookies, null, 2), 'utf8');
-      
+
+      this._writeRecords(records);
       return true;
     } catch (error) {
       console.error('Error adding cookie:', error.message);
@@ -269,7 +570,7 @@ class Auth {
 
   /**
    * Remove a cookie from the cookies file
-   * @param {string} cookieValue - Cookie value to remove
+   * @param {string} cookieValue - Cookie value, its first 10 characters, or its label
    * @returns {Promise<boolean>} - Whether removal was successful
    */
   async removeCookie(cookieValue) {
@@ -281,34 +582,30 @@ class Auth {
       if (!fs.existsSync(this.options.cookiesPath)) {
         return false;
       }
-      
-      let cookies = [];
-      
-      try {
-        cookies = JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8'));
-        if (!Array.isArray(cookies)) {
-          cookies = [];
-        }
-      } catch (e) {
-        cookies = [];
-      }
-      
+
+      let records = this._readRecords();
+
       // Find and remove the cookie
-      const initialLength = cookies.length;
-      cookies = cookies.filter(c => c !== cookieValue);
-      
+      const initialLength = records.length;
+      records = records.filter(record => record.value !== cookieValue);
+
       // If nothing was removed, try to match by prefix
-      if (initialLength === cookies.length && cookieValue.length > 10) {
+      if (initialLength === records.length && cookieValue.length > 10) {
         const prefix = cookieValue.substring(0, 10);
-        cookies = cookies.filter(c => !c.startsWith(prefix));
+        records = records.filter(record => !record.value.startsWith(prefix));
       }
-      
+
+      // Then by label
+      if (initialLength === records.length) {
+        records = records.filter(record => record.label !== cookieValue);
+      }
+
       // Check if any cookies were removed
-      const removed = initialLength > cookies.length;
-      
-      // Save the updated cookies array
-      fs.writeFileSync(this.options.cookiesPath, JSON.stringify(cookies, null, 2), 'utf8');
-      
+      const removed = initialLength > records.length;
+
+      // Save the updated cookies
+      this._writeRecords(records);
+
       return removed;
     } catch (error) {
       console.error('Error removing cookie:', error.message);
@@ -318,42 +615,39 @@ class Auth {
 
   /**
    * List all saved cookies
-   * @returns {Promise<Object>} - Object containing cookies
+   * @returns {Promise<Object>} - Object containing cookie values, masked values and usage details
    */
   async listCookies() {
     try {
-      if (!fs.existsSync(this.options.cookiesPath)) {
-        return { cookies: [], maskedCookies: [], count: 0 };
-      }
-      
-      let cookies = [];
-      
-      try {
-        cookies = JSON.parse(fs.readFileSync(this.options.cookiesPath, 'utf8'));
-        if (!Array.isArray(cookies)) {
-          cookies = [];
-        }
-      } catch (e) {
-        cookies = [];
-      }
-      
-      // Mask cookies for display
-      const maskedCookies = cookies.map(cookie => {
-        if (!cookie || cookie.length <= 10) return cookie || '(invalid cookie)';
-        return cookie.substring(0, 5) + '...' + cookie.substring(cookie.length - 5);
-      });
-      
-      return { 
-        cookies,
-        maskedCookies,
-        count: cookies.length 
+      const records = this._readRecords();
+
+      return {
+        cookies: records.map(record => record.value),
+        maskedCookies: records.map(record => Auth.maskCookie(record.value)),
+        // Usage metadata with masked values, safe to print
+        details: records.map(record => ({ ...record, value: Auth.maskCookie(record.value) })),
+        count: records.length
       };
     } catch (error) {
       console.error('Error listing cookies:', error.message);
-      return { cookies: [], maskedCookies: [], count: 0 };
+      return { cookies: [], maskedCookies: [], details: [], count: 0 };
     }
   }
 
+  /**
+   * Mask a cookie value for display
+   * @param {string} cookie - Cookie value, or a cookie string containing .AspNet.ApplicationCookie
+   * @returns {string} - Masked cookie
+   */
+  static maskCookie(cookie) {
+    if (!cookie) return '(invalid cookie)';
+
+    const value = Auth._extractValue(cookie);
+
+    if (value.length <= 10) return value;
+    return value.substring(0, 5) + '...' + value.substring(value.length - 5);
+  }
+
   /**
    * Get a random cookie from the cookies file
    * @returns {Promise<string|null>} - Random cookie or null if no cookies
@@ -376,23 +670,244 @@ class Auth {
   }
 
   /**
-   * Load cookies synchronously (internal use)
-   * @returns {Array} - Array of cookies
+   * Pick the next cookie with the configured rotation strategy and record its use
+   *
+   * - round-robin: the cookie that was used longest ago
+   * - least-used: the cookie with the fewest requests today
+   * - skip-exhausted: round-robin over cookies that haven't hit the daily
+   *   limit (or expired); exhausted cookies come back after the reset
+   *
+   * The use is saved to the cookies file at most every `usageSaveInterval`
+   * milliseconds (and on exit), not on every navigation.
+   *
+   * @returns {Promise<string|null>} - Cookie value or null if no cookie is usable
+   * @throws {RateLimitError} - With skip-exhausted, when every usable cookie hit the
+   *   daily limit (resetAt is when the first one comes back)
    */
-  loadCookiesSync() {
+  async getCookie() {
     try {
-      if (!fs.existsSync(this.options.cookiesPath)) {
-        return [];
+      const now = new Date(Date.now());
+      const records = this._loadRecords(now);
+      const record = Auth.pickRecord(records, this.options.strategy);
+      if (!record) {
+        const exhausted = records.filter(item => item.status === 'exhausted');
+        if (this.options.strategy === 'skip-exhausted' && exhausted.length > 0) {
+          const resetAt = exhausted.map(item => item.resetAt).filter(Boolean).sort()[0] || Utils.nextQuotaReset(now);
+          throw new RateLimitError(`Every saved cookie hit the KBBI daily search limit (first one resets at ${resetAt})`, { resetAt });
+        }
+        return null;
       }
-      
-      const data = fs.readFileSync(this.options.cookiesPath, 'utf8');
+
+      record.lastUsedAt = now.toISOString();
+      record.requestsToday++;
+      record.totalRequests++;
+      record.resetAt = record.resetAt || Utils.nextQuotaReset(now);
+
+      const usage = this.pendingUsage.get(record.value) || { count: 0 };
+      this.pendingUsage.set(record.value, { count: usage.count + 1, lastUsedAt: record.lastUsedAt, resetAt: record.resetAt });
+
+      if (now.getTime() - this.usageSavedAt >= this.options.usageSaveInterval) {
+        this.saveUsage();
+      } else if (!this.saveUsageOnExit) {
+        this.saveUsageOnExit = () => this.saveUsage();
+        process.once('exit', this.saveUsageOnExit);
+      }
+      return record.value;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.error('Error getting cookie:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Choose a cookie record with a rotation strategy
+   * @param {Object[]} records - Cookie records
+   * @param {string} strategy - One of Auth.STRATEGIES
+   * @returns {Object|null} - Chosen record or null
+   */
+  static pickRecord(records, strategy = 'skip-exhausted') {
+    let candidates = records;
+    if (strategy === 'skip-exhausted') {
+      candidates = records.filter(record => record.status === 'active');
+    }
+    if (candidates.length === 0) return null;
+
+    // Never-used cookies first, then the one used longest ago
+    const lastUsed = record => (record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0);
+    const byLastUsed = (a, b) => lastUsed(a) - lastUsed(b);
+
+    const sorted = [...candidates].sort(strategy === 'least-used'
+      ? (a, b) => (a.requestsToday - b.requestsToday) || byLastUsed(a, b)
+      : byLastUsed);
+
+    return sorted[0];
+  }
+
+  /**
+   * Record that a request made with a cookie failed
+   * A RateLimitError marks the cookie as exhausted until the daily limit resets.
+   * @param {string} cookie - Cookie value or cookie string used for the request
+   * @param {Error} error - Error the request failed with
+   */
+  recordFailure(cookie, error) {
+    if (!cookie || !error) return;
+
+    try {
+      const value = Auth._extractValue(cookie);
+      const records = this._readRecords();
+      const record = records.find(item => item.value === value);
+      if (!record) return;
+
+      record.lastFailure = {
+        at: new Date(Date.now()).toISOString(),
+        error: error.name || 'Error',
+        message: error.message
+      };
+
+      if (error.name === 'RateLimitError') {
+        record.status = 'exhausted';
+        record.resetAt = error.resetAt || Utils.nextQuotaReset(new Date(Date.now()));
+      }
+
+      this._writeRecords(records);
+    } catch (e) {
+      console.error('Error recording cookie failure:', e.message);
+    }
+  }
+
+  /**
+   * Check every saved cookie by loading a KBBI page with it
+   *
+   * A cookie is `valid` when the page shows the logged-in menu
+   * (KBBIParser.checkAuthentication()), `expired` when it doesn't, and
+   * `blocked` when Cloudflare or the daily search limit kept us from telling.
+   * Cookies that couldn't be checked at all come back as `error`.
+   *
+   * @param {Object} options - Check options
+   * @param {boolean} options.prune - Remove expired cookies from the cookies file
+   * @param {string} options.url - Page to load (the home page doesn't count as a search)
+   * @param {boolean} options.headless - Run the browser in headless mode
+   * @param {string|Object} options.transport - Page transport for the checks
+   * @param {Scheduler} options.scheduler - Scheduler for the checks
+   * @param {Function} options.onResult - Called with each result as it comes in
+   * @returns {Promise<Object[]>} - One result per cookie ({ cookie, label, result, reason, checkedAt, pruned })
+   */
+  async validateCookies(options = {}) {
+    const {
+      prune = false,
+      url = this.endpoints.homeUrl(),
+      headless = true,
+      transport = 'playwright',
+      scheduler = null,
+      onResult = null
+    } = options;
+
+    const results = [];
+    const expired = new Set();
+
+    for (const record of this._readRecords()) {
+      const cookieString = `.AspNet.ApplicationCookie=${record.value}`;
+      const result = {
+        cookie: Auth.maskCookie(record.value),
+        label: record.label,
+        result: 'error',
+        reason: null,
+        checkedAt: new Date().toISOString()
+      };
+
+      let browser = null;
+      let failure = null;
+
       try {
-        const cookies = JSON.parse(data);
-        return Array.isArray(cookies) ? cookies : [];
-      } catch (parseError) {
-        console.error('Error parsing cookies file:', parseError.message);
-        return [];
+        browser = new BrowserManager({ headless, stealth: true, transport, scheduler, endpoints: this.endpoints });
+        if (!(await browser.initBrowser())) {
+          throw new Error('Failed to initialize browser');
+        }
+        await browser.setCustomCookie(cookieString);
+
+        const html = await browser.navigateTo(url);
+        if (!html) {
+          throw new Error('Failed to fetch page content');
+        }
+
+        const parser = new KBBIParser(html);
+        if (await browser.checkCloudflare()) {
+          failure = new CloudflareBlockError();
+          result.result = 'blocked';
+          result.reason = 'Cloudflare challenge';
+        } else if (parser.checkQuotaExceeded()) {
+          failure = new RateLimitError(undefined, { resetAt: Utils.nextQuotaReset() });
+          result.result = 'blocked';
+          result.reason = 'Daily search limit reached';
+        } else if (parser.checkAuthentication()) {
+          result.result = 'valid';
+        } else {
+          failure = new AuthenticationError('Session cookie is no longer logged in');
+          result.result = 'expired';
+          result.reason = 'Not logged in';
+        }
+      } catch (error) {
+        failure = error;
+        result.reason = error.message;
+      } finally {
+        if (browser) {
+          await browser.close();
+        }
+      }
+
+      this._recordCheck(record.value, result, failure);
+      if (result.result === 'expired') {
+        expired.add(record.value);
+        result.pruned = prune;
+      }
+      results.push(result);
+
+      if (onResult) {
+        onResult(result);
       }
+    }
+
+    if (prune && expired.size > 0) {
+      this._writeRecords(this._readRecords().filter(record => !expired.has(record.value)));
+    }
+
+    return results;
+  }
+
+  /**
+   * Store the outcome of a cookie check in the cookie's record
+   * @private
+   * @param {string} value - Cookie value
+   * @param {Object} result - Check result from validateCookies()
+   * @param {Error|null} failure - Error describing a failed check
+   */
+  _recordCheck(value, result, failure) {
+    if (failure) {
+      this.recordFailure(value, failure);
+    }
+
+    const records = this._readRecords();
+    const record = records.find(item => item.value === value);
+    if (!record) return;
+
+    record.lastCheckedAt = result.checkedAt;
+    if (result.result === 'valid' && record.status === 'expired') {
+      record.status = 'active';
+    } else if (result.result === 'expired') {
+      record.status = 'expired';
+    }
+
+    this._writeRecords(records);
+  }
+
+  /**
+   * Load cookies synchronously (internal use)
+   * @returns {Array} - Array of cookie values
+   */
+  loadCookiesSync() {
+    try {
+      return this._readRecords().map(record => record.value);
     } catch (error) {
       console.error('Error loading cookies:', error.message);
       return [];
@@ -412,11 +927,13 @@ class Auth {
    * @returns {Promise<string|null>} - Cookie string or null if no cookies
    */
   async getCookieString() {
-    const cookie = await this.getRandomCookie();
+    const cookie = await this.getCookie();
     if (!cookie) return null;
     
     return `.AspNet.ApplicationCookie=${cookie}`;
   }
 }
 
-module.exports = Auth; 
\ No newline at end of file
+Auth.STRATEGIES = ['round-robin', 'least-used', 'skip-exhausted'];
+
+module.exports = Auth;
@@ -0,0 +1,262 @@
+const path = require('path');
+const fs = require('fs');
+const Cache = require('./cache');
+const Utils = require('./utils');
+
+/**
+ * Batch lookups with JSONL output and resumable progress
+ *
+ * Each successful result is appended to the output file as one JSON line,
+ * failures (not found, Cloudflare blocks, other errors) to a separate
+ * failures file. A checkpoint file records which words are done so that an
+ * interrupted run picks up where it stopped.
+ */
+class BatchRunner {
+  /**
+   * @param {KBBI} kbbi - KBBI instance used for the lookups
+   * @param {Object} options - Batch options
+   * @param {string} options.output - Path of the JSONL results file
+   * @param {string} options.failures - Path of the JSONL failures file
+   * @param {string} options.checkpoint - Path of the checkpoint file
+   * @param {string} options.mode - 'lookup' or 'scrape'
+   * @param {number} options.concurrency - Number of words looked up at the same time
+   * @param {Function} options.onProgress - Called with progress info after each word
+   */
+  constructor(kbbi, options = {}) {
+    this.kbbi = kbbi;
+    this.options = {
+      output: 'kbbi-batch.results.jsonl',
+      failures: null,
+      checkpoint: null,
+      mode: 'lookup',
+      concurrency: 1,
+      stopOnRateLimit: true, // Stop (keeping progress) when the daily search limit is hit
+      onProgress: null,
+      ...options
+    };
+
+    const base = this.options.output.replace(/\.results\.jsonl$|\.jsonl$/, '');
+    this.options.failures = this.options.failures || `${base}.failures.jsonl`;
+    this.options.checkpoint = this.options.checkpoint || `${base}.checkpoint.json`;
+
+    this.stopped = false;
+    this.rateLimitError = null;
+  }
+
+  /**
+   * Build default output paths for an input file
+   * @param {string|null} inputPath - Word list path, or null for stdin
+   * @returns {string} - Results file path
+   */
+  static defaultOutput(inputPath) {
+    if (!inputPath || inputPath === '-') return 'kbbi-batch.results.jsonl';
+
+    const parsed = path.parse(inputPath);
+    return path.join(parsed.dir, `${parsed.name}.results.jsonl`);
+  }
+
+  /**
+   * Parse a word list
+   * One word per line; blank lines and lines starting with # are ignored.
+   * JSON lines with a `word` property (e.g. a previous failures file) are accepted too.
+   * @param {string} text - Word list content
+   * @returns {string[]} - Unique words in input order
+   */
+  static parseWords(text) {
+    const words = [];
+    const seen = new Set();
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      let line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      if (line.startsWith('{')) {
+        try {
+          line = String(JSON.parse(line).word || '').trim();
+        } catch (error) {
+          continue;
+        }
+        if (!line) continue;
+      }
+
+      const key = Cache.normalizeWord(line);
+      if (!seen.has(key)) {
+        seen.add(key);
+        words.push(line);
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Read all of a stream (stdin) as text
+   * @param {Object} stream - Readable stream
+   * @returns {Promise<string>} - Stream content
+   */
+  static readStream(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Load the checkpoint, if the previous run for these outputs was interrupted
+   * @returns {Object|null} - Checkpoint ({ done, succeeded, failed }) or null
+   */
+  loadCheckpoint() {
+    try {
+      if (fs.existsSync(this.options.checkpoint)) {
+        const data = JSON.parse(fs.readFileSync(this.options.checkpoint, 'utf8'));
+        if (data && Array.isArray(data.done)) {
+          return data;
+        }
+      }
+    } catch (error) {
+      console.error('Error loading checkpoint:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Write the checkpoint
+   * @param {Set<string>} done - Normalized words that are done
+   * @param {Object} counts - Success and failure counts
+   */
+  saveCheckpoint(done, counts) {
+    const data = {
+      version: 1,
+      output: this.options.output,
+      failures: this.options.failures,
+      updatedAt: new Date().toISOString(),
+      ...counts,
+      done: Array.from(done)
+    };
+
+    Utils.writeFileAtomic(this.options.checkpoint, JSON.stringify(data));
+  }
+
+  /**
+   * Stop after the words currently being looked up
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Look up all words
+   * @param {string[]} words - Words to look up
+   * @returns {Promise<Object>} - Summary ({ total, succeeded, failed, skipped, stopped, ... })
+   */
+  async run(words) {
+    const { output, failures, checkpoint, mode } = this.options;
+
+    const previous = this.loadCheckpoint();
+    const done = new Set(previous ? previous.done : []);
+    const counts = {
+      succeeded: previous ? previous.succeeded || 0 : 0,
+      failed: previous ? previous.failed || 0 : 0
+    };
+
+    if (!previous) {
+      // Fresh run: start with empty output files
+      for (const file of [output, failures]) {
+        Utils.ensureDirectory(path.dirname(path.resolve(file)));
+        fs.writeFileSync(file, '', 'utf8');
+      }
+    }
+
+    const queue = words.filter(word => !done.has(Cache.normalizeWord(word)));
+    const summary = {
+      total: words.length,
+      skipped: words.length - queue.length,
+      resumed: !!previous,
+      output,
+      failures,
+      checkpoint
+    };
+
+    let finished = 0;
+    const processWord = async (word) => {
+      let failure = null;
+
+      try {
+        const result = await this.kbbi[mode](word);
+
+        if (!result || !result.entries || result.entries.length === 0) {
+          failure = {
+            word,
+            error: 'NotFoundError',
+            message: `Word "${word}" not found in KBBI`,
+            mirip: (result && result.mirip) || []
+          };
+        } else {
+          fs.appendFileSync(output, JSON.stringify(result) + '\n', 'utf8');
+          counts.succeeded++;
+        }
+      } catch (error) {
+        if (error.name === 'RateLimitError' && this.options.stopOnRateLimit) {
+          // Every following word would fail too: leave this word for the resumed run
+          this.rateLimitError = this.rateLimitError || error;
+          this.stop();
+          return;
+        }
+
+        failure = {
+          word,
+          error: error.name || 'Error',
+          message: error.message
+        };
+      }
+
+      if (failure) {
+        failure.failedAt = new Date().toISOString();
+        fs.appendFileSync(failures, JSON.stringify(failure) + '\n', 'utf8');
+        counts.failed++;
+      }
+
+      done.add(Cache.normalizeWord(word));
+      this.saveCheckpoint(done, counts);
+      finished++;
+
+      if (this.options.onProgress) {
+        this.options.onProgress({
+          word,
+          failure,
+          completed: summary.skipped + finished,
+          total: words.length,
+          ...counts
+        });
+      }
+    };
+
+    // Workers pull words from the shared queue
+    let next = 0;
+    const worker = async () => {
+      while (!this.stopped && next < queue.length) {
+        await processWord(queue[next++]);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, this.options.concurrency); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    summary.stopped = this.stopped && summary.skipped + finished < words.length;
+    summary.rateLimitError = this.rateLimitError;
+
+    // A finished run doesn't need its checkpoint anymore
+    if (!summary.stopped && fs.existsSync(checkpoint)) {
+      fs.unlinkSync(checkpoint);
+    }
+
+    return { ...summary, ...counts };
+  }
+}
+
+module.exports = BatchRunner;
@@ -1,40 +1,149 @@
-const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const {
+  USER_AGENT,
+  ACCEPT_LANGUAGE,
+  isChallengePage,
+  PlaywrightTransport,
+  HttpTransport
+} = require('./transport');
+const Scheduler = require('./scheduler');
+const Endpoints = require('./endpoints');
+const { Recorder, ReplayTransport } = require('./recorder');
 
 class BrowserManager {
   constructor(options = {}) {
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.requestCount = 0;
+    this.cookies = [];
+    this.lastResponse = null;
+    this.ready = false;
     this.config = {
       headless: true,
       debug: false,
       timeout: 30000,
       stealth: true,
+      browser: null,       // Shared Playwright browser, only the context is closed on close()
+      launcher: null,      // Async function returning a shared browser (used by SessionPool)
+      transport: 'playwright', // 'playwright', 'http' or a custom transport object
+      fallback: true,      // Retry in the browser when another transport hits a challenge
+      scheduler: null,     // Scheduler for navigations (defaults to the shared one, false to disable)
+      endpoints: null,     // KBBI site the session cookies belong to (see lib/endpoints.js)
+      baseUrl: null,       // Shorthand for endpoints.baseUrl
+      record: null,        // Directory to save every fetched page to (see lib/recorder.js)
+      replay: null,        // Directory of recorded pages to serve instead of the network
       ...options
     };
+
+    // Replayed sessions never touch the network, not even to fall back to the browser
+    if (this.config.replay) {
+      this.config.transport = new ReplayTransport(this.config.replay);
+      this.config.fallback = false;
+    }
+    this.recorder = this.config.record ? new Recorder(this.config.record) : null;
+    this.endpoints = Endpoints.from(this.config.endpoints || this.config.baseUrl);
+
+    this.scheduler = this.config.scheduler === false
+      ? null
+      : this.config.scheduler || Scheduler.getDefault();
+
+    this.browserTransport = new PlaywrightTransport(this);
+    this.transport = this._createTransport(this.config.transport);
+  }
+
+  /**
+   * Resolve the transport option
+   * @private
+   * @param {string|Object} transport - Transport name or object
+   * @returns {Object} - Transport
+   */
+  _createTransport(transport) {
+    if (!transport || transport === 'playwright') return this.browserTransport;
+    if (transport === 'http') return new HttpTransport({ timeout: this.config.timeout });
+    if (typeof transport.fetch === 'function') return transport;
+    throw new Error(`Unknown transport: ${transport}`);
+  }
+
+  /**
+   * Whether pages are rendered in Playwright without trying another transport first
+   * @returns {boolean}
+   */
+  usesBrowserOnly() {
+    return this.transport === this.browserTransport;
+  }
+
+  /**
+   * Launch a Chromium instance with the anti-detection flags
+   * Used directly by SessionPool so that several sessions can share one browser
+   *
+   * @param {Object} options - Launch options
+   * @param {boolean} options.headless - Whether to run headless
+   * @returns {Promise<Object>} - Playwright browser
+   */
+  static async launchBrowser(options = {}) {
+    // Required here so that parsing and the HTTP transport work without Playwright installed
+    const { chromium } = require('playwright');
+
+    return chromium.launch({
+      headless: options.headless !== false,
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        '--disable-web-security',
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-extensions'
+      ]
+    });
   }
 
+  /**
+   * Prepare the manager for navigation
+   * With a non-browser transport Chromium is only launched when a fallback is needed
+   * @returns {Promise<boolean>} - Whether initialization was successful
+   */
   async initBrowser() {
-    if (this.browser) return true;
+    if (!this.usesBrowserOnly()) {
+      this.ready = true;
+      return true;
+    }
+
+    return this._launch();
+  }
+
+  /**
+   * Get the Playwright page, launching the browser if needed
+   * @private
+   * @returns {Promise<Object|null>} - Playwright page or null if the launch failed
+   */
+  async _ensurePage() {
+    if (!this.page) {
+      await this._launch();
+    }
+    return this.page;
+  }
+
+  /**
+   * Launch (or attach to) a browser and open a context and page
+   * @private
+   * @returns {Promise<boolean>} - Whether the launch was successful
+   */
+  async _launch() {
+    if (this.context) return true;
 
     try {
-      this.browser = await chromium.launch({
-        headless: this.config.headless,
-        args: [
-          '--disable-blink-features=AutomationControlled',
-          '--disable-web-security',
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-extensions'
-        ]
-      });
+      // Reuse a shared browser when one is provided (see SessionPool)
+      if (this.config.launcher) {
+        this.browser = await this.config.launcher();
+      } else {
+        this.browser = this.config.browser || await BrowserManager.launchBrowser(this.config);
+      }
 
       this.context = await this.browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        userAgent: USER_AGENT,
         viewport: { width: 1280, height: 800 },
         deviceScaleFactor: 1,
         hasTouch: false,
@@ -50,6 +159,12 @@ class BrowserManager {
       this.page = await this.context.newPage();
       await this._setHeaders();
 
+      // Apply cookies that were set before the browser was needed
+      if (this.cookies.length > 0) {
+        await this.context.addCookies(this.cookies);
+      }
+
+      this.ready = true;
       return true;
     } catch (error) {
       console.error('Failed to initialize browser:', error);
@@ -67,7 +182,7 @@ class BrowserManager {
 
   async _setHeaders() {
     await this.page.setExtraHTTPHeaders({
-      'Accept-Language': 'id-ID,id;q=0.9,en-US;q=0.8,en;q=0.7',
+      'Accept-Language': ACCEPT_LANGUAGE,
       'sec-ch-ua': '"Not(A:Brand";v="99", "Chromium";v="124"',
       'sec-ch-ua-mobile': '?0'
     });
@@ -102,12 +217,15 @@ class BrowserManager {
    * @returns {Promise<boolean>} - Whether the operation was successful
    */
   async setCustomCookie(cookieString) {
-    if (!this.context || !cookieString) return false;
+    if (!this.ready || !cookieString) return false;
     
     try {
       const cookies = this._parseCookieString(cookieString);
       if (cookies.length > 0) {
-        await this.context.addCookies(cookies);
+        this._rememberCookies(cookies);
+        if (this.context) {
+          await this.context.addCookies(cookies);
+        }
         return true;
       }
       return false;
@@ -117,6 +235,26 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Keep cookies for non-browser transports and for a later browser launch
+   * @private
+   * @param {Object[]} cookies - Cookies in Playwright format
+   */
+  _rememberCookies(cookies) {
+    for (const cookie of cookies) {
+      this.cookies = this.cookies.filter(c => c.name !== cookie.name);
+      this.cookies.push({ name: cookie.name, value: cookie.value, domain: cookie.domain, path: cookie.path || '/' });
+    }
+  }
+
+  /**
+   * Get the remembered cookies as a Cookie header value
+   * @returns {string} - Cookie string
+   */
+  getCookieString() {
+    return this.cookies.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
   _parseCookieData(cookieData) {
     const cookies = [];
     
@@ -129,7 +267,7 @@ class BrowserManager {
         cookies.push({
           name,
           value,
-          domain: 'kbbi.kemdikbud.go.id',
+          domain: this.endpoints.cookieDomain,
           path: '/'
         });
       }
@@ -143,12 +281,13 @@ class BrowserManager {
     const pairs = cookieString.split(';');
     
     for (const pair of pairs) {
-      if (pair.includes('=')) {
-        const [name, value] = pair.split('=', 2);
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        // Values may contain = themselves (base64)
         cookies.push({
-          name: name.trim(),
-          value: value.trim(),
-          domain: 'kbbi.kemdikbud.go.id',
+          name: pair.slice(0, index).trim(),
+          value: pair.slice(index + 1).trim(),
+          domain: this.endpoints.cookieDomain,
           path: '/'
         });
       }
@@ -182,27 +321,103 @@ class BrowserManager {
   }
 
   async navigateTo(url, options = {}) {
-    if (!this.page) return null;
+    if (!this.ready) return null;
+
+    this.requestCount++;
 
     try {
-      await this.page.goto(url, {
-        waitUntil: 'domcontentloaded',
+      const fetchPage = () => this._fetch(url, {
         timeout: this.config.timeout,
         ...options
       });
 
-      if (this.config.stealth) {
-        await this.page.waitForTimeout(200);
+      // All navigations go through the scheduler for concurrency and rate limits
+      const response = this.scheduler
+        ? await this.scheduler.schedule(fetchPage, {
+          host: Scheduler.hostOf(url),
+          cookie: this.getCookieString()
+        })
+        : await fetchPage();
+
+      this.lastResponse = response;
+
+      if (this.recorder) {
+        this.recorder.save(url, response);
       }
 
-      return await this.page.content();
+      return response.html;
     } catch (error) {
+      // A page missing from the recording is a mistake in the replay, not a network hiccup
+      if (error.name === 'ReplayMissError') throw error;
+
       console.error('Navigation error:', error);
       return null;
     }
   }
 
+  /**
+   * Fetch a page with the configured transport, falling back to the browser
+   * when the transport fails or lands on a challenge page
+   * @private
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Transport options
+   * @returns {Promise<Object>} - Response with transport name
+   */
+  async _fetch(url, options) {
+    if (!this.usesBrowserOnly()) {
+      const name = this.transport.name || 'custom';
+      const sentCookies = this.getCookieString();
+      let response = null;
+
+      try {
+        response = await this.transport.fetch(url, {
+          ...options,
+          cookies: sentCookies
+        });
+      } catch (error) {
+        if (!this.config.fallback) throw error;
+        if (this.config.debug) {
+          console.log(`Debug: ${name} transport failed (${error.message}), falling back to browser`);
+        }
+      }
+
+      if (response) {
+        // Keep cookies the server set or refreshed (a new session cookie,
+        // Cloudflare clearance) for the next request
+        if (response.cookies && response.cookies !== sentCookies) {
+          const cookies = this._parseCookieString(response.cookies);
+          this._rememberCookies(cookies);
+          if (this.context) {
+            await this.context.addCookies(cookies);
+          }
+        }
+
+        const blocked = response.status === 403 || response.status === 503 || isChallengePage(response.html);
+        if (!blocked || !this.config.fallback) {
+          return { ...response, transport: name };
+        }
+        if (this.config.debug) {
+          console.log(`Debug: ${name} transport hit a challenge page, falling back to browser`);
+        }
+      }
+    }
+
+    const response = await this.browserTransport.fetch(url, options);
+
+    // Keep clearance cookies earned in the browser for the next transport request
+    if (!this.usesBrowserOnly() && this.context) {
+      this._rememberCookies(await this.context.cookies());
+    }
+
+    return { ...response, transport: this.browserTransport.name };
+  }
+
   async checkCloudflare() {
+    // Pages fetched without the browser are checked on their HTML
+    if (this.lastResponse && this.lastResponse.transport !== this.browserTransport.name) {
+      return isChallengePage(this.lastResponse.html);
+    }
+
     if (!this.page) return false;
 
     try {
@@ -224,12 +439,19 @@ class BrowserManager {
   }
 
   async close() {
-    if (this.browser) {
+    if (this.config.browser || this.config.launcher) {
+      // The browser belongs to someone else, only close our context
+      if (this.context) {
+        await this.context.close();
+      }
+    } else if (this.browser) {
       await this.browser.close();
-      this.browser = null;
-      this.context = null;
-      this.page = null;
     }
+
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+    this.ready = false;
   }
 }
 
@@ -0,0 +1,380 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const Config = require('./config');
+const Endpoints = require('./endpoints');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent on-disk cache for lookup and scrape results
+ *
+ * Records are stored one per file inside the cache directory, with an
+ * index.json that tracks keys, sizes and expiry so that stats and pruning
+ * don't need to open every record.
+ *
+ * Several processes may share a cache (a batch run and a lookup, say). The
+ * index is read again whenever another process has replaced it, and every
+ * change is made to the index as it is on disk right before it is written
+ * back, so one process doesn't drop the records another one added.
+ */
+class Cache {
+  constructor(options = {}) {
+    this.options = {
+      cacheDir: path.join(Config.getPaths().cache, 'results'),
+      ttl: 7 * DAY_MS,          // Results with entries
+      notFoundTtl: DAY_MS,      // Results without entries (word may be added later)
+      maxEntries: 5000,
+      maxSize: 50 * 1024 * 1024, // 50 MB
+      ...options
+    };
+
+    this.indexPath = path.join(this.options.cacheDir, 'index.json');
+    this.index = null;
+    this.indexStamp = null;
+  }
+
+  /**
+   * Normalize a word so that different spellings of the same lookup share a key
+   * @param {string} word - Word to normalize
+   * @returns {string} Normalized word
+   */
+  static normalizeWord(word) {
+    return String(word || '')
+      .normalize('NFC')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+  }
+
+  /**
+   * Get the cache directory for results from a KBBI site
+   * Results from another site (a mirror or the mock server) get their own directory.
+   * @param {string} baseUrl - Base URL of the site
+   * @returns {string} Cache directory
+   */
+  static dirFor(baseUrl = Endpoints.DEFAULTS.baseUrl) {
+    const dir = path.join(Config.getPaths().cache, 'results');
+    return baseUrl === Endpoints.DEFAULTS.baseUrl
+      ? dir
+      : `${dir}-${new URL(baseUrl).host.replace(/[^\w.-]+/g, '_')}`;
+  }
+
+  /**
+   * Build the cache key for a word result
+   * @param {string} word - Word that was looked up
+   * @param {string} mode - Result type ('lookup' or 'scrape')
+   * @returns {string} Cache key
+   */
+  static wordKey(word, mode = 'lookup') {
+    return `${mode}:${Cache.normalizeWord(word)}`;
+  }
+
+  /**
+   * Build the cache key for a single entry
+   * @param {string|number} eid - KBBI entry ID
+   * @returns {string} Cache key
+   */
+  static eidKey(eid) {
+    return `eid:${eid}`;
+  }
+
+  /**
+   * Load the index from disk, unless it hasn't changed since it was last read
+   * @private
+   */
+  _loadIndex() {
+    const stamp = this._indexStamp();
+    if (this.index && stamp === this.indexStamp) return this.index;
+
+    this.index = { version: 1, entries: {} };
+    this.indexStamp = stamp;
+    try {
+      if (stamp) {
+        const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        if (data && data.entries && typeof data.entries === 'object') {
+          this.index = data;
+        }
+      }
+    } catch (error) {
+      console.error('Error loading cache index:', error.message);
+    }
+
+    return this.index;
+  }
+
+  /**
+   * Write the index back to disk
+   * Callers load the index first and change it without waiting in between,
+   * so what is written is the latest index with their change.
+   * @private
+   */
+  _saveIndex() {
+    Utils.ensureDirectory(this.options.cacheDir);
+    Utils.writeFileAtomic(this.indexPath, JSON.stringify(this.index));
+    this.indexStamp = this._indexStamp();
+  }
+
+  /**
+   * Identify the current index file
+   * Every write renames a new file into place, which changes the inode.
+   * @private
+   * @returns {string|null} Stamp, or null when there is no index file
+   */
+  _indexStamp() {
+    try {
+      const stat = fs.statSync(this.indexPath);
+      return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the file name for a cache key
+   * @private
+   */
+  _fileFor(key) {
+    return crypto.createHash('sha1').update(key).digest('hex') + '.json';
+  }
+
+  /**
+   * Get a cached record
+   * @param {string} key - Cache key
+   * @returns {Object|null} Record ({ key, fetchedAt, expiresAt, authenticated, data }) or null if missing or expired
+   */
+  get(key) {
+    const meta = this._loadIndex().entries[key];
+    if (!meta) return null;
+    if (Date.parse(meta.expiresAt) <= Date.now()) return null;
+
+    try {
+      const filePath = path.join(this.options.cacheDir, meta.file);
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      // Record file is gone or corrupt, forget about it
+      delete this.index.entries[key];
+      this._saveIndex();
+      return null;
+    }
+  }
+
+  /**
+   * Store a record
+   * @param {string} key - Cache key
+   * @param {Object} data - Data to cache
+   * @param {Object} options - Record options
+   * @param {boolean} options.authenticated - Whether the data was fetched with a logged-in session
+   * @param {number} options.ttl - Time to live in milliseconds (defaults to the cache TTL)
+   * @param {string} options.fetchedAt - Fetch timestamp (defaults to now)
+   * @returns {Object} Stored record
+   */
+  set(key, data, options = {}) {
+    const index = this._loadIndex();
+    const fetchedAt = options.fetchedAt || new Date().toISOString();
+    const ttl = options.ttl !== undefined ? options.ttl : this.options.ttl;
+
+    const record = {
+      key,
+      fetchedAt,
+      expiresAt: new Date(Date.parse(fetchedAt) + ttl).toISOString(),
+      authenticated: !!options.authenticated,
+      data
+    };
+
+    try {
+      Utils.ensureDirectory(this.options.cacheDir);
+      const file = this._fileFor(key);
+      const content = JSON.stringify(record);
+      fs.writeFileSync(path.join(this.options.cacheDir, file), content, 'utf8');
+
+      index.entries[key] = {
+        file,
+        size: Buffer.byteLength(content),
+        fetchedAt: record.fetchedAt,
+        expiresAt: record.expiresAt,
+        authenticated: record.authenticated
+      };
+
+      this._enforceLimits();
+      this._saveIndex();
+    } catch (error) {
+      console.error('Error writing cache:', error.message);
+    }
+
+    return record;
+  }
+
+  /**
+   * Remove a record
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether a record was removed
+   */
+  delete(key) {
+    const index = this._loadIndex();
+    if (!index.entries[key]) return false;
+
+    this._removeFile(index.entries[key].file);
+    delete index.entries[key];
+    this._saveIndex();
+    return true;
+  }
+
+  /**
+   * Remove all records
+   * @returns {number} Number of records removed
+   */
+  clear() {
+    const index = this._loadIndex();
+    const keys = Object.keys(index.entries);
+
+    for (const key of keys) {
+      this._removeFile(index.entries[key].file);
+    }
+
+    this.index = { version: 1, entries: {} };
+    if (fs.existsSync(this.options.cacheDir)) {
+      this._saveIndex();
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * Remove expired records and enforce the size limits
+   * @returns {Object} Number of expired and evicted records
+   */
+  prune() {
+    const index = this._loadIndex();
+    const now = Date.now();
+    let expired = 0;
+
+    for (const [key, meta] of Object.entries(index.entries)) {
+      if (Date.parse(meta.expiresAt) <= now) {
+        this._removeFile(meta.file);
+        delete index.entries[key];
+        expired++;
+      }
+    }
+
+    const evicted = this._enforceLimits();
+    if (fs.existsSync(this.options.cacheDir)) {
+      this._saveIndex();
+    }
+
+    return { expired, evicted };
+  }
+
+  /**
+   * Go through the stored records, expired ones included
+   * @param {string} prefix - Only keys starting with this (e.g. 'lookup:')
+   * @returns {Iterable<Object>} Records ({ key, fetchedAt, expiresAt, authenticated, data })
+   */
+  *records(prefix = '') {
+    const keys = Object.keys(this._loadIndex().entries).filter(key => key.startsWith(prefix));
+
+    for (const key of keys) {
+      const meta = this.index.entries[key];
+      if (!meta) continue;
+
+      try {
+        yield JSON.parse(fs.readFileSync(path.join(this.options.cacheDir, meta.file), 'utf8'));
+      } catch (error) {
+        // Record file is gone or corrupt, get() cleans it up
+      }
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Statistics
+   */
+  stats() {
+    const entries = Object.entries(this._loadIndex().entries);
+    const now = Date.now();
+
+    const stats = {
+      cacheDir: this.options.cacheDir,
+      entries: entries.length,
+      words: 0,
+      eids: 0,
+      expired: 0,
+      authenticated: 0,
+      size: 0,
+      maxEntries: this.options.maxEntries,
+      maxSize: this.options.maxSize,
+      oldest: null,
+      newest: null
+    };
+
+    for (const [key, meta] of entries) {
+      if (key.startsWith('eid:')) {
+        stats.eids++;
+      } else {
+        stats.words++;
+      }
+      if (Date.parse(meta.expiresAt) <= now) stats.expired++;
+      if (meta.authenticated) stats.authenticated++;
+      stats.size += meta.size || 0;
+
+      if (!stats.oldest || meta.fetchedAt < stats.oldest) stats.oldest = meta.fetchedAt;
+      if (!stats.newest || meta.fetchedAt > stats.newest) stats.newest = meta.fetchedAt;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Evict the oldest records until the cache is within its limits
+   * @private
+   * @returns {number} Number of evicted records
+   */
+  _enforceLimits() {
+    const index = this._loadIndex();
+    const entries = Object.entries(index.entries);
+    let totalSize = entries.reduce((sum, [, meta]) => sum + (meta.size || 0), 0);
+    let count = entries.length;
+
+    if (count <= this.options.maxEntries && totalSize <= this.options.maxSize) {
+      return 0;
+    }
+
+    // Expired records first, then oldest first
+    const now = Date.now();
+    const isExpired = meta => Date.parse(meta.expiresAt) <= now;
+    entries.sort((a, b) => {
+      if (isExpired(a[1]) !== isExpired(b[1])) return isExpired(a[1]) ? -1 : 1;
+      return a[1].fetchedAt < b[1].fetchedAt ? -1 : 1;
+    });
+
+    let evicted = 0;
+    for (const [key, meta] of entries) {
+      if (count <= this.options.maxEntries && totalSize <= this.options.maxSize) break;
+
+      this._removeFile(meta.file);
+      delete index.entries[key];
+      totalSize -= meta.size || 0;
+      count--;
+      evicted++;
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Delete a record file, ignoring files that are already gone
+   * @private
+   */
+  _removeFile(file) {
+    try {
+      fs.unlinkSync(path.join(this.options.cacheDir, file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing cache file:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = Cache;
@@ -0,0 +1,222 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * Per-user directories and the config file
+ *
+ * Directories follow the XDG base directory layout:
+ *
+ *   config  $XDG_CONFIG_HOME/kbbi  (~/.config/kbbi)        config.json
+ *   data    $XDG_DATA_HOME/kbbi    (~/.local/share/kbbi)   saved cookies
+ *   cache   $XDG_CACHE_HOME/kbbi   (~/.cache/kbbi)         result cache, debug files
+ *
+ * On Windows %APPDATA% and %LOCALAPPDATA% are used instead. Setting KBBI_HOME
+ * puts everything in one directory (config.json, data/ and cache/ inside it).
+ */
+class Config {
+  /**
+   * Get the config, data and cache directories
+   * The first call also moves data left in the package directory by older versions.
+   * @param {Object} env - Environment variables
+   * @returns {Object} - { config, data, cache }
+   */
+  static getPaths(env = process.env) {
+    const paths = Config.resolvePaths(env);
+
+    if (!Config.migrated && env === process.env) {
+      Config.migrated = true;
+      Config.migrateLegacyData(paths);
+    }
+
+    return paths;
+  }
+
+  /**
+   * Work out the directories without touching the file system
+   * @param {Object} env - Environment variables
+   * @returns {Object} - { config, data, cache }
+   */
+  static resolvePaths(env = process.env) {
+    if (env.KBBI_HOME) {
+      const home = path.resolve(env.KBBI_HOME);
+      return {
+        config: home,
+        data: path.join(home, 'data'),
+        cache: path.join(home, 'cache')
+      };
+    }
+
+    const home = os.homedir();
+
+    if (process.platform === 'win32' && !env.XDG_CONFIG_HOME) {
+      const roaming = env.APPDATA || path.join(home, 'AppData', 'Roaming');
+      const local = env.LOCALAPPDATA || path.join(home, 'AppData', 'Local');
+      return {
+        config: path.join(roaming, 'kbbi'),
+        data: path.join(roaming, 'kbbi', 'data'),
+        cache: path.join(local, 'kbbi', 'cache')
+      };
+    }
+
+    return {
+      config: path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'kbbi'),
+      data: path.join(env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'kbbi'),
+      cache: path.join(env.XDG_CACHE_HOME || path.join(home, '.cache'), 'kbbi')
+    };
+  }
+
+  /**
+   * Find the config file
+   * Looked up in order: $KBBI_CONFIG, ./.kbbirc, <config dir>/config.json, ~/.kbbirc
+   * @param {Object} env - Environment variables
+   * @returns {string|null} - Path of the first config file that exists
+   */
+  static findConfigFile(env = process.env) {
+    if (env.KBBI_CONFIG) return env.KBBI_CONFIG;
+
+    const candidates = [
+      path.join(process.cwd(), '.kbbirc'),
+      path.join(Config.resolvePaths(env).config, 'config.json'),
+      path.join(os.homedir(), '.kbbirc')
+    ];
+
+    return candidates.find(file => fs.existsSync(file)) || null;
+  }
+
+  /**
+   * Load the config file, merged over the defaults
+   * Unknown keys are kept so newer config files still load.
+   * @param {Object} options - Options
+   * @param {string} options.file - Config file to read instead of looking one up
+   * @returns {Object} - Config values
+   */
+  static load(options = {}) {
+    const file = options.file || Config.findConfigFile();
+    let values = {};
+
+    if (file) {
+      try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+      }
+
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Invalid config file ${file}: expected a JSON object`);
+      }
+    }
+
+    if (values.format && !Config.FORMATS.includes(values.format)) {
+      throw new Error(`Invalid config file ${file}: format must be one of ${Config.FORMATS.join(', ')}`);
+    }
+
+    const { endpoints } = values;
+    if (endpoints !== undefined && (!endpoints || typeof endpoints !== 'object' || Array.isArray(endpoints))) {
+      throw new Error(`Invalid config file ${file}: endpoints must be an object (see lib/endpoints.js)`);
+    }
+
+    return { ...Config.DEFAULTS, ...values, file };
+  }
+
+  /**
+   * Move data written by older versions from the package directory
+   * Cookies go to the data directory and the result cache to the cache
+   * directory. Nothing is overwritten: files already in the new location win.
+   * Moves are reported on stderr, so they don't end up in --json output.
+   * @param {Object} paths - Directories from getPaths()
+   * @param {string} legacyDir - Old data directory
+   * @returns {Array<Object>} - Moved paths ({ from, to })
+   */
+  static migrateLegacyData(paths, legacyDir = path.join(__dirname, '..', 'data')) {
+    const moved = [];
+    if (!fs.existsSync(legacyDir) || path.resolve(legacyDir) === path.resolve(paths.data)) return moved;
+
+    const moves = [
+      [path.join(legacyDir, 'kbbi-cookies.json'), path.join(paths.data, 'kbbi-cookies.json')],
+      [path.join(legacyDir, 'kbbi-cookie.json'), path.join(paths.data, 'kbbi-cookie.json')],
+      [path.join(legacyDir, 'cache'), path.join(paths.cache, 'results')]
+    ];
+
+    for (const [from, to] of moves) {
+      try {
+        if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        Config._move(from, to);
+        moved.push({ from, to });
+        console.error(`Moved ${from} to ${to}`);
+      } catch (error) {
+        console.error(`Error migrating ${from}: ${error.message}`);
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Move a file or directory
+   * Falls back to copying when renaming fails (another file system, or a
+   * read-only package directory, in which case the original stays behind).
+   * @private
+   */
+  static _move(from, to) {
+    try {
+      fs.renameSync(from, to);
+      return;
+    } catch (error) {
+      Config._copy(from, to);
+    }
+
+    try {
+      Config._remove(from);
+    } catch (error) {
+      // The copy is used from now on
+    }
+  }
+
+  /**
+   * Copy a file or directory tree
+   * @private
+   */
+  static _copy(from, to) {
+    if (fs.statSync(from).isDirectory()) {
+      fs.mkdirSync(to, { recursive: true });
+      for (const name of fs.readdirSync(from)) {
+        Config._copy(path.join(from, name), path.join(to, name));
+      }
+    } else {
+      fs.copyFileSync(from, to);
+    }
+  }
+
+  /**
+   * Remove a file or directory tree
+   * @private
+   */
+  static _remove(target) {
+    if (fs.statSync(target).isDirectory()) {
+      for (const name of fs.readdirSync(target)) {
+        Config._remove(path.join(target, name));
+      }
+      fs.rmdirSync(target);
+    } else {
+      fs.unlinkSync(target);
+    }
+  }
+}
+
+// Output formats for the CLI ('text' is the terminal renderer, see lib/renderers)
+Config.FORMATS = ['text', 'terminal', 'plain', 'markdown', 'html', 'json'];
+
+Config.DEFAULTS = {
+  headless: true,
+  timeout: null,                       // Page load timeout (ms), null for the built-in defaults
+  format: 'text',                      // CLI output: one of Config.FORMATS
+  cookieStrategy: 'skip-exhausted',
+  cacheTtl: 7 * 24 * 60 * 60 * 1000    // How long results stay cached (ms)
+};
+
+Config.migrated = false;
+
+module.exports = Config;
@@ -0,0 +1,292 @@
+const path = require('path');
+const fs = require('fs');
+const Cache = require('./cache');
+const Utils = require('./utils');
+const { entryKey } = require('./schema');
+
+/**
+ * Breadth-first crawl through related-word links
+ *
+ * Starting from seed words, every entry found links to more words: its root
+ * word (rootWord) and the related words in `terkait` (kata turunan, gabungan
+ * kata, peribahasa, idiom). Those are looked up in turn, nearest first, up to
+ * `depth` links away from a seed and at most `limit` words in total.
+ *
+ * Results go to a JSONL file like BatchRunner's, with a `crawl` property
+ * ({ depth, from }) added. Entries are deduplicated by eid (or by headword and
+ * homonym number when KBBI didn't give one): a word whose entries were all
+ * seen before writes no line and isn't followed further. The frontier file
+ * holds the words still to visit and everything seen so far, written after
+ * every word, so an interrupted or rate-limited crawl resumes where it stopped.
+ * Lookups go through the KBBI instance, so its scheduler sets the pace.
+ */
+class Crawler {
+  /**
+   * @param {KBBI} kbbi - KBBI instance used for the lookups
+   * @param {Object} options - Crawl options
+   * @param {string} options.output - Path of the JSONL results file
+   * @param {string} options.failures - Path of the JSONL failures file
+   * @param {string} options.checkpoint - Path of the frontier file
+   * @param {string} options.mode - 'lookup' or 'scrape'
+   * @param {number} options.depth - Links to follow away from the seeds
+   * @param {number} options.limit - Maximum number of words to look up, counting resumed runs
+   * @param {string[]} options.relations - Links to follow (see Crawler.RELATIONS)
+   * @param {number} options.concurrency - Number of words looked up at the same time
+   * @param {Function} options.onProgress - Called with progress info after each word
+   */
+  constructor(kbbi, options = {}) {
+    this.kbbi = kbbi;
+    this.options = {
+      output: 'kbbi-crawl.results.jsonl',
+      failures: null,
+      checkpoint: null,
+      mode: 'lookup',
+      depth: 2,
+      limit: 1000,
+      relations: Crawler.RELATIONS,
+      concurrency: 1,
+      stopOnRateLimit: true, // Stop (keeping the frontier) when the daily search limit is hit
+      onProgress: null,
+      ...options
+    };
+
+    const unknown = this.options.relations.filter(relation => !Crawler.RELATIONS.includes(relation));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown crawl relation: ${unknown.join(', ')} (use ${Crawler.RELATIONS.join(', ')})`);
+    }
+
+    const base = this.options.output.replace(/\.results\.jsonl$|\.jsonl$/, '');
+    this.options.failures = this.options.failures || `${base}.failures.jsonl`;
+    this.options.checkpoint = this.options.checkpoint || `${base}.frontier.json`;
+
+    this.stopped = false;
+    this.rateLimitError = null;
+  }
+
+  /**
+   * Get the words an entry links to
+   * @param {Object} entry - Canonical entry
+   * @param {string[]} relations - Links to follow
+   * @returns {string[]} - Linked words
+   */
+  static links(entry, relations = Crawler.RELATIONS) {
+    const words = [];
+
+    for (const relation of relations) {
+      if (relation === 'rootWord') {
+        if (entry.rootWord) words.push(entry.rootWord);
+      } else {
+        words.push(...((entry.terkait && entry.terkait[relation]) || []));
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Load the frontier file, if a previous crawl for these outputs didn't finish
+   * @returns {Object|null} - Frontier ({ frontier, queued, entries, ... }) or null
+   */
+  loadCheckpoint() {
+    try {
+      if (fs.existsSync(this.options.checkpoint)) {
+        const data = JSON.parse(fs.readFileSync(this.options.checkpoint, 'utf8'));
+        if (data && Array.isArray(data.frontier) && Array.isArray(data.queued)) {
+          return data;
+        }
+      }
+    } catch (error) {
+      console.error('Error loading frontier:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Write the frontier file
+   * @param {Object} state - Crawl state
+   */
+  saveCheckpoint(state) {
+    const data = {
+      version: 1,
+      output: this.options.output,
+      failures: this.options.failures,
+      updatedAt: new Date().toISOString(),
+      ...state.counts,
+      // Words being looked up right now are still to do
+      frontier: [...state.active, ...state.frontier],
+      queued: Array.from(state.queued),
+      entries: Array.from(state.entries)
+    };
+
+    Utils.writeFileAtomic(this.options.checkpoint, JSON.stringify(data));
+  }
+
+  /**
+   * Stop after the words currently being looked up
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Crawl from the seed words
+   * Seeds already seen by a resumed crawl are ignored.
+   * @param {string[]} seeds - Words to start from
+   * @returns {Promise<Object>} - Summary ({ fetched, succeeded, failed, duplicates, entries, remaining, ... })
+   */
+  async run(seeds) {
+    const { output, failures, checkpoint, mode, depth, limit, relations } = this.options;
+
+    const previous = this.loadCheckpoint();
+    const state = {
+      frontier: previous ? previous.frontier : [],
+      active: new Set(),
+      queued: new Set(previous ? previous.queued : []),
+      entries: new Set(previous ? previous.entries || [] : []),
+      counts: {
+        fetched: previous ? previous.fetched || 0 : 0,
+        succeeded: previous ? previous.succeeded || 0 : 0,
+        failed: previous ? previous.failed || 0 : 0,
+        duplicates: previous ? previous.duplicates || 0 : 0
+      }
+    };
+
+    if (!previous) {
+      // Fresh crawl: start with empty output files
+      for (const file of [output, failures]) {
+        Utils.ensureDirectory(path.dirname(path.resolve(file)));
+        fs.writeFileSync(file, '', 'utf8');
+      }
+    }
+
+    const enqueue = (word, itemDepth, from) => {
+      const key = Cache.normalizeWord(word);
+      if (!key || state.queued.has(key)) return;
+
+      state.queued.add(key);
+      state.frontier.push({ word: word.trim(), depth: itemDepth, from });
+    };
+
+    for (const seed of seeds) {
+      enqueue(seed, 0, null);
+    }
+
+    const crawlWord = async (item) => {
+      let failure = null;
+
+      try {
+        const result = await this.kbbi[mode](item.word);
+        const entries = (result && result.entries) || [];
+
+        if (entries.length === 0) {
+          failure = {
+            word: item.word,
+            error: 'NotFoundError',
+            message: `Word "${item.word}" not found in KBBI`,
+            mirip: (result && result.mirip) || []
+          };
+        } else {
+          const fresh = entries.filter(entry => !state.entries.has(entryKey(entry)));
+
+          if (fresh.length === 0) {
+            state.counts.duplicates++;
+          } else {
+            fresh.forEach(entry => state.entries.add(entryKey(entry)));
+            fs.appendFileSync(output, JSON.stringify({
+              ...result,
+              entries: fresh,
+              crawl: { depth: item.depth, from: item.from }
+            }) + '\n', 'utf8');
+            state.counts.succeeded++;
+
+            if (item.depth < depth) {
+              for (const entry of fresh) {
+                Crawler.links(entry, relations).forEach(word => enqueue(word, item.depth + 1, item.word));
+              }
+            }
+          }
+        }
+      } catch (error) {
+        if (error.name === 'RateLimitError' && this.options.stopOnRateLimit) {
+          // Every following word would fail too: put this one back for the resumed crawl
+          this.rateLimitError = this.rateLimitError || error;
+          this.stop();
+          state.active.delete(item);
+          state.frontier.unshift(item);
+          state.counts.fetched--;
+          this.saveCheckpoint(state);
+          return;
+        }
+
+        failure = {
+          word: item.word,
+          error: error.name || 'Error',
+          message: error.message
+        };
+      }
+
+      if (failure) {
+        failure.depth = item.depth;
+        failure.from = item.from;
+        failure.failedAt = new Date().toISOString();
+        fs.appendFileSync(failures, JSON.stringify(failure) + '\n', 'utf8');
+        state.counts.failed++;
+      }
+
+      state.active.delete(item);
+      this.saveCheckpoint(state);
+
+      if (this.options.onProgress) {
+        this.options.onProgress({
+          word: item.word,
+          depth: item.depth,
+          failure,
+          limit,
+          remaining: state.frontier.length,
+          ...state.counts
+        });
+      }
+    };
+
+    // Workers take the nearest word left; words they find join the end of the frontier
+    const worker = async () => {
+      while (!this.stopped && state.frontier.length > 0 && state.counts.fetched < limit) {
+        const item = state.frontier.shift();
+        state.active.add(item);
+        state.counts.fetched++;
+        await crawlWord(item);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, this.options.concurrency); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    const summary = {
+      ...state.counts,
+      entries: state.entries.size,
+      remaining: state.frontier.length,
+      resumed: !!previous,
+      stopped: this.stopped,
+      limitReached: state.counts.fetched >= limit && state.frontier.length > 0,
+      rateLimitError: this.rateLimitError,
+      output,
+      failures,
+      checkpoint
+    };
+
+    // A finished crawl doesn't need its frontier anymore
+    if (state.frontier.length === 0 && !this.stopped && fs.existsSync(checkpoint)) {
+      fs.unlinkSync(checkpoint);
+    }
+
+    return summary;
+  }
+}
+
+// Links followed by default
+Crawler.RELATIONS = ['rootWord', 'kataTurunan', 'gabunganKata', 'peribahasa', 'idiom'];
+
+module.exports = Crawler;
@@ -0,0 +1,251 @@
+const Auth = require('./auth');
+
+/**
+ * Credential providers for the KBBI session cookie
+ *
+ * A provider is any object with a `name` and an async `getCookieString()`
+ * method resolving to a cookie header string
+ * (`.AspNet.ApplicationCookie=...`) or null when it has nothing to offer.
+ * Providers may also implement `recordFailure(cookieString, error)` to hear
+ * about failed requests, like the cookie file does for its rotation.
+ */
+
+/**
+ * Turn a cookie value or cookie string into a cookie header string
+ * @param {string} cookie - Bare .AspNet.ApplicationCookie value or cookie string
+ * @returns {string|null} - Cookie header string or null for empty input
+ */
+function toCookieString(cookie) {
+  if (!cookie) return null;
+
+  const trimmed = String(cookie).trim();
+  if (!trimmed) return null;
+
+  // A full cookie string (possibly with other cookies) is passed through as is
+  return trimmed.includes('=') ? trimmed : `.AspNet.ApplicationCookie=${trimmed}`;
+}
+
+/**
+ * Split a list of cookies given as an array or as a comma/newline separated string
+ * @param {string|string[]} cookies - Cookies
+ * @returns {string[]} - Cookie header strings
+ */
+function parseCookieList(cookies) {
+  const list = Array.isArray(cookies) ? cookies : String(cookies || '').split(/[\n,]/);
+  return list.map(toCookieString).filter(Boolean);
+}
+
+/**
+ * Cookies passed directly in the options, used in turn
+ */
+class InlineProvider {
+  /**
+   * @param {string|string[]} cookies - One cookie or several for rotation
+   */
+  constructor(cookies) {
+    this.name = 'inline';
+    this.cookies = parseCookieList(cookies);
+    this.next = 0;
+  }
+
+  async getCookieString() {
+    if (this.cookies.length === 0) return null;
+
+    const cookie = this.cookies[this.next % this.cookies.length];
+    this.next++;
+    return cookie;
+  }
+}
+
+/**
+ * Cookies from an environment variable (KBBI_COOKIE by default)
+ * The variable is read on every request so a rotated secret is picked up.
+ */
+class EnvProvider {
+  /**
+   * @param {string} variable - Environment variable name
+   */
+  constructor(variable = 'KBBI_COOKIE') {
+    this.name = 'env';
+    this.variable = variable;
+    this.inline = new InlineProvider([]);
+  }
+
+  async getCookieString() {
+    const value = process.env[this.variable] || '';
+    const cookies = parseCookieList(value);
+
+    if (cookies.join('\n') !== this.inline.cookies.join('\n')) {
+      this.inline = new InlineProvider(cookies);
+    }
+
+    return this.inline.getCookieString();
+  }
+}
+
+/**
+ * Cookies saved in the cookie file, rotated by Auth with its usage tracking
+ */
+class FileProvider {
+  /**
+   * @param {Auth|Object} auth - Auth instance, or Auth options (cookiesPath, strategy)
+   */
+  constructor(auth = {}) {
+    this.name = 'file';
+    this.auth = auth instanceof Auth ? auth : new Auth(auth);
+  }
+
+  async getCookieString() {
+    return this.auth.getCookieString();
+  }
+
+  recordFailure(cookieString, error) {
+    this.auth.recordFailure(cookieString, error);
+  }
+}
+
+/**
+ * Cookies from a user-supplied (async) function
+ */
+class FunctionProvider {
+  /**
+   * @param {Function} fn - Function returning a cookie value, a cookie string or null
+   * @param {Function} [onFailure] - Called with (cookieString, error) when a request fails
+   */
+  constructor(fn, onFailure = null) {
+    if (typeof fn !== 'function') {
+      throw new Error('Credential provider function is required');
+    }
+
+    this.name = fn.name || 'function';
+    this.fn = fn;
+    this.onFailure = onFailure;
+  }
+
+  async getCookieString() {
+    return toCookieString(await this.fn());
+  }
+
+  recordFailure(cookieString, error) {
+    if (this.onFailure) {
+      this.onFailure(cookieString, error);
+    }
+  }
+}
+
+/**
+ * Ordered list of credential providers
+ * The first provider returning a cookie wins. Failures are reported back to
+ * the provider that handed out the cookie.
+ */
+class Credentials {
+  /**
+   * @param {Object[]} providers - Providers in priority order
+   */
+  constructor(providers = []) {
+    this.providers = providers;
+    this.issuedBy = new Map();
+  }
+
+  /**
+   * Build credentials from KBBI options
+   *
+   * `sources` lists the sources in priority order. Each source is 'inline'
+   * (the `cookie` option), 'env' (KBBI_COOKIE), 'file' (the cookie file), an
+   * async function, or a provider object. Inline cookies are skipped when no
+   * `cookie` option is set.
+   *
+   * @param {Object} options - Options
+   * @param {Array} options.sources - Sources in priority order
+   * @param {string|string[]} options.cookie - Inline cookie(s)
+   * @param {string} options.cookieEnv - Environment variable for the 'env' source
+   * @param {Object} options.auth - Auth instance or options for the 'file' source
+   * @returns {Credentials}
+   */
+  static fromOptions(options = {}) {
+    const {
+      sources = ['inline', 'env', 'file'],
+      cookie = null,
+      cookieEnv = 'KBBI_COOKIE',
+      auth = {}
+    } = options;
+
+    const providers = [];
+    for (const source of sources) {
+      if (typeof source === 'function') {
+        providers.push(new FunctionProvider(source));
+      } else if (source && typeof source.getCookieString === 'function') {
+        providers.push(source);
+      } else if (source === 'inline') {
+        if (cookie) providers.push(new InlineProvider(cookie));
+      } else if (source === 'env') {
+        providers.push(new EnvProvider(cookieEnv));
+      } else if (source === 'file') {
+        providers.push(new FileProvider(auth));
+      } else {
+        throw new Error(`Unknown credential source: ${source} (use inline, env, file, a function or a provider)`);
+      }
+    }
+
+    return new Credentials(providers);
+  }
+
+  /**
+   * Get the Auth instance behind the cookie file source, if there is one
+   * @returns {Auth|null}
+   */
+  get auth() {
+    const file = this.providers.find(provider => provider instanceof FileProvider);
+    return file ? file.auth : null;
+  }
+
+  /**
+   * Get a cookie string from the first provider that has one
+   * A provider whose cookies all hit the daily limit is skipped; its
+   * RateLimitError is thrown when no later provider has a cookie either.
+   * @returns {Promise<string|null>} - Cookie string or null to browse without logging in
+   * @throws {RateLimitError} - When the only cookies there are hit the daily limit
+   */
+  async getCookieString() {
+    let limited = null;
+    for (const provider of this.providers) {
+      let cookieString;
+      try {
+        cookieString = toCookieString(await provider.getCookieString());
+      } catch (error) {
+        if (error.name !== 'RateLimitError') throw error;
+        limited = limited || error;
+        continue;
+      }
+      if (cookieString) {
+        this.issuedBy.set(cookieString, provider);
+        return cookieString;
+      }
+    }
+    if (limited) throw limited;
+    return null;
+  }
+
+  /**
+   * Report a failed request to the provider that handed out its cookie
+   * @param {string} cookieString - Cookie string used for the request
+   * @param {Error} error - Error the request failed with
+   */
+  recordFailure(cookieString, error) {
+    if (!cookieString || !error) return;
+
+    const provider = this.issuedBy.get(cookieString);
+    if (provider && typeof provider.recordFailure === 'function') {
+      provider.recordFailure(cookieString, error);
+    }
+  }
+}
+
+module.exports = {
+  Credentials,
+  InlineProvider,
+  EnvProvider,
+  FileProvider,
+  FunctionProvider,
+  toCookieString
+};
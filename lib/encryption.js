@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * Authenticated encryption for files holding secrets (the cookie store)
+ *
+ * Data is encrypted with AES-256-GCM. The key is derived from a secret (a
+ * passphrase or the contents of a key file) with scrypt and a random salt.
+ * The encrypted file is JSON:
+ *
+ *   { "encrypted": true, "version": 1, "cipher": "aes-256-gcm", "kdf": "scrypt",
+ *     "salt": "...", "iv": "...", "tag": "...", "data": "..." }
+ *
+ * with salt, IV, authentication tag and ciphertext in base64.
+ */
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Derive an encryption key from a secret
+ * @param {string|Buffer} secret - Passphrase or key file contents
+ * @param {Buffer} salt - Random salt stored with the data
+ * @returns {Buffer} - 256-bit key
+ */
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, KEY_LENGTH);
+}
+
+/**
+ * Check whether parsed file content is an encrypted payload
+ * @param {*} data - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncrypted(data) {
+  return !!(data && typeof data === 'object' && !Array.isArray(data) && data.encrypted === true);
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Text to encrypt
+ * @param {string|Buffer} secret - Passphrase or key file contents
+ * @param {Object} options - Options
+ * @param {Buffer} options.salt - Salt to reuse (saves deriving a new key on every write)
+ * @param {Buffer} options.key - Key already derived from the secret and salt
+ * @returns {Object} - Encrypted payload
+ */
+function encrypt(plaintext, secret, options = {}) {
+  const salt = options.salt || crypto.randomBytes(SALT_LENGTH);
+  const key = options.key || deriveKey(secret, salt);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    encrypted: true,
+    version: 1,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload created by encrypt()
+ * @param {Object} payload - Encrypted payload
+ * @param {string|Buffer} secret - Passphrase or key file contents
+ * @param {Object} options - Options
+ * @param {Buffer} options.key - Key already derived for the payload's salt
+ * @returns {string} - Decrypted text
+ * @throws {Error} - When the secret is wrong or the data was tampered with
+ */
+function decrypt(payload, secret, options = {}) {
+  if (!isEncrypted(payload) || payload.cipher !== CIPHER) {
+    throw new Error('Unsupported encrypted file format');
+  }
+
+  const key = options.key || deriveKey(secret, Buffer.from(payload.salt, 'base64'));
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    // GCM doesn't tell a wrong key from tampering
+    throw new Error('Could not decrypt: wrong passphrase or key file, or the file was modified');
+  }
+}
+
+module.exports = {
+  deriveKey,
+  isEncrypted,
+  encrypt,
+  decrypt
+};
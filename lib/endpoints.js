@@ -0,0 +1,116 @@
+/**
+ * Where the KBBI site lives
+ *
+ * Every URL the library requests and the domain session cookies are set for
+ * come from here, so a domain move or a local stand-in (lib/mock-server.js)
+ * needs no code change. Each value is taken from, in order:
+ *
+ *   1. the options passed in (`endpoints`, or `baseUrl` as a shorthand)
+ *   2. the environment: KBBI_BASE_URL, KBBI_ENTRY_PATH, KBBI_DETAILS_PATH,
+ *      KBBI_LOGIN_PATH, KBBI_COOKIE_DOMAIN
+ *   3. the "endpoints" object of the config file
+ *   4. the official site (Endpoints.DEFAULTS)
+ *
+ * Paths are relative to the base URL; {word} and {eid} are replaced with the
+ * URL-encoded word or entry ID. The cookie domain defaults to the host name
+ * of the base URL.
+ */
+class Endpoints {
+  /**
+   * @param {Object} [values] - { baseUrl, entryPath, detailsPath, loginPath, cookieDomain }
+   * @param {Object} [options] - Other sources
+   * @param {Object} [options.env] - Environment variables
+   * @param {Object} [options.config] - "endpoints" object of the config file
+   */
+  constructor(values = {}, { env = process.env, config = {} } = {}) {
+    const pick = key => values[key] || env[Endpoints.ENV[key]] || (config || {})[key] || Endpoints.DEFAULTS[key];
+
+    this.baseUrl = String(pick('baseUrl')).replace(/\/+$/, '');
+    this.entryPath = Endpoints._path(pick('entryPath'), 'entryPath', '{word}');
+    this.detailsPath = Endpoints._path(pick('detailsPath'), 'detailsPath', '{eid}');
+    this.loginPath = Endpoints._path(pick('loginPath'), 'loginPath');
+
+    let url;
+    try {
+      url = new URL(this.baseUrl);
+    } catch (error) {
+      throw new Error(`Invalid KBBI base URL: ${this.baseUrl}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Invalid KBBI base URL: ${this.baseUrl} (use http or https)`);
+    }
+
+    this.cookieDomain = pick('cookieDomain') || url.hostname;
+  }
+
+  /**
+   * Resolve an endpoints option
+   * @param {Endpoints|Object|string|null} value - Endpoints, endpoint values or a base URL
+   * @param {Object} [options] - { env, config }, see the constructor
+   * @returns {Endpoints}
+   */
+  static from(value, options = {}) {
+    if (value instanceof Endpoints) return value;
+    return new Endpoints(typeof value === 'string' ? { baseUrl: value } : value || {}, options);
+  }
+
+  /**
+   * Check a path option
+   * @private
+   */
+  static _path(value, name, placeholder = null) {
+    const pathValue = String(value);
+    if (!pathValue.startsWith('/')) {
+      throw new Error(`Invalid KBBI ${name}: ${pathValue} (must start with /)`);
+    }
+    if (placeholder && !pathValue.includes(placeholder)) {
+      throw new Error(`Invalid KBBI ${name}: ${pathValue} (must contain ${placeholder})`);
+    }
+    return pathValue;
+  }
+
+  homeUrl() {
+    return `${this.baseUrl}/`;
+  }
+
+  entryUrl(word) {
+    return this.baseUrl + this.entryPath.replace('{word}', encodeURIComponent(word));
+  }
+
+  detailsUrl(eid) {
+    return this.baseUrl + this.detailsPath.replace('{eid}', encodeURIComponent(eid));
+  }
+
+  loginUrl() {
+    return this.baseUrl + this.loginPath;
+  }
+
+  toJSON() {
+    return {
+      baseUrl: this.baseUrl,
+      entryPath: this.entryPath,
+      detailsPath: this.detailsPath,
+      loginPath: this.loginPath,
+      cookieDomain: this.cookieDomain
+    };
+  }
+}
+
+Endpoints.DEFAULTS = {
+  baseUrl: 'https://kbbi.kemdikbud.go.id',
+  entryPath: '/entri/{word}',
+  detailsPath: '/DataDasarEntri/Details?eid={eid}',
+  loginPath: '/Account/Login',
+  cookieDomain: null                   // Host name of the base URL
+};
+
+// Environment variable for each value
+Endpoints.ENV = {
+  baseUrl: 'KBBI_BASE_URL',
+  entryPath: 'KBBI_ENTRY_PATH',
+  detailsPath: 'KBBI_DETAILS_PATH',
+  loginPath: 'KBBI_LOGIN_PATH',
+  cookieDomain: 'KBBI_COOKIE_DOMAIN'
+};
+
+module.exports = Endpoints;
@@ -20,9 +20,30 @@ class NotFoundError extends Error {
 }
 
 class RateLimitError extends Error {
-  constructor(message = 'KBBI daily search limit reached. Try again tomorrow or use a different IP address.') {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Limit details
+   * @param {string|null} details.cookie - Masked cookie that hit the limit (null when no cookie was used)
+   * @param {string|null} details.resetAt - ISO timestamp when the limit is expected to reset
+   */
+  constructor(message = 'KBBI daily search limit reached. Try again tomorrow or use a different IP address.', details = {}) {
     super(message);
     this.name = 'RateLimitError';
+    this.cookie = details.cookie || null;
+    this.resetAt = details.resetAt || null;
+  }
+}
+
+class ReplayMissError extends Error {
+  /**
+   * @param {string} url - URL that has no recorded page
+   * @param {string} dir - Replay directory
+   */
+  constructor(url, dir) {
+    super(`No recorded page for ${url} in ${dir} (record it first with --record)`);
+    this.name = 'ReplayMissError';
+    this.url = url;
+    this.dir = dir;
   }
 }
 
@@ -30,5 +51,6 @@ module.exports = {
   CloudflareBlockError,
   AuthenticationError,
   NotFoundError,
-  RateLimitError
+  RateLimitError,
+  ReplayMissError
 }; 
\ No newline at end of file
@@ -0,0 +1,266 @@
+const path = require('path');
+const Utils = require('../utils');
+const { entryKey } = require('../schema');
+
+/**
+ * Anki flashcard export
+ *
+ * Writes a CSV or TSV file that Anki imports as notes (File > Import): one
+ * note per meaning, with Front and Back fields filled from a card template
+ * and tags taken from the entry. Header lines tell Anki the separator, that
+ * the fields are HTML, and which columns hold the GUID and the tags, so
+ * importing a newer export updates the notes instead of adding copies.
+ *
+ * Templates are strings with placeholders (see AnkiExporter.FIELDS):
+ *
+ *   { front: '{headword}', back: '<i>{kelasKata}</i> {definisi}<br>{contoh}' }
+ *
+ * {contoh} is the meaning's first example with the headword blanked out, so
+ * it works as a cloze-style hint on either side of the card.
+ */
+class AnkiExporter {
+  /**
+   * @param {string} file - Output file, .csv or .tsv
+   * @param {Object} options - Export options
+   * @param {string|Object} options.template - Template name (see AnkiExporter.TEMPLATES) or { front, back }
+   * @param {string} options.separator - Field separator, defaults to a tab for .tsv and .txt files, a comma otherwise
+   * @param {string} options.blank - Replaces the headword in examples
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = {
+      template: 'basic',
+      separator: /\.(tsv|txt)$/i.test(file) ? '\t' : ',',
+      blank: '____',
+      ...options
+    };
+    this.template = AnkiExporter.resolveTemplate(this.options.template);
+    this.lines = null;
+    this.keys = new Set();
+    this.counts = { results: 0, entries: 0, notes: 0, duplicates: 0 };
+  }
+
+  /**
+   * Check a template and look up template names
+   * @param {string|Object} template - Template name or { front, back }
+   * @returns {Object} - { front, back }
+   */
+  static resolveTemplate(template) {
+    if (typeof template === 'string') {
+      if (!AnkiExporter.TEMPLATES[template]) {
+        throw new Error(`Unknown Anki template: ${template} (use ${Object.keys(AnkiExporter.TEMPLATES).join(', ')}, or { front, back })`);
+      }
+      return AnkiExporter.TEMPLATES[template];
+    }
+
+    if (!template || typeof template.front !== 'string' || typeof template.back !== 'string') {
+      throw new Error('An Anki template needs "front" and "back" strings');
+    }
+
+    for (const side of [template.front, template.back]) {
+      for (const [, field] of side.matchAll(/\{(\w+)\}/g)) {
+        if (!AnkiExporter.FIELDS.includes(field)) {
+          throw new Error(`Unknown Anki template field: {${field}} (use ${AnkiExporter.FIELDS.map(name => `{${name}}`).join(', ')})`);
+        }
+      }
+    }
+
+    return { front: template.front, back: template.back };
+  }
+
+  /**
+   * Blank out the headword in an example
+   * KBBI writes the headword as "--" (or "~") in examples; it is sometimes written out in full.
+   * @param {string} text - Example text
+   * @param {string} word - Headword without syllable dots
+   * @param {string} blank - Replacement
+   * @returns {string} - Example with the headword blanked
+   */
+  static blankHeadword(text, word, blank = '____') {
+    let blanked = text.replace(/--|~/g, blank);
+
+    if (word) {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      blanked = blanked.replace(new RegExp(`(^|[^\\p{L}])${escaped}(?=$|[^\\p{L}])`, 'giu'), `$1${blank}`);
+    }
+
+    return blanked;
+  }
+
+  /**
+   * Get the tags of a note
+   * Anki tags can't contain spaces; "::" makes them hierarchical.
+   * @param {Object} entry - Canonical entry
+   * @param {Object} meaning - Meaning of the note
+   * @returns {string[]} - Tags
+   */
+  static tags(entry, meaning) {
+    const tag = text => text.trim().toLowerCase().replace(/\s+/g, '_');
+    const tags = ['kbbi'];
+
+    if (entry.jenis) tags.push(`jenis::${tag(entry.jenis)}`);
+    for (const wordClass of meaning.kelasKata) {
+      tags.push(`kelas::${tag(wordClass.nama || wordClass.kode)}`);
+    }
+    for (const language of (entry.etimologi && entry.etimologi.languages) || []) {
+      tags.push(`bahasa::${tag(language)}`);
+    }
+
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Get the template fields of a note, HTML-escaped
+   * @param {Object} entry - Canonical entry
+   * @param {Object} meaning - Meaning of the note
+   * @returns {Object} - Field values by name
+   */
+  fields(entry, meaning) {
+    const word = entry.nama.replace(/\./g, '');
+    const [example] = meaning.contoh;
+
+    const fields = {
+      headword: entry.nama + Utils.toSuperscript(entry.nomor),
+      word,
+      jenis: entry.jenis || '',
+      kelasKata: meaning.kelasKata.map(wordClass => wordClass.nama || wordClass.kode).join(', '),
+      definisi: meaning.definisi,
+      contoh: example ? AnkiExporter.blankHeadword(example.teks, word, this.options.blank) : '',
+      etimologi: (entry.etimologi && entry.etimologi.text) || '',
+      rootWord: entry.rootWord || ''
+    };
+
+    for (const name of Object.keys(fields)) {
+      fields[name] = Utils.escapeHtml(fields[name]);
+    }
+    return fields;
+  }
+
+  /**
+   * Fill in a template side
+   * Markup left empty by missing fields (like <i></i> or a trailing <br>) is dropped.
+   * @param {string} side - Template text
+   * @param {Object} fields - Field values
+   * @returns {string} - Field content for Anki
+   */
+  static render(side, fields) {
+    return side
+      .replace(/\{(\w+)\}/g, (match, name) => (name in fields ? fields[name] : match))
+      .replace(/<(\w+)[^>]*>\s*<\/\1>/g, '')
+      .replace(/^(\s*<br\s*\/?>)+|(<br\s*\/?>\s*)+$/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Quote a field for the separator
+   * @private
+   */
+  _quote(value) {
+    const text = String(value);
+    return text.includes(this.options.separator) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+
+  /**
+   * Start the file
+   * @returns {AnkiExporter}
+   */
+  open() {
+    const { separator } = this.options;
+    this.lines = [
+      `#separator:${AnkiExporter.SEPARATORS[separator] || separator}`,
+      '#html:true',
+      '#guid column:1',
+      '#tags column:4',
+      `#columns:${['GUID', 'Front', 'Back', 'Tags'].join(separator)}`
+    ];
+    return this;
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  add(result) {
+    for (const entry of result.entries) {
+      const key = entryKey(entry);
+      if (this.keys.has(key)) {
+        this.counts.duplicates++;
+        continue;
+      }
+      this.keys.add(key);
+
+      for (const meaning of entry.makna) {
+        if (!meaning.definisi) continue;
+
+        const fields = this.fields(entry, meaning);
+        this.lines.push([
+          `kbbi:${key}:${meaning.nomor}`,
+          AnkiExporter.render(this.template.front, fields),
+          AnkiExporter.render(this.template.back, fields),
+          AnkiExporter.tags(entry, meaning).join(' ')
+        ].map(value => this._quote(value)).join(this.options.separator));
+        this.counts.notes++;
+      }
+
+      this.counts.entries++;
+    }
+
+    this.counts.results++;
+  }
+
+  /**
+   * Write the file
+   * @returns {Object} - Counts ({ results, entries, notes, duplicates })
+   */
+  close() {
+    Utils.ensureDirectory(path.dirname(path.resolve(this.file)));
+
+    Utils.writeFileAtomic(this.file, this.lines.join('\n') + '\n');
+
+    return this.counts;
+  }
+}
+
+// Names Anki knows separators by in the #separator header
+AnkiExporter.SEPARATORS = { '\t': 'tab', ',': 'comma', ';': 'semicolon', '|': 'pipe' };
+
+// Placeholders templates can use
+AnkiExporter.FIELDS = ['headword', 'word', 'jenis', 'kelasKata', 'definisi', 'contoh', 'etimologi', 'rootWord'];
+
+AnkiExporter.TEMPLATES = {
+  // Word on the front, meaning on the back
+  basic: {
+    front: '{headword}',
+    back: '<i>{kelasKata}</i> {definisi}<br>{contoh}'
+  },
+  // Meaning and blanked example on the front, word on the back
+  reverse: {
+    front: '<i>{kelasKata}</i> {definisi}<br>{contoh}',
+    back: '{headword}'
+  }
+};
+
+/**
+ * Export results to an Anki-importable CSV or TSV file
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Output file
+ * @param {Object} options - See AnkiExporter
+ * @returns {Promise<Object>} - Counts ({ results, entries, notes, duplicates })
+ */
+async function exportAnki(results, file, options = {}) {
+  const exporter = new AnkiExporter(file, options).open();
+
+  for await (const result of results) {
+    exporter.add(result);
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  AnkiExporter,
+  exportAnki
+};
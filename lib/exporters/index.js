@@ -0,0 +1,32 @@
+/**
+ * Exporters for lookup and scrape results
+ *
+ * Each exporter takes an (async) iterable of canonical results, such as
+ * readResults() gives for JSONL files or the result cache.
+ */
+
+const { readJsonl, readCache, readResults } = require('./source');
+const { SqliteExporter, exportSqlite } = require('./sqlite');
+const { JsonlExporter, exportJsonl } = require('./jsonl');
+const { AnkiExporter, exportAnki } = require('./anki');
+const { StardictExporter, exportStardict } = require('./stardict');
+const { YomitanExporter, exportYomitan } = require('./yomitan');
+const { TeiExporter, exportTei } = require('./tei');
+
+module.exports = {
+  readJsonl,
+  readCache,
+  readResults,
+  SqliteExporter,
+  exportSqlite,
+  JsonlExporter,
+  exportJsonl,
+  AnkiExporter,
+  exportAnki,
+  StardictExporter,
+  exportStardict,
+  YomitanExporter,
+  exportYomitan,
+  TeiExporter,
+  exportTei
+};
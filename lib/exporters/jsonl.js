@@ -0,0 +1,205 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Utils = require('../utils');
+const { SCHEMA_VERSION, entryKey } = require('../schema');
+const packageInfo = require('../../package.json');
+
+/**
+ * JSONL dataset export with provenance
+ *
+ * Writes one canonical entry per line, each wrapped in where it came from:
+ *
+ *   { eid, key, word, entry, provenance: { url, pageType, fetchedAt,
+ *     authenticated, parserVersion, sha256, schemaVersion } }
+ *
+ * The provenance is the entry's details page when the result was scraped,
+ * the search page otherwise (see `sources` in schema/kbbi-result.schema.json).
+ * Results saved before sources were recorded still export; their sha256 and
+ * parserVersion are null.
+ *
+ * An entry that an earlier result already had is written once, so crawls and
+ * overlapping batches give a dataset without duplicates. Next to the file goes
+ * a manifest (<name>.manifest.json) with counts, the versions involved and
+ * the file's own hash.
+ */
+class JsonlExporter {
+  /**
+   * @param {string} file - Output file, replaced if it exists
+   */
+  constructor(file) {
+    this.file = file;
+    this.stream = null;
+    this.hash = null;
+    this.keys = new Set();
+    this.words = new Set();
+    this.parserVersions = new Set();
+    this.bytes = 0;
+    this.fetchedAt = { earliest: null, latest: null };
+    this.counts = { results: 0, entries: 0, words: 0, duplicates: 0, authenticated: 0, withoutHash: 0 };
+  }
+
+  /**
+   * Path of the manifest written next to an output file
+   * @param {string} file - Output file
+   * @returns {string} - e.g. kbbi.manifest.json for kbbi.jsonl
+   */
+  static manifestPath(file) {
+    return `${file.replace(/\.jsonl$/, '')}.manifest.json`;
+  }
+
+  /**
+   * Get the provenance of an entry
+   * @param {Object} entry - Canonical entry
+   * @param {Object} result - Canonical result the entry is from
+   * @returns {Object} - { url, pageType, fetchedAt, authenticated, parserVersion, sha256, schemaVersion }
+   */
+  static provenance(entry, result) {
+    const sources = result.sources || [];
+    const source = (entry.id && sources.find(page => page.pageType === 'details' && page.eid === entry.id))
+      || sources.find(page => page.pageType === 'search')
+      || null;
+
+    return {
+      url: source ? source.url : result.url || null,
+      pageType: source ? source.pageType : result.pageType || null,
+      fetchedAt: source ? source.fetchedAt : result.fetchedAt || null,
+      authenticated: source ? source.authenticated : result.authenticated,
+      parserVersion: result.parserVersion || null,
+      sha256: source ? source.sha256 : null,
+      schemaVersion: SCHEMA_VERSION
+    };
+  }
+
+  /**
+   * Open the output file
+   * @returns {JsonlExporter}
+   */
+  open() {
+    Utils.ensureDirectory(path.dirname(path.resolve(this.file)));
+
+    // Write to a temporary file first so a failed export leaves the old dataset alone
+    this.stream = fs.createWriteStream(`${this.file}.tmp`, { encoding: 'utf8' });
+    this.hash = crypto.createHash('sha256');
+    return this;
+  }
+
+  /**
+   * Write a line, waiting when the stream's buffer is full
+   * @private
+   */
+  async _write(line) {
+    this.hash.update(line);
+    this.bytes += Buffer.byteLength(line);
+
+    if (!this.stream.write(line)) {
+      await new Promise((resolve, reject) => {
+        this.stream.once('drain', resolve);
+        this.stream.once('error', reject);
+      });
+    }
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  async add(result) {
+    for (const entry of result.entries) {
+      const key = entryKey(entry);
+      if (this.keys.has(key)) {
+        this.counts.duplicates++;
+        continue;
+      }
+      this.keys.add(key);
+
+      const provenance = JsonlExporter.provenance(entry, result);
+      await this._write(JSON.stringify({
+        eid: entry.id,
+        key,
+        word: result.word,
+        entry,
+        provenance
+      }) + '\n');
+
+      this.counts.entries++;
+      if (provenance.authenticated) this.counts.authenticated++;
+      if (!provenance.sha256) this.counts.withoutHash++;
+      if (provenance.parserVersion) this.parserVersions.add(provenance.parserVersion);
+      if (provenance.fetchedAt) {
+        if (!this.fetchedAt.earliest || provenance.fetchedAt < this.fetchedAt.earliest) {
+          this.fetchedAt.earliest = provenance.fetchedAt;
+        }
+        if (!this.fetchedAt.latest || provenance.fetchedAt > this.fetchedAt.latest) {
+          this.fetchedAt.latest = provenance.fetchedAt;
+        }
+      }
+    }
+
+    this.words.add(result.word);
+    this.counts.results++;
+  }
+
+  /**
+   * Finish the output file and write the manifest
+   * @returns {Promise<Object>} - Manifest
+   */
+  async close() {
+    await new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+    fs.renameSync(`${this.file}.tmp`, this.file);
+
+    const manifest = {
+      generator: { name: packageInfo.name, version: packageInfo.version },
+      createdAt: new Date().toISOString(),
+      schemaVersion: SCHEMA_VERSION,
+      parserVersions: Array.from(this.parserVersions).sort((a, b) => a - b),
+      file: {
+        name: path.basename(this.file),
+        sha256: this.hash.digest('hex'),
+        bytes: this.bytes
+      },
+      counts: { ...this.counts, words: this.words.size },
+      fetchedAt: this.fetchedAt
+    };
+
+    fs.writeFileSync(JsonlExporter.manifestPath(this.file), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    return manifest;
+  }
+
+  /**
+   * Drop the partly written output file
+   */
+  abort() {
+    this.stream.destroy();
+    fs.rmSync(`${this.file}.tmp`, { force: true });
+  }
+}
+
+/**
+ * Export results to a JSONL dataset with a manifest
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Output file
+ * @returns {Promise<Object>} - Manifest
+ */
+async function exportJsonl(results, file) {
+  const exporter = new JsonlExporter(file).open();
+
+  try {
+    for await (const result of results) {
+      await exporter.add(result);
+    }
+  } catch (error) {
+    exporter.abort();
+    throw error;
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  JsonlExporter,
+  exportJsonl
+};
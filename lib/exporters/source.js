@@ -0,0 +1,89 @@
+const fs = require('fs');
+const readline = require('readline');
+const { SCHEMA_VERSION, normalizeResult } = require('../schema');
+
+/**
+ * Results to export
+ *
+ * Exporters take any (async) iterable of results. These read them from the
+ * JSONL files written by `kbbi batch`, `kbbi crawl` and `--json` runs, or
+ * from the result cache, and hand out canonical results (see lib/schema.js).
+ */
+
+/**
+ * Read the results in a JSONL file
+ * Lines without entries (failures files, "not found" results) are skipped.
+ * @param {string} file - JSONL file
+ * @returns {AsyncIterable<Object>} - Canonical results
+ */
+async function* readJsonl(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${lineNumber}: invalid JSON (${error.message})`);
+    }
+
+    if (data && Array.isArray(data.entries) && data.entries.length > 0) {
+      yield normalizeResult(data);
+    }
+  }
+}
+
+/**
+ * Read the lookup and scrape results in the result cache
+ * Expired results are included; results cached with an older result model aren't.
+ * @param {Cache} cache - Result cache
+ * @returns {Iterable<Object>} - Canonical results
+ */
+function* readCache(cache) {
+  for (const prefix of ['lookup:', 'scrape:']) {
+    for (const record of cache.records(prefix)) {
+      const { data } = record;
+      if (!data || data.schemaVersion !== SCHEMA_VERSION || !data.entries || data.entries.length === 0) continue;
+
+      yield normalizeResult({
+        ...data,
+        authenticated: record.authenticated,
+        fetchedAt: record.fetchedAt
+      });
+    }
+  }
+}
+
+/**
+ * Read results from JSONL files, or from the cache when no file is given
+ * @param {Object} sources - Where to read from
+ * @param {string[]} sources.files - JSONL files
+ * @param {Cache} sources.cache - Result cache, read when there are no files
+ * @returns {AsyncIterable<Object>} - Canonical results
+ */
+async function* readResults({ files = [], cache = null } = {}) {
+  if (files.length === 0) {
+    if (cache) yield* readCache(cache);
+    return;
+  }
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Results file not found: ${file}`);
+    }
+    yield* readJsonl(file);
+  }
+}
+
+module.exports = {
+  readJsonl,
+  readCache,
+  readResults
+};
@@ -0,0 +1,301 @@
+const path = require('path');
+const fs = require('fs');
+const Utils = require('../utils');
+const { entryKey } = require('../schema');
+
+/**
+ * SQLite export of lookup and scrape results
+ *
+ * Entries go into normalized tables keyed by eid (see SqliteExporter.SCHEMA).
+ * Entries fetched without logging in have no eid; they are keyed by headword
+ * and homonym number instead ("nama:cinta#1", see entryKey() in lib/schema.js).
+ *
+ * Exporting into an existing database upserts: an entry that is already there
+ * is replaced with all its meanings, examples, etymology and related words,
+ * unless the stored copy was fetched later than the one being exported. So
+ * repeated exports of a growing cache or crawl keep the database in sync.
+ *
+ * Uses sql.js (an optional dependency, SQLite compiled to WebAssembly), so no
+ * native build is needed.
+ */
+class SqliteExporter {
+  /**
+   * @param {string} file - Database file, created if it doesn't exist
+   */
+  constructor(file) {
+    this.file = file;
+    this.db = null;
+    this.statements = null;
+    this.counts = { results: 0, entries: 0, unchanged: 0 };
+  }
+
+  /**
+   * Load sql.js
+   * @private
+   */
+  static _loadSqlJs() {
+    try {
+      return require('sql.js');
+    } catch (error) {
+      throw new Error('SQLite export needs the sql.js package: npm install sql.js');
+    }
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<SqliteExporter>}
+   */
+  async open() {
+    const SQL = await SqliteExporter._loadSqlJs()();
+
+    this.db = fs.existsSync(this.file)
+      ? new SQL.Database(fs.readFileSync(this.file))
+      : new SQL.Database();
+
+    const [version] = this.db.exec('PRAGMA user_version')[0].values[0];
+    if (version > SqliteExporter.VERSION) {
+      this.db.close();
+      throw new Error(`${this.file} was written by a newer version (database version ${version})`);
+    }
+
+    this.db.run('PRAGMA foreign_keys = ON');
+    this.db.exec(SqliteExporter.SCHEMA);
+    this.db.run(`PRAGMA user_version = ${SqliteExporter.VERSION}`);
+    this.db.run('BEGIN');
+
+    this.statements = {};
+    for (const [name, sql] of Object.entries(SqliteExporter.STATEMENTS)) {
+      this.statements[name] = this.db.prepare(sql);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  async add(result) {
+    const { statements } = this;
+    const fetchedAt = result.fetchedAt || null;
+
+    for (const entry of result.entries) {
+      const eid = entryKey(entry);
+      const stored = statements.fetchedAt.get([eid]);
+      statements.fetchedAt.reset();
+
+      if (stored.length > 0 && stored[0] && fetchedAt && stored[0] > fetchedAt) {
+        this.counts.unchanged++;
+      } else {
+        this._writeEntry(eid, entry, result, fetchedAt);
+        this.counts.entries++;
+      }
+
+      if (result.word) {
+        statements.lookup.run([result.word, eid]);
+      }
+    }
+
+    this.counts.results++;
+  }
+
+  /**
+   * Replace an entry and everything that belongs to it
+   * @private
+   */
+  _writeEntry(eid, entry, result, fetchedAt) {
+    const { statements } = this;
+
+    statements.entry.run([
+      eid,
+      entry.id,
+      entry.nama,
+      entry.nomor,
+      entry.jenis,
+      entry.rootWord,
+      result.authenticated ? 1 : 0,
+      fetchedAt
+    ]);
+
+    // Meaning classes and examples go with their meanings, languages with the etymology
+    statements.deleteMeanings.run([eid]);
+    statements.deleteEtymology.run([eid]);
+    statements.deleteRelated.run([eid]);
+
+    for (const meaning of entry.makna) {
+      statements.meaning.run([eid, meaning.nomor, meaning.definisi, meaning.kiasan ? 1 : 0]);
+
+      meaning.kelasKata.forEach((wordClass, index) => {
+        statements.wordClass.run([wordClass.kode, wordClass.nama]);
+        statements.meaningClass.run([eid, meaning.nomor, wordClass.kode, index + 1]);
+      });
+
+      for (const example of meaning.contoh) {
+        statements.example.run([eid, meaning.nomor, example.nomor, example.teks]);
+      }
+    }
+
+    if (entry.etimologi) {
+      statements.etymology.run([eid, entry.etimologi.text]);
+      entry.etimologi.languages.forEach((language, index) => {
+        statements.etymologyLanguage.run([eid, index + 1, language]);
+      });
+    }
+
+    for (const [relation, words] of Object.entries(entry.terkait)) {
+      words.forEach((word, index) => statements.related.run([eid, relation, word, index + 1]));
+    }
+  }
+
+  /**
+   * Commit and write the database file
+   * @returns {Promise<Object>} - Counts ({ results, entries, unchanged })
+   */
+  async close() {
+    if (!this.db) return this.counts;
+
+    try {
+      for (const statement of Object.values(this.statements)) {
+        statement.free();
+      }
+      this.db.run('COMMIT');
+
+      const dir = path.dirname(path.resolve(this.file));
+      Utils.ensureDirectory(dir);
+
+      Utils.writeFileAtomic(this.file, Buffer.from(this.db.export()));
+    } finally {
+      this.db.close();
+      this.db = null;
+    }
+
+    return this.counts;
+  }
+}
+
+// Bump when SCHEMA changes incompatibly (stored as PRAGMA user_version)
+SqliteExporter.VERSION = 1;
+
+SqliteExporter.SCHEMA = `
+CREATE TABLE IF NOT EXISTS entries (
+  eid TEXT PRIMARY KEY,            -- KBBI entry ID, or nama:<headword>#<homonym number> without one
+  kbbi_id TEXT,                    -- KBBI entry ID (NULL when fetched without logging in)
+  nama TEXT NOT NULL,              -- Headword with syllable dots, e.g. cin.ta
+  nomor TEXT,                      -- Homonym number
+  jenis TEXT,                      -- Entry type, e.g. turunan
+  root_word TEXT,
+  authenticated INTEGER NOT NULL DEFAULT 0,
+  fetched_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS lookups (
+  word TEXT NOT NULL,              -- Word that was looked up
+  eid TEXT NOT NULL REFERENCES entries (eid) ON DELETE CASCADE,
+  PRIMARY KEY (word, eid)
+);
+
+CREATE TABLE IF NOT EXISTS meanings (
+  eid TEXT NOT NULL REFERENCES entries (eid) ON DELETE CASCADE,
+  nomor INTEGER NOT NULL,
+  definisi TEXT NOT NULL,
+  kiasan INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (eid, nomor)
+);
+
+CREATE TABLE IF NOT EXISTS word_classes (
+  kode TEXT PRIMARY KEY,           -- e.g. n, v, ki, Jw
+  nama TEXT NOT NULL DEFAULT ''    -- e.g. Nomina
+);
+
+CREATE TABLE IF NOT EXISTS meaning_classes (
+  eid TEXT NOT NULL,
+  meaning INTEGER NOT NULL,
+  kode TEXT NOT NULL REFERENCES word_classes (kode),
+  position INTEGER NOT NULL,
+  PRIMARY KEY (eid, meaning, kode),
+  FOREIGN KEY (eid, meaning) REFERENCES meanings (eid, nomor) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS examples (
+  eid TEXT NOT NULL,
+  meaning INTEGER NOT NULL,
+  nomor INTEGER NOT NULL,
+  teks TEXT NOT NULL,
+  PRIMARY KEY (eid, meaning, nomor),
+  FOREIGN KEY (eid, meaning) REFERENCES meanings (eid, nomor) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS etymologies (
+  eid TEXT PRIMARY KEY REFERENCES entries (eid) ON DELETE CASCADE,
+  text TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS etymology_languages (
+  eid TEXT NOT NULL REFERENCES etymologies (eid) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  language TEXT NOT NULL,
+  PRIMARY KEY (eid, position)
+);
+
+CREATE TABLE IF NOT EXISTS related (
+  eid TEXT NOT NULL REFERENCES entries (eid) ON DELETE CASCADE,
+  relation TEXT NOT NULL,          -- kataTurunan, gabunganKata, peribahasa or idiom
+  word TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (eid, relation, word)
+);
+
+CREATE INDEX IF NOT EXISTS related_word ON related (word);
+CREATE INDEX IF NOT EXISTS lookups_eid ON lookups (eid);
+`;
+
+SqliteExporter.STATEMENTS = {
+  fetchedAt: 'SELECT fetched_at FROM entries WHERE eid = ?',
+  entry: `INSERT INTO entries (eid, kbbi_id, nama, nomor, jenis, root_word, authenticated, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (eid) DO UPDATE SET
+      kbbi_id = excluded.kbbi_id, nama = excluded.nama, nomor = excluded.nomor, jenis = excluded.jenis,
+      root_word = excluded.root_word, authenticated = excluded.authenticated, fetched_at = excluded.fetched_at`,
+  lookup: 'INSERT OR IGNORE INTO lookups (word, eid) VALUES (?, ?)',
+  deleteMeanings: 'DELETE FROM meanings WHERE eid = ?',
+  deleteEtymology: 'DELETE FROM etymologies WHERE eid = ?',
+  deleteRelated: 'DELETE FROM related WHERE eid = ?',
+  // A repeated meaning number replaces the earlier meaning
+  meaning: 'INSERT OR REPLACE INTO meanings (eid, nomor, definisi, kiasan) VALUES (?, ?, ?, ?)',
+  // Keep a known class name when a page only gave the code
+  wordClass: `INSERT INTO word_classes (kode, nama) VALUES (?, ?)
+    ON CONFLICT (kode) DO UPDATE SET nama = excluded.nama WHERE excluded.nama <> ''`,
+  meaningClass: 'INSERT OR IGNORE INTO meaning_classes (eid, meaning, kode, position) VALUES (?, ?, ?, ?)',
+  example: 'INSERT OR REPLACE INTO examples (eid, meaning, nomor, teks) VALUES (?, ?, ?, ?)',
+  etymology: 'INSERT INTO etymologies (eid, text) VALUES (?, ?)',
+  etymologyLanguage: 'INSERT INTO etymology_languages (eid, position, language) VALUES (?, ?, ?)',
+  related: 'INSERT OR IGNORE INTO related (eid, relation, word, position) VALUES (?, ?, ?, ?)'
+};
+
+/**
+ * Export results to a SQLite database
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Database file, created or updated
+ * @returns {Promise<Object>} - Counts ({ results, entries, unchanged })
+ */
+async function exportSqlite(results, file) {
+  const exporter = await new SqliteExporter(file).open();
+
+  try {
+    for await (const result of results) {
+      await exporter.add(result);
+    }
+  } catch (error) {
+    // Leave the database file as it was
+    exporter.db.close();
+    exporter.db = null;
+    throw error;
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  SqliteExporter,
+  exportSqlite
+};
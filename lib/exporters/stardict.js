@@ -0,0 +1,183 @@
+const path = require('path');
+const fs = require('fs');
+const Utils = require('../utils');
+const { entryKey } = require('../schema');
+const { entryContent, toHtml } = require('../renderers/content');
+
+/**
+ * StarDict dictionary export
+ *
+ * Writes the files StarDict, GoldenDict and KOReader read: <name>.ifo (book
+ * info), <name>.idx (sorted headword index), <name>.dict (HTML articles) and
+ * <name>.syn (other forms pointing at an article). Homonyms share an article
+ * under their headword without syllable dots. Derived forms listed under
+ * kata turunan that have no article of their own point to the article of
+ * their root. Links between words use bword://, which StarDict readers follow.
+ *
+ * Articles have to be sorted, so the whole dataset is held in memory.
+ */
+class StardictExporter {
+  /**
+   * @param {string} file - Output path, with or without .ifo; the other files go next to it
+   * @param {Object} options - Export options
+   * @param {string} options.title - Dictionary name
+   * @param {string} options.description - Dictionary description
+   * @param {Date} options.date - Date written into the .ifo (default: today)
+   */
+  constructor(file, options = {}) {
+    this.base = file.replace(/\.ifo$/, '');
+    this.options = {
+      title: 'KBBI',
+      description: 'Kamus Besar Bahasa Indonesia',
+      date: new Date(),
+      ...options
+    };
+    this.keys = new Set();
+    this.articles = new Map();
+    this.derived = new Map();
+    this.counts = { results: 0, entries: 0, articles: 0, synonyms: 0, duplicates: 0 };
+  }
+
+  /**
+   * Compare headwords the way StarDict sorts its index
+   * (ASCII case-insensitive first, then byte by byte)
+   * @param {Buffer} a - UTF-8 headword
+   * @param {Buffer} b - UTF-8 headword
+   * @returns {number} - Negative, zero or positive
+   */
+  static compare(a, b) {
+    const lower = byte => (byte >= 0x41 && byte <= 0x5A ? byte + 0x20 : byte);
+    const length = Math.min(a.length, b.length);
+
+    for (let i = 0; i < length; i++) {
+      const difference = lower(a[i]) - lower(b[i]);
+      if (difference !== 0) return difference;
+    }
+    return a.length - b.length || Buffer.compare(a, b);
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  add(result) {
+    for (const entry of result.entries) {
+      const key = entryKey(entry);
+      if (this.keys.has(key)) {
+        this.counts.duplicates++;
+        continue;
+      }
+      this.keys.add(key);
+
+      const headword = entry.nama.replace(/\./g, '');
+      if (!this.articles.has(headword)) this.articles.set(headword, []);
+      this.articles.get(headword).push(entry);
+
+      for (const word of entry.terkait.kataTurunan) {
+        if (!this.derived.has(word)) this.derived.set(word, headword);
+      }
+      this.counts.entries++;
+    }
+
+    this.counts.results++;
+  }
+
+  /**
+   * Write the dictionary files
+   * @returns {Object} - Counts ({ results, entries, articles, synonyms, duplicates })
+   */
+  close() {
+    Utils.ensureDirectory(path.dirname(path.resolve(this.base)));
+
+    const link = word => `bword://${word}`;
+    const words = Array.from(this.articles.keys())
+      .map(word => ({ word, bytes: Buffer.from(word, 'utf8') }))
+      .sort((a, b) => StardictExporter.compare(a.bytes, b.bytes));
+
+    const dict = [];
+    const idx = [];
+    const positions = new Map();
+    let offset = 0;
+
+    words.forEach(({ word, bytes }, index) => {
+      // Homonyms in order of their number
+      const entries = this.articles.get(word)
+        .sort((a, b) => (parseInt(a.nomor, 10) || 0) - (parseInt(b.nomor, 10) || 0));
+      const article = Buffer.from(entries
+        .map(entry => toHtml(entryContent(entry), { link }))
+        .join('<hr>'), 'utf8');
+
+      const position = Buffer.alloc(8);
+      position.writeUInt32BE(offset, 0);
+      position.writeUInt32BE(article.length, 4);
+      idx.push(bytes, Buffer.from([0]), position);
+      dict.push(article);
+      positions.set(word, index);
+      offset += article.length;
+    });
+
+    const synonyms = Array.from(this.derived.entries())
+      .filter(([word]) => !this.articles.has(word))
+      .map(([word, root]) => ({ bytes: Buffer.from(word, 'utf8'), index: positions.get(root) }))
+      .sort((a, b) => StardictExporter.compare(a.bytes, b.bytes));
+
+    const syn = [];
+    for (const { bytes, index } of synonyms) {
+      const position = Buffer.alloc(4);
+      position.writeUInt32BE(index, 0);
+      syn.push(bytes, Buffer.from([0]), position);
+    }
+
+    const idxData = Buffer.concat(idx);
+    const { title, description, date } = this.options;
+    const ifo = [
+      "StarDict's dict ifo file",
+      'version=3.0.0',
+      `bookname=${title}`,
+      `wordcount=${words.length}`,
+      ...(synonyms.length > 0 ? [`synwordcount=${synonyms.length}`] : []),
+      `idxfilesize=${idxData.length}`,
+      // Values end at the line break
+      `description=${description.replace(/\r?\n/g, '<br>')}`,
+      `date=${date.toISOString().slice(0, 10).replace(/-/g, '.')}`,
+      'sametypesequence=h',
+      ''
+    ].join('\n');
+
+    fs.writeFileSync(`${this.base}.dict`, Buffer.concat(dict));
+    fs.writeFileSync(`${this.base}.idx`, idxData);
+    if (synonyms.length > 0) {
+      fs.writeFileSync(`${this.base}.syn`, Buffer.concat(syn));
+    } else {
+      fs.rmSync(`${this.base}.syn`, { force: true });
+    }
+    // The .ifo last: readers look for it first
+    fs.writeFileSync(`${this.base}.ifo`, ifo, 'utf8');
+
+    this.counts.articles = words.length;
+    this.counts.synonyms = synonyms.length;
+    return this.counts;
+  }
+}
+
+/**
+ * Export results to a StarDict dictionary
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Output path (<name> or <name>.ifo)
+ * @param {Object} options - See StardictExporter
+ * @returns {Promise<Object>} - Counts ({ results, entries, articles, synonyms, duplicates })
+ */
+async function exportStardict(results, file, options = {}) {
+  const exporter = new StardictExporter(file, options);
+
+  for await (const result of results) {
+    exporter.add(result);
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  StardictExporter,
+  exportStardict
+};
@@ -0,0 +1,282 @@
+const path = require('path');
+const Utils = require('../utils');
+const { RELATED_TYPES, entryKey } = require('../schema');
+const packageInfo = require('../../package.json');
+
+/**
+ * TEI Lex-0 XML export
+ *
+ * Writes one TEI document with an <entry> per KBBI entry, following the TEI
+ * Lex-0 guidelines for dictionaries:
+ *
+ *   entry (@n: homonym number)  -> <entry xml:id="bisa.1" n="1">
+ *   nama                        -> <form type="lemma"> with <orth> (and <syll> for the syllables)
+ *   jenis                       -> <gramGrp><gram type="entryType">
+ *   etimologi                   -> <etym>, with a <lang> per language
+ *   makna                       -> <sense n="1"> with <def>
+ *   kelasKata                   -> <gram type="pos"> for word classes (@norm: Universal
+ *                                  Dependencies tag), <usg> for usage labels such as ki
+ *   contoh                      -> <cit type="example"><quote>
+ *   rootWord, terkait           -> <xr type="related" subtype="rootWord|kataTurunan|...">
+ *
+ * Cross-references point at the entries in the document (@target="#bisa.1")
+ * when the word has one, so the whole dataset is held in memory.
+ * schema/kbbi-tei.rng describes the structure of the output.
+ */
+class TeiExporter {
+  /**
+   * @param {string} file - Output XML file
+   * @param {Object} options - Export options
+   * @param {string} options.title - Document title
+   * @param {string} options.description - Source description
+   * @param {string} options.url - Source site
+   * @param {Date} options.date - Publication date (default: today)
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = {
+      title: 'KBBI',
+      description: 'Kamus Besar Bahasa Indonesia',
+      url: 'https://kbbi.kemdikbud.go.id',
+      date: new Date(),
+      ...options
+    };
+    this.keys = new Set();
+    this.ids = new Set();
+    this.entries = [];
+    this.counts = { results: 0, entries: 0, senses: 0, duplicates: 0 };
+  }
+
+  /**
+   * Escape text for XML, dropping the control characters XML can't hold
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  static escape(text) {
+    return Utils.escapeHtml(String(text == null ? '' : text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+  }
+
+  /**
+   * Get the xml:id of an entry: its headword without syllable dots, with
+   * spaces and other characters an XML name can't hold turned into _, and
+   * its homonym number
+   * @param {Object} entry - Canonical entry
+   * @returns {string} - xml:id (not yet unique)
+   */
+  static xmlId(entry) {
+    let name = entry.nama.replace(/\./g, '').normalize('NFC').trim()
+      .replace(/[^\p{L}\p{N}_-]+/gu, '_');
+    // Names start with a letter or _
+    if (!/^[\p{L}_]/u.test(name)) name = `_${name}`;
+    return entry.nomor ? `${name}.${entry.nomor.replace(/[^\p{L}\p{N}_-]+/gu, '_')}` : name;
+  }
+
+  /**
+   * Turn the etymology text into <etym> content, with its languages in <lang>
+   * @param {Object} etimologi - Canonical etymology ({ text, languages })
+   * @returns {string} - XML content
+   */
+  static etymology(etimologi) {
+    // KBBI writes etymologies in brackets
+    const text = etimologi.text.replace(/^\[\s*/, '').replace(/\s*\]$/, '');
+    const languages = etimologi.languages.filter(language => text.includes(language));
+    if (languages.length === 0) return TeiExporter.escape(text);
+
+    const pattern = languages
+      .sort((a, b) => b.length - a.length)
+      .map(language => language.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    // Languages are at the odd positions after splitting on them
+    return text.split(new RegExp(`(${pattern})`))
+      .map((part, index) => (index % 2 === 1 ? `<lang>${TeiExporter.escape(part)}</lang>` : TeiExporter.escape(part)))
+      .join('');
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  add(result) {
+    for (const entry of result.entries) {
+      const key = entryKey(entry);
+      if (this.keys.has(key)) {
+        this.counts.duplicates++;
+        continue;
+      }
+      this.keys.add(key);
+
+      // Entries that would share an id get -2, -3... Sense ids count too: the
+      // first sense of an unnumbered "bisa" is bisa.1, like homonym 1 of bisa.
+      const base = TeiExporter.xmlId(entry);
+      const idsOf = id => [id, ...entry.makna.map(meaning => `${id}.${meaning.nomor}`)];
+      let id = base;
+      for (let n = 2; idsOf(id).some(used => this.ids.has(used)); n++) id = `${base}-${n}`;
+      for (const used of idsOf(id)) this.ids.add(used);
+
+      this.entries.push({ id, entry });
+      this.counts.entries++;
+      this.counts.senses += entry.makna.length;
+    }
+
+    this.counts.results++;
+  }
+
+  /**
+   * Render an entry
+   * @param {string} id - xml:id of the entry
+   * @param {Object} entry - Canonical entry
+   * @param {Map<string, string>} targets - xml:id of the first entry of each headword
+   * @returns {string[]} - Lines of XML
+   * @private
+   */
+  _entry(id, entry, targets) {
+    const escape = TeiExporter.escape;
+    const headword = entry.nama.replace(/\./g, '');
+    const lines = [];
+
+    lines.push(`    <entry xml:id="${escape(id)}" xml:lang="id"${entry.nomor ? ` n="${escape(entry.nomor)}"` : ''}>`);
+    lines.push('      <form type="lemma">');
+    lines.push(`        <orth>${escape(headword)}</orth>`);
+    if (entry.nama !== headword) lines.push(`        <syll>${escape(entry.nama)}</syll>`);
+    lines.push('      </form>');
+
+    if (entry.jenis) {
+      lines.push(`      <gramGrp><gram type="entryType">${escape(entry.jenis)}</gram></gramGrp>`);
+    }
+    if (entry.etimologi) {
+      lines.push(`      <etym>${TeiExporter.etymology(entry.etimologi)}</etym>`);
+    }
+
+    for (const meaning of entry.makna) {
+      lines.push(`      <sense xml:id="${escape(id)}.${meaning.nomor}" n="${meaning.nomor}">`);
+
+      const partsOfSpeech = meaning.kelasKata.filter(wordClass => TeiExporter.PARTS_OF_SPEECH[wordClass.kode]);
+      const labels = meaning.kelasKata.filter(wordClass => !TeiExporter.PARTS_OF_SPEECH[wordClass.kode]);
+      const expand = wordClass => (wordClass.nama ? ` expand="${escape(wordClass.nama)}"` : '');
+
+      if (partsOfSpeech.length > 0) {
+        lines.push('        <gramGrp>');
+        for (const wordClass of partsOfSpeech) {
+          lines.push(`          <gram type="pos" norm="${TeiExporter.PARTS_OF_SPEECH[wordClass.kode]}"` +
+            `${expand(wordClass)}>${escape(wordClass.kode)}</gram>`);
+        }
+        lines.push('        </gramGrp>');
+      }
+      for (const label of labels) {
+        const type = TeiExporter.USAGE_TYPES[label.kode] || 'hint';
+        lines.push(`        <usg type="${type}"${expand(label)}>${escape(label.kode)}</usg>`);
+      }
+
+      if (meaning.definisi) lines.push(`        <def>${escape(meaning.definisi)}</def>`);
+      for (const example of meaning.contoh) {
+        lines.push(`        <cit type="example"><quote>${escape(example.teks)}</quote></cit>`);
+      }
+      lines.push('      </sense>');
+    }
+
+    const related = [['rootWord', entry.rootWord ? [entry.rootWord] : []]]
+      .concat(RELATED_TYPES.map(type => [type, entry.terkait[type]]));
+
+    for (const [subtype, words] of related) {
+      if (words.length === 0) continue;
+
+      lines.push(`      <xr type="related" subtype="${subtype}">`);
+      for (const word of words) {
+        const target = targets.get(word.replace(/\./g, ''));
+        lines.push(`        <ref type="entry"${target ? ` target="#${escape(target)}"` : ''}>${escape(word)}</ref>`);
+      }
+      lines.push('      </xr>');
+    }
+
+    lines.push('    </entry>');
+    return lines;
+  }
+
+  /**
+   * Write the document
+   * @returns {Object} - Counts ({ results, entries, senses, duplicates })
+   */
+  close() {
+    Utils.ensureDirectory(path.dirname(path.resolve(this.file)));
+
+    const targets = new Map();
+    for (const { id, entry } of this.entries) {
+      const headword = entry.nama.replace(/\./g, '');
+      if (!targets.has(headword)) targets.set(headword, id);
+    }
+
+    const escape = TeiExporter.escape;
+    const { title, description, url, date } = this.options;
+    const day = date.toISOString().slice(0, 10);
+    const body = this.entries.length > 0
+      ? this.entries.flatMap(({ id, entry }) => this._entry(id, entry, targets)).map(line => `  ${line}`)
+      : ['      <p/>']; // A body can't be empty
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<TEI xmlns="http://www.tei-c.org/ns/1.0" xml:lang="id">',
+      '  <teiHeader>',
+      '    <fileDesc>',
+      `      <titleStmt><title>${escape(title)}</title></titleStmt>`,
+      '      <publicationStmt>',
+      `        <p>Exported with ${escape(packageInfo.name)} ${escape(packageInfo.version)} on <date when="${day}">${day}</date>.</p>`,
+      '      </publicationStmt>',
+      `      <sourceDesc><p>${escape(description)}: <ref target="${escape(url)}">${escape(url)}</ref></p></sourceDesc>`,
+      '    </fileDesc>',
+      '  </teiHeader>',
+      '  <text>',
+      '    <body>',
+      ...body,
+      '    </body>',
+      '  </text>',
+      '</TEI>'
+    ];
+
+    Utils.writeFileAtomic(this.file, lines.join('\n') + '\n');
+
+    return this.counts;
+  }
+}
+
+// KBBI word classes, with their Universal Dependencies tags; other labels are usage labels
+TeiExporter.PARTS_OF_SPEECH = {
+  n: 'NOUN',
+  v: 'VERB',
+  a: 'ADJ',
+  adv: 'ADV',
+  num: 'NUM',
+  pron: 'PRON',
+  p: 'PART'
+};
+
+// TEI Lex-0 usage types of the usage labels; the others are written as hints
+TeiExporter.USAGE_TYPES = {
+  ki: 'meaning', // kiasan
+  kl: 'temporal', // klasik
+  ark: 'temporal', // arkais
+  cak: 'socioCultural', // cakapan
+  hor: 'attitude', // hormat
+  kas: 'attitude' // kasar
+};
+
+/**
+ * Export results to a TEI Lex-0 XML document
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Output file
+ * @param {Object} options - See TeiExporter
+ * @returns {Promise<Object>} - Counts ({ results, entries, senses, duplicates })
+ */
+async function exportTei(results, file, options = {}) {
+  const exporter = new TeiExporter(file, options);
+
+  for await (const result of results) {
+    exporter.add(result);
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  TeiExporter,
+  exportTei
+};
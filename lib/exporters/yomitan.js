@@ -0,0 +1,172 @@
+const path = require('path');
+const Utils = require('../utils');
+const ZipWriter = require('../zip');
+const { entryKey } = require('../schema');
+const { entryContent } = require('../renderers/content');
+
+/**
+ * Yomitan (formerly Yomichan) dictionary export
+ *
+ * Writes a ZIP that Yomitan imports (Settings > Dictionaries > Import):
+ * index.json, term banks with one term per entry and a tag bank with the
+ * word classes and entry types. Definitions are structured content laid out
+ * like the terminal output (see lib/renderers/content.js).
+ *
+ * Derived forms listed under kata turunan that have no entry of their own
+ * become terms that point at their root (Yomitan's [root, [rules]]
+ * definitions), so looking one up shows the root word's entry.
+ */
+class YomitanExporter {
+  /**
+   * @param {string} file - Output ZIP file
+   * @param {Object} options - Export options
+   * @param {string} options.title - Dictionary name (Yomitan tells dictionaries apart by it)
+   * @param {string} options.description - Dictionary description
+   * @param {string} options.url - Source site
+   * @param {Date} options.date - Revision date (default: now)
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = {
+      title: 'KBBI',
+      description: 'Kamus Besar Bahasa Indonesia',
+      url: 'https://kbbi.kemdikbud.go.id',
+      date: new Date(),
+      ...options
+    };
+    this.keys = new Set();
+    this.terms = [];
+    this.tags = new Map();
+    this.headwords = new Set();
+    this.derived = new Map();
+    this.counts = { results: 0, entries: 0, terms: 0, derived: 0, duplicates: 0 };
+  }
+
+  /**
+   * Turn text into a tag name (tags are separated by spaces)
+   * @param {string} text - Word class code or entry type
+   * @returns {string} - Tag name
+   */
+  static tagName(text) {
+    return text.trim().replace(/\s+/g, '_');
+  }
+
+  /**
+   * Add the entries of a result
+   * @param {Object} result - Canonical result
+   */
+  add(result) {
+    for (const entry of result.entries) {
+      const key = entryKey(entry);
+      if (this.keys.has(key)) {
+        this.counts.duplicates++;
+        continue;
+      }
+      this.keys.add(key);
+
+      const headword = entry.nama.replace(/\./g, '');
+      const wordClasses = [];
+      for (const meaning of entry.makna) {
+        for (const wordClass of meaning.kelasKata) {
+          const name = YomitanExporter.tagName(wordClass.kode);
+          if (!wordClasses.includes(name)) wordClasses.push(name);
+          if (!this.tags.has(name)) this.tags.set(name, ['partOfSpeech', wordClass.nama]);
+        }
+      }
+
+      const termTags = [];
+      if (entry.jenis) {
+        const name = YomitanExporter.tagName(entry.jenis);
+        termTags.push(name);
+        if (!this.tags.has(name)) this.tags.set(name, ['jenis', entry.jenis]);
+      }
+
+      this.terms.push([
+        headword,
+        '', // Reading: none for Indonesian
+        wordClasses.join(' '),
+        '', // Deinflection rules
+        0, // Score
+        [{ type: 'structured-content', content: entryContent(entry, { header: false }) }],
+        this.terms.length + 1, // Sequence number
+        termTags.join(' ')
+      ]);
+      this.headwords.add(headword);
+
+      for (const word of entry.terkait.kataTurunan) {
+        if (!this.derived.has(word)) this.derived.set(word, headword);
+      }
+      this.counts.entries++;
+    }
+
+    this.counts.results++;
+  }
+
+  /**
+   * Write the ZIP file
+   * @returns {Object} - Counts ({ results, entries, terms, derived, duplicates })
+   */
+  close() {
+    const { title, description, url, date } = this.options;
+    const terms = [...this.terms];
+
+    for (const [word, root] of this.derived) {
+      if (this.headwords.has(word)) continue;
+      terms.push([word, '', '', '', 0, [[root, ['kata turunan']]], 0, '']);
+      this.counts.derived++;
+    }
+
+    const zip = new ZipWriter({ date });
+    zip.add('index.json', JSON.stringify({
+      title,
+      revision: date.toISOString().slice(0, 10),
+      format: 3,
+      sequenced: true,
+      author: 'Badan Pengembangan dan Pembinaan Bahasa',
+      url,
+      description,
+      sourceLanguage: 'id',
+      targetLanguage: 'id'
+    }));
+
+    zip.add('tag_bank_1.json', JSON.stringify(Array.from(this.tags, ([name, [category, notes]]) => (
+      [name, category, 0, notes || name, 0]
+    ))));
+
+    for (let i = 0; i * YomitanExporter.BANK_SIZE < terms.length; i++) {
+      const bank = terms.slice(i * YomitanExporter.BANK_SIZE, (i + 1) * YomitanExporter.BANK_SIZE);
+      zip.add(`term_bank_${i + 1}.json`, JSON.stringify(bank));
+    }
+
+    Utils.ensureDirectory(path.dirname(path.resolve(this.file)));
+    Utils.writeFileAtomic(this.file, zip.toBuffer());
+
+    this.counts.terms = terms.length;
+    return this.counts;
+  }
+}
+
+// Terms per term bank file
+YomitanExporter.BANK_SIZE = 10000;
+
+/**
+ * Export results to a Yomitan dictionary ZIP
+ * @param {Iterable<Object>|AsyncIterable<Object>} results - Canonical results (see lib/exporters/source.js)
+ * @param {string} file - Output ZIP file
+ * @param {Object} options - See YomitanExporter
+ * @returns {Promise<Object>} - Counts ({ results, entries, terms, derived, duplicates })
+ */
+async function exportYomitan(results, file, options = {}) {
+  const exporter = new YomitanExporter(file, options);
+
+  for await (const result of results) {
+    exporter.add(result);
+  }
+
+  return exporter.close();
+}
+
+module.exports = {
+  YomitanExporter,
+  exportYomitan
+};
@@ -0,0 +1,346 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+/**
+ * Local stand-in for the KBBI site, for offline development and integration tests
+ *
+ * Serves the fixture pages in test/fixtures (see test/fixtures/fixtures.json):
+ *
+ *   GET  /                                 home page
+ *   GET  /entri/:word                      the first fixture with that URL, or the "not found" page
+ *   GET  /DataDasarEntri/Details?eid=:eid  the details fixture with that URL, or 404
+ *   GET  /Account/Login                    login form
+ *   POST /Account/Login                    sets .AspNet.ApplicationCookie for a known user
+ *   POST /Account/LogOff                   ends the session
+ *
+ * Pages are shown logged in when the request carries a session cookie the
+ * server handed out (or one passed in `sessions`). `mode` switches every page
+ * to a Cloudflare challenge ('challenge'), a Cloudflare block ('block') or the
+ * daily search limit notice ('quota'); `quotaAfter` serves the limit notice
+ * once that many searches were made. `rotateSessions` hands out a new session
+ * cookie with every logged-in page and forgets the old one.
+ *
+ * Run it on its own with `npm run mock-server` and point the library at it:
+ *
+ *   kbbi cinta --transport http --base-url http://127.0.0.1:8080
+ */
+class MockServer {
+  constructor(options = {}) {
+    this.options = {
+      fixturesDir: path.join(__dirname, '..', 'test', 'fixtures'),
+      host: '127.0.0.1',
+      port: 0,              // 0 picks a free port
+      mode: 'normal',       // 'normal', 'challenge', 'block' or 'quota'
+      quotaAfter: null,     // Serve the daily search limit notice after this many searches
+      users: { 'user@example.com': 'password' }, // Accounts accepted by /Account/Login
+      sessions: [],         // Session cookie values accepted as logged in
+      rotateSessions: false, // Replace the session cookie on every logged-in page
+      ...options
+    };
+
+    if (!MockServer.MODES.includes(this.options.mode)) {
+      throw new Error(`Unknown mock server mode: ${this.options.mode} (use ${MockServer.MODES.join(', ')})`);
+    }
+
+    this.mode = this.options.mode;
+    this.sessions = new Set(this.options.sessions);
+    this.searches = 0;
+    this.requests = [];
+    this.server = null;
+    this.routes = this._loadRoutes();
+  }
+
+  /**
+   * Map request paths to fixture names
+   * The first fixture for a URL wins, so special pages listed later
+   * (Cloudflare, quota) don't shadow the normal page for the same word.
+   * @private
+   * @returns {Map<string, string>} - Route key to fixture name
+   */
+  _loadRoutes() {
+    const manifest = path.join(this.options.fixturesDir, 'fixtures.json');
+    const fixtures = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    const routes = new Map();
+
+    for (const fixture of fixtures) {
+      const url = new URL(fixture.url);
+      const key = MockServer.routeKey(url.pathname + url.search);
+      if (!routes.has(key)) {
+        routes.set(key, fixture.name);
+      }
+    }
+
+    return routes;
+  }
+
+  /**
+   * Normalize a request path for route lookups
+   * @param {string} requestPath - Path with query string
+   * @returns {string} - Decoded, lower-cased path
+   */
+  static routeKey(requestPath) {
+    let key = requestPath;
+    try {
+      key = decodeURIComponent(requestPath);
+    } catch (error) {
+      // Keep malformed paths as they are
+    }
+    return key.replace(/\+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string|null}
+   */
+  get url() {
+    if (!this.server || !this.server.listening) return null;
+    const { address, port } = this.server.address();
+    return `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - Base URL of the server
+   */
+  async start() {
+    if (this.server) return this.url;
+
+    this.server = http.createServer((request, response) => {
+      this._handle(request, response).catch(error => {
+        response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end(`Mock server error: ${error.message}`);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Switch every page to a Cloudflare or quota page, or back to normal
+   * @param {string} mode - 'normal', 'challenge', 'block' or 'quota'
+   */
+  setMode(mode) {
+    if (!MockServer.MODES.includes(mode)) {
+      throw new Error(`Unknown mock server mode: ${mode} (use ${MockServer.MODES.join(', ')})`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Create a logged-in session
+   * @returns {string} - Value for the .AspNet.ApplicationCookie cookie
+   */
+  createSession() {
+    const value = crypto.randomBytes(24).toString('hex');
+    this.sessions.add(value);
+    return value;
+  }
+
+  /**
+   * Handle a request
+   * @private
+   */
+  async _handle(request, response) {
+    const url = new URL(request.url, 'http://mock');
+    const session = MockServer.readSession(request.headers.cookie);
+    const loggedIn = !!session && this.sessions.has(session);
+
+    this.requests.push({ method: request.method, path: url.pathname + url.search, loggedIn });
+
+    // Like ASP.NET's sliding expiration: the old cookie stops working once a new one is handed out
+    if (loggedIn && this.options.rotateSessions) {
+      this.sessions.delete(session);
+      response.setHeader('Set-Cookie', `.AspNet.ApplicationCookie=${this.createSession()}; path=/; HttpOnly`);
+    }
+
+    if (this.mode === 'challenge') {
+      return this._sendFixture(response, MockServer.PAGES.challenge, { status: 503 });
+    }
+    if (this.mode === 'block') {
+      return this._sendFixture(response, MockServer.PAGES.block, { status: 403 });
+    }
+
+    if (url.pathname === '/') {
+      return this._send(response, 200, this._withLoginState(MockServer.homePage(), loggedIn));
+    }
+
+    if (/^\/account\/login$/i.test(url.pathname)) {
+      return request.method === 'POST'
+        ? this._login(request, response)
+        : this._send(response, 200, MockServer.loginPage());
+    }
+
+    if (/^\/account\/logoff$/i.test(url.pathname)) {
+      this.sessions.delete(session);
+      return this._redirect(response, '/', '.AspNet.ApplicationCookie=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT');
+    }
+
+    const isSearch = /^\/entri\//i.test(url.pathname);
+    const isDetails = /^\/datadasarentri\/details$/i.test(url.pathname);
+    if (!isSearch && !isDetails) {
+      return this._send(response, 404, MockServer.notFoundPage());
+    }
+
+    if (isSearch) {
+      this.searches++;
+    }
+
+    const overQuota = this.options.quotaAfter !== null && this.searches > this.options.quotaAfter;
+    if (this.mode === 'quota' || overQuota) {
+      return this._sendFixture(response, MockServer.PAGES.quota, { loggedIn });
+    }
+
+    const name = this.routes.get(MockServer.routeKey(url.pathname + url.search));
+    if (name) {
+      return this._sendFixture(response, name, { loggedIn });
+    }
+
+    return isSearch
+      ? this._sendFixture(response, MockServer.PAGES.notFound, { loggedIn })
+      : this._send(response, 404, MockServer.notFoundPage());
+  }
+
+  /**
+   * Check the posted login form
+   * @private
+   */
+  async _login(request, response) {
+    const body = await new Promise((resolve, reject) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      request.on('error', reject);
+    });
+
+    const { Email: email, Password: password } = querystring.parse(body);
+    if (!email || this.options.users[email] !== password) {
+      return this._send(response, 200, MockServer.loginPage('Invalid login attempt.'));
+    }
+
+    const value = this.createSession();
+    return this._redirect(response, '/', `.AspNet.ApplicationCookie=${value}; path=/; HttpOnly`);
+  }
+
+  _sendFixture(response, name, { status = 200, loggedIn = false } = {}) {
+    const html = fs.readFileSync(path.join(this.options.fixturesDir, `${name}.html`), 'utf8');
+    return this._send(response, status, this._withLoginState(html, loggedIn));
+  }
+
+  _send(response, status, html) {
+    response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(html);
+  }
+
+  _redirect(response, location, setCookie) {
+    response.writeHead(302, { Location: location, 'Set-Cookie': setCookie });
+    response.end();
+  }
+
+  /**
+   * Show the navigation menu of a logged-in or logged-out visitor
+   * Fixtures are written in either state, so the menu is swapped to match the request.
+   * @private
+   */
+  _withLoginState(html, loggedIn) {
+    return loggedIn
+      ? html.replace(/<a href="\/Account\/Login">Masuk<\/a>/g, '<a href="/Account/LogOff">Keluar</a>')
+      : html.replace(/<a [^>]*>Keluar<\/a>/g, '<a href="/Account/Login">Masuk</a>');
+  }
+
+  /**
+   * Get the session cookie value from a Cookie header
+   * @param {string} header - Cookie header
+   * @returns {string|null}
+   */
+  static readSession(header) {
+    const match = String(header || '').match(/(?:^|;\s*)\.AspNet\.ApplicationCookie=([^;]*)/);
+    return match && match[1] ? match[1] : null;
+  }
+
+  static homePage() {
+    return MockServer.layout('KBBI Daring', '<h2>KBBI Daring</h2>\n  <p>Kamus Besar Bahasa Indonesia (mock server)</p>');
+  }
+
+  static loginPage(error = null) {
+    return MockServer.layout('Masuk - KBBI Daring', `<h2>Masuk</h2>
+  ${error ? `<div class="validation-summary-errors text-danger"><ul><li>${error}</li></ul></div>` : ''}
+  <form action="/Account/Login" method="post">
+    <input name="__RequestVerificationToken" type="hidden" value="mock" />
+    <input id="Email" name="Email" type="email" />
+    <input id="Password" name="Password" type="password" />
+    <button type="submit">Masuk</button>
+  </form>`);
+  }
+
+  static notFoundPage() {
+    return MockServer.layout('Not Found', '<h2>404 - Halaman tidak ditemukan</h2>');
+  }
+
+  static layout(title, content) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${title}</title>
+</head>
+<body>
+<div class="navbar navbar-inverse navbar-fixed-top">
+  <ul class="nav navbar-nav navbar-right">
+    <li><a href="/Account/Login">Masuk</a></li>
+  </ul>
+</div>
+<div class="container body-content">
+  ${content}
+</div>
+</body>
+</html>
+`;
+  }
+}
+
+MockServer.MODES = ['normal', 'challenge', 'block', 'quota'];
+
+// Fixtures served for the special pages
+MockServer.PAGES = {
+  notFound: 'not-found-mirip',
+  challenge: 'cloudflare-challenge',
+  block: 'cloudflare-block',
+  quota: 'quota-exceeded'
+};
+
+module.exports = MockServer;
+
+// node lib/mock-server.js [port]
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+  const server = new MockServer({ port });
+
+  server.start().then(url => {
+    console.log(`Mock KBBI server listening on ${url}`);
+    console.log(`Try: node cli.js cinta --transport http --base-url ${url}`);
+    console.log(`Log in as user@example.com / password at ${url}/Account/Login`);
+  }).catch(error => {
+    console.error(`Could not start the mock server: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -1,5 +1,6 @@
 const cheerio = require('cheerio');
 const { NotFoundError } = require('./errors');
+const { SCHEMA_VERSION, normalizeEntry } = require('./schema');
 
 /**
  * Parser for KBBI website
@@ -13,7 +14,8 @@ class KBBIParser {
 
   /**
    * Parse entries from search result page
-   * @returns {Object} Object containing entries and mirip
+   * Entries follow the canonical model in lib/schema.js
+   * @returns {Object} Object containing schemaVersion, entries and mirip
    */
   parseEntries() {
     const entries = [];
@@ -22,29 +24,28 @@ class KBBIParser {
     if (entryHeadings.length === 0) {
       const notFoundMsg = this.$('div:contains("Entri tidak ditemukan")');
       if (notFoundMsg.length > 0) {
-        return { entries: [], mirip: this.parseMirip() };
+        return { schemaVersion: SCHEMA_VERSION, entries: [], mirip: this.parseMirip() };
       }
     }
 
     // Handle details page detection
-    const isDetailsPage = this.$('.page-header h2:contains("Detail Data")').length > 0;
-    if (isDetailsPage) {
+    if (this.isDetailsPage()) {
       const entry = this.parseDetailsPage();
       if (entry) {
         entries.push(entry);
       }
-      return { entries };
+      return { schemaVersion: SCHEMA_VERSION, entries, mirip: [] };
     }
 
     // Process entries from search results page
     entryHeadings.each((index, h2) => {
       const entry = this.parseEntryDirectly(this.$(h2));
       if (entry) {
-        entries.push(entry);
+        entries.push(normalizeEntry(entry));
       }
     });
 
-    return { entries };
+    return { schemaVersion: SCHEMA_VERSION, entries, mirip: [] };
   }
 
   /**
@@ -162,7 +163,7 @@ class KBBIParser {
 
   /**
    * Parse a details page
-   * @returns {Object} Entry object with detailed information
+   * @returns {Object|null} Entry in the canonical model (lib/schema.js), or null if the page has no entry data
    */
   parseDetailsPage() {
     const result = {};
@@ -316,7 +317,7 @@ class KBBIParser {
       }
     }
     
-    return Object.keys(result).length > 0 ? result : null;
+    return Object.keys(result).length > 0 ? normalizeEntry(result) : null;
   }
 
   /**
@@ -935,6 +936,31 @@ class KBBIParser {
     return mirip;
   }
 
+  /**
+   * Check if the page is a Cloudflare challenge or block page instead of KBBI
+   * @returns {boolean} Whether the page is a challenge page
+   */
+  checkChallenge() {
+    const title = this.$('title').text();
+    const body = this.$('body').text();
+
+    return (
+      title.includes('Cloudflare') ||
+      title.includes('Attention Required') ||
+      body.includes('Checking your browser') ||
+      body.includes('DDoS protection') ||
+      this.$('#cf-error-details').length > 0
+    );
+  }
+
+  /**
+   * Check if the page is an entry details page (DataDasarEntri/Details)
+   * @returns {boolean} Whether the page is a details page
+   */
+  isDetailsPage() {
+    return this.$('.page-header h2:contains("Detail Data")').length > 0;
+  }
+
   /**
    * Check if user is authenticated
    * @returns {boolean} Authentication status
@@ -947,6 +973,27 @@ class KBBIParser {
     );
   }
 
+  /**
+   * Check if KBBI replaced the page with its daily search limit notice
+   * Without this check the notice parses as a page with zero entries,
+   * which looks like the word doesn't exist. Only the notice itself (an h4
+   * heading in the page content) counts, and never on a page with entries:
+   * definitions and examples can contain the same words.
+   * @returns {boolean} Whether the search limit was reached
+   */
+  checkQuotaExceeded() {
+    if (this.$('h2[style*="margin-bottom:3px"]').length > 0) return false;
+
+    return this.$('.body-content h4, body > h4').toArray().some(h4 => {
+      const text = this.$(h4).text().replace(/\s+/g, ' ').toLowerCase();
+      return (
+        text.includes('batas pencarian') ||
+        text.includes('batas maksimum dalam sehari') ||
+        text.includes('telah mencapai batas')
+      );
+    });
+  }
+
   /**
    * Extract root word from entry heading
    * @param {Object} $h2 - jQuery object of h2 element
@@ -1025,4 +1072,8 @@ class KBBIParser {
   }
 }
 
+// Bump whenever the parser gives different output for the same page
+// (that is, whenever the golden files in test/fixtures change)
+KBBIParser.VERSION = 1;
+
 module.exports = KBBIParser; 
\ No newline at end of file
@@ -0,0 +1,230 @@
+const BrowserManager = require('./browser');
+
+/**
+ * Pool of warm browser sessions
+ *
+ * Launches a single Chromium instance and keeps up to `size` browser contexts
+ * (each wrapped in a BrowserManager) alive between requests. Callers lease a
+ * session with acquire() and give it back with release(). A session is
+ * recycled (its context closed and replaced on the next lease) after
+ * `maxRequestsPerContext` navigations or when it is released with an error.
+ */
+class SessionPool {
+  constructor(options = {}) {
+    this.options = {
+      size: 2,
+      maxRequestsPerContext: 50,
+      headless: true,
+      debug: false,
+      timeout: 30000,
+      stealth: true,
+      transport: 'playwright',
+      scheduler: null,
+      endpoints: null,
+      baseUrl: null,
+      record: null,
+      replay: null,
+      ...options
+    };
+
+    this.browser = null;
+    this.launching = null;
+    this.idle = [];
+    this.leased = new Set();
+    this.waiting = [];
+    this.total = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Get the shared browser, launching it on first use or after a crash
+   * @private
+   * @returns {Promise<Object>} - Playwright browser
+   */
+  async _getBrowser() {
+    if (this.browser) return this.browser;
+
+    if (!this.launching) {
+      this.launching = BrowserManager.launchBrowser(this.options)
+        .then(browser => {
+          browser.on('disconnected', () => {
+            if (this.browser === browser) {
+              this.browser = null;
+            }
+          });
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Create a new session on the shared browser
+   * @private
+   * @returns {Promise<BrowserManager>} - Initialized session
+   */
+  async _createSession() {
+    // Sessions attach to the shared browser when they first need it, so sessions
+    // using the HTTP transport never launch Chromium unless they fall back
+    const session = new BrowserManager({
+      headless: this.options.headless,
+      debug: this.options.debug,
+      timeout: this.options.timeout,
+      stealth: this.options.stealth,
+      transport: this.options.transport,
+      scheduler: this.options.scheduler,
+      endpoints: this.options.endpoints || this.options.baseUrl,
+      record: this.options.record,
+      replay: this.options.replay,
+      launcher: () => this._getBrowser()
+    });
+
+    const initialized = await session.initBrowser();
+    if (!initialized) {
+      throw new Error('Failed to create browser session');
+    }
+
+    return session;
+  }
+
+  /**
+   * Lease a session, waiting for one to become available if the pool is full
+   * @returns {Promise<BrowserManager>} - Leased session
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Session pool is closed');
+    }
+
+    if (this.idle.length > 0) {
+      const session = this.idle.pop();
+      this.leased.add(session);
+      return session;
+    }
+
+    if (this.total < this.options.size) {
+      this.total++;
+      try {
+        const session = await this._createSession();
+        this.leased.add(session);
+        return session;
+      } catch (error) {
+        this.total--;
+        this._drain();
+        throw error;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Return a leased session to the pool
+   * @param {BrowserManager} session - Session returned by acquire()
+   * @param {Error} [error] - Error the caller hit while using the session, forces a recycle
+   * @returns {Promise<void>}
+   */
+  async release(session, error = null) {
+    if (!this.leased.delete(session)) return;
+
+    const worn = session.requestCount >= this.options.maxRequestsPerContext;
+
+    if (error || worn || this.closed || !session.ready) {
+      this.total--;
+      try {
+        await session.close();
+      } catch (closeError) {
+        // The context may already be gone with its browser
+      }
+    } else {
+      this.idle.push(session);
+    }
+
+    this._drain();
+  }
+
+  /**
+   * Run a function with a leased session and release it afterwards
+   * @param {Function} fn - Async function receiving the session
+   * @returns {Promise<*>} - Result of fn
+   */
+  async use(fn) {
+    const session = await this.acquire();
+    try {
+      const result = await fn(session);
+      await this.release(session);
+      return result;
+    } catch (error) {
+      await this.release(session, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand free capacity to callers waiting in acquire()
+   * @private
+   */
+  _drain() {
+    while (this.waiting.length > 0 && (this.idle.length > 0 || this.total < this.options.size)) {
+      const waiter = this.waiting.shift();
+      this.acquire().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} - Session counts
+   */
+  stats() {
+    return {
+      size: this.options.size,
+      total: this.total,
+      idle: this.idle.length,
+      leased: this.leased.size,
+      waiting: this.waiting.length
+    };
+  }
+
+  /**
+   * Close all sessions and the shared browser
+   * Callers still waiting for a session are rejected
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(new Error('Session pool is closed'));
+    }
+
+    for (const session of this.idle.splice(0)) {
+      try {
+        await session.close();
+      } catch (error) {
+        // Ignore, the browser is closed below anyway
+      }
+    }
+
+    if (this.launching) {
+      await this.launching.catch(() => null);
+    }
+
+    if (this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      await browser.close();
+    }
+
+    this.total = this.leased.size;
+  }
+}
+
+module.exports = SessionPool;
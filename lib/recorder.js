@@ -0,0 +1,117 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Utils = require('./utils');
+const { ReplayMissError } = require('./errors');
+
+/**
+ * Record and replay of KBBI page loads
+ *
+ * With `record`, BrowserManager.navigateTo() saves every page it fetched to a
+ * directory: <name>.html holds the page as received and <name>.json its
+ * metadata ({ url, finalUrl, status, transport, fetchedAt }). The name comes
+ * from the URL, so recording a URL again replaces the earlier capture.
+ * With `replay`, the ReplayTransport serves those captures instead of the
+ * network and throws ReplayMissError for any URL that wasn't recorded.
+ */
+
+/**
+ * Get the capture file name (without extension) for a URL
+ * Readable part from the path, plus a hash of the full URL to keep names unique.
+ * @param {string} url - Page URL
+ * @returns {string} - File name, e.g. "entri-cinta-3f2a9c1b"
+ */
+function captureName(url) {
+  const { pathname, search } = new URL(url);
+  let readable = pathname + search;
+  try {
+    readable = decodeURIComponent(readable);
+  } catch (error) {
+    // Keep malformed URLs as they are
+  }
+
+  const slug = readable
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80) || 'index';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+
+  return `${slug}-${hash}`;
+}
+
+/**
+ * Saves fetched pages to a directory
+ */
+class Recorder {
+  /**
+   * @param {string} dir - Directory for the captures (created if needed)
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    Utils.ensureDirectory(this.dir);
+  }
+
+  /**
+   * Save a page
+   * @param {string} url - URL that was requested
+   * @param {Object} response - Transport response ({ url, status, html, transport })
+   * @returns {string} - Path of the saved HTML file
+   */
+  save(url, response) {
+    const name = captureName(url);
+    const htmlPath = path.join(this.dir, `${name}.html`);
+
+    fs.writeFileSync(htmlPath, response.html || '');
+    fs.writeFileSync(path.join(this.dir, `${name}.json`), JSON.stringify({
+      url,
+      finalUrl: response.url || url,
+      status: response.status || 200,
+      transport: response.transport || null,
+      fetchedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+
+    return htmlPath;
+  }
+}
+
+/**
+ * Transport serving pages saved by a Recorder
+ */
+class ReplayTransport {
+  /**
+   * @param {string} dir - Directory with the captures
+   */
+  constructor(dir) {
+    this.name = 'replay';
+    this.dir = path.resolve(dir);
+
+    if (!fs.existsSync(this.dir)) {
+      throw new Error(`Replay directory not found: ${this.dir}`);
+    }
+  }
+
+  async fetch(url) {
+    const name = captureName(url);
+    const metaPath = path.join(this.dir, `${name}.json`);
+    const htmlPath = path.join(this.dir, `${name}.html`);
+
+    if (!fs.existsSync(metaPath) || !fs.existsSync(htmlPath)) {
+      throw new ReplayMissError(url, this.dir);
+    }
+
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    return {
+      url: meta.finalUrl || url,
+      status: meta.status,
+      headers: {},
+      html: fs.readFileSync(htmlPath, 'utf8')
+    };
+  }
+}
+
+module.exports = {
+  captureName,
+  Recorder,
+  ReplayTransport
+};
@@ -0,0 +1,165 @@
+const Utils = require('../utils');
+
+/**
+ * Entry content for the HTML renderer and the dictionary exports
+ *
+ * Lays out an entry the way the terminal renderer does (headword, Kata Dasar,
+ * Etimologi, numbered meanings with examples, related words) as Yomitan
+ * structured content: nodes like
+ * { tag: 'span', style: { fontStyle: 'italic' }, content: [...] }. Yomitan
+ * term banks use the nodes as they are; toHtml() turns them into the HTML
+ * that StarDict articles and HTML output hold.
+ */
+
+// Related-word sections, in terminal output order
+const RELATED_LABELS = {
+  kataTurunan: 'Kata Turunan',
+  gabunganKata: 'Gabungan Kata',
+  peribahasa: 'Peribahasa',
+  idiom: 'Idiom'
+};
+
+const italic = content => ({ tag: 'span', style: { fontStyle: 'italic' }, content });
+const bold = content => ({ tag: 'span', style: { fontWeight: 'bold' }, content });
+const label = text => ({ tag: 'span', style: { color: '#777777' }, content: `${text}: ` });
+
+/**
+ * Link to another headword
+ * The href is Yomitan's search link; toHtml() can replace it (see its `link` option).
+ * @param {string} word - Headword
+ * @returns {Object} - Link node
+ */
+function wordLink(word) {
+  return { tag: 'a', href: `?query=${encodeURIComponent(word)}&wildcards=off`, content: word };
+}
+
+/**
+ * Get the content of a meaning: word classes, definition and examples
+ * @param {Object} meaning - Canonical meaning
+ * @returns {Array} - Content nodes
+ */
+function meaningContent(meaning) {
+  const content = [];
+
+  meaning.kelasKata.forEach(wordClass => {
+    content.push({
+      tag: 'span',
+      title: wordClass.nama || undefined,
+      style: { fontStyle: 'italic', color: '#8B4513' },
+      content: wordClass.kode
+    }, ' ');
+  });
+
+  content.push(meaning.definisi);
+
+  if (meaning.contoh.length > 0) {
+    content.push({
+      tag: 'ul',
+      content: meaning.contoh.map(example => ({ tag: 'li', content: italic(example.teks) }))
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Get the content of an entry
+ * @param {Object} entry - Canonical entry
+ * @param {Object} options - Layout options
+ * @param {boolean} options.header - Start with the headword (Yomitan shows it already)
+ * @returns {Array} - Content nodes
+ */
+function entryContent(entry, { header = true } = {}) {
+  const content = [];
+
+  if (header) {
+    const headword = [bold(entry.nama + Utils.toSuperscript(entry.nomor))];
+    if (entry.jenis) headword.push(' ', italic(`⟨${entry.jenis}⟩`));
+    content.push({ tag: 'div', content: headword });
+  } else if (entry.jenis) {
+    content.push({ tag: 'div', content: italic(`⟨${entry.jenis}⟩`) });
+  }
+
+  if (entry.rootWord) {
+    content.push({ tag: 'div', content: [label('Kata Dasar'), wordLink(entry.rootWord)] });
+  }
+
+  if (entry.etimologi && entry.etimologi.text) {
+    content.push({ tag: 'div', content: [label('Etimologi'), entry.etimologi.text] });
+  }
+
+  if (entry.makna.length > 0) {
+    content.push({
+      tag: 'ol',
+      content: entry.makna.map(meaning => ({ tag: 'li', content: meaningContent(meaning) }))
+    });
+  }
+
+  for (const [relation, text] of Object.entries(RELATED_LABELS)) {
+    const words = entry.terkait[relation];
+    if (words.length === 0) continue;
+
+    const links = [];
+    words.forEach((word, index) => {
+      if (index > 0) links.push('; ');
+      links.push(wordLink(word));
+    });
+    content.push({ tag: 'div', content: [bold(`${text}: `), ...links] });
+  }
+
+  return content;
+}
+
+/**
+ * Turn content nodes into HTML
+ * @param {*} content - Node, string or array of them
+ * @param {Object} options - Output options
+ * @param {Function} options.link - Maps a linked word to an href (default: keep the Yomitan href)
+ * @returns {string} - HTML
+ */
+function toHtml(content, options = {}) {
+  if (content == null) return '';
+  if (typeof content === 'string') return Utils.escapeHtml(content);
+  if (Array.isArray(content)) return content.map(node => toHtml(node, options)).join('');
+
+  const attributes = [];
+  if (content.tag === 'a') {
+    const href = options.link ? options.link(textOf(content.content)) : content.href;
+    attributes.push(`href="${Utils.escapeHtml(href)}"`);
+  }
+  if (content.title) {
+    attributes.push(`title="${Utils.escapeHtml(content.title)}"`);
+  }
+  if (content.style) {
+    const css = Object.entries(content.style)
+      .map(([property, value]) => `${property.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}:${value}`)
+      .join(';');
+    attributes.push(`style="${Utils.escapeHtml(css)}"`);
+  }
+
+  const open = [content.tag, ...attributes].join(' ');
+  return content.tag === 'br'
+    ? `<${open}>`
+    : `<${open}>${toHtml(content.content, options)}</${content.tag}>`;
+}
+
+/**
+ * Get the text of content nodes, without markup
+ * @param {*} content - Node, string or array of them
+ * @returns {string} - Text
+ */
+function textOf(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(textOf).join('');
+  return textOf(content.content);
+}
+
+module.exports = {
+  RELATED_LABELS,
+  wordLink,
+  meaningContent,
+  entryContent,
+  toHtml,
+  textOf
+};
@@ -0,0 +1,85 @@
+const Utils = require('../utils');
+const Endpoints = require('../endpoints');
+const { entryContent, toHtml } = require('./content');
+
+/**
+ * HTML renderer
+ *
+ * Entries use the structured content layout shared with the dictionary
+ * exports (see lib/renderers/content.js), with inline styles so they can be
+ * pasted into other pages. Linked words point to their KBBI entry pages.
+ * result() gives a standalone document unless `standalone: false` is passed.
+ */
+class HtmlRenderer {
+  /**
+   * Get the link for a word
+   * @private
+   */
+  static _link(options) {
+    if (options.link) return options.link;
+    const endpoints = Endpoints.from(options.endpoints);
+    return word => endpoints.entryUrl(word);
+  }
+
+  /**
+   * Render an entry
+   * @param {Object} entry - Canonical entry
+   * @param {Object} options - Render options
+   * @param {boolean} options.examples - Include examples
+   * @param {Function} options.link - Maps a linked word to an href (default: its KBBI entry page)
+   * @param {Endpoints|Object|string} options.endpoints - Site for the default links
+   * @returns {string} - HTML fragment
+   */
+  entry(entry, options = {}) {
+    const { examples = true } = options;
+    const content = entryContent(examples ? entry : {
+      ...entry,
+      makna: entry.makna.map(meaning => ({ ...meaning, contoh: [] }))
+    });
+
+    return `<article class="kbbi-entry">${toHtml(content, { link: HtmlRenderer._link(options) })}</article>`;
+  }
+
+  /**
+   * Render a result: its entries, or the similar words when nothing was found
+   * @param {Object} result - Canonical result
+   * @param {Object} options - Render options (see entry())
+   * @param {boolean} options.standalone - Wrap the result in a complete document
+   * @returns {string} - HTML
+   */
+  result(result, options = {}) {
+    const { standalone = true } = options;
+    let body;
+
+    if (result.entries.length === 0) {
+      const link = HtmlRenderer._link(options);
+      body = `<p>No entries found for <b>${Utils.escapeHtml(result.word)}</b>.</p>`;
+      if (result.mirip.length > 0) {
+        const words = result.mirip.map(word => `<a href="${Utils.escapeHtml(link(word))}">${Utils.escapeHtml(word)}</a>`);
+        body += `\n<p>Mirip: ${words.join(', ')}</p>`;
+      }
+    } else {
+      body = result.entries.map(entry => this.entry(entry, options)).join('\n');
+    }
+
+    if (!standalone) return body;
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="id">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>KBBI: ${Utils.escapeHtml(result.word)}</title>`,
+      '<style>body{font-family:sans-serif;max-width:48em;margin:2em auto;line-height:1.5}' +
+        'article{margin-bottom:2em}</style>',
+      '</head>',
+      '<body>',
+      body,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = HtmlRenderer;
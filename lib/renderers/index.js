@@ -0,0 +1,57 @@
+/**
+ * Renderers for lookup and scrape results
+ *
+ * Every renderer has entry(entry, options) and result(result, options), and
+ * takes the canonical model from lib/schema.js, so lookups and scrapes render
+ * the same way. `examples: false` leaves the examples out in every format.
+ */
+
+const TextRenderer = require('./text');
+const MarkdownRenderer = require('./markdown');
+const HtmlRenderer = require('./html');
+
+const RENDERERS = {
+  terminal: new TextRenderer(TextRenderer.TERMINAL),
+  plain: new TextRenderer(TextRenderer.PLAIN),
+  markdown: new MarkdownRenderer(),
+  html: new HtmlRenderer()
+};
+
+// Other names the formats go by ('text' is the config file's name for terminal output)
+const ALIASES = {
+  text: 'terminal',
+  md: 'markdown'
+};
+
+/**
+ * Get a renderer by format name
+ * @param {string} format - terminal, plain, markdown or html
+ * @returns {Object} - Renderer
+ */
+function getRenderer(format = 'terminal') {
+  const renderer = RENDERERS[ALIASES[format] || format];
+  if (!renderer) {
+    throw new Error(`Unknown output format: ${format} (use ${Object.keys(RENDERERS).join(', ')} or json)`);
+  }
+  return renderer;
+}
+
+/**
+ * Render a result
+ * @param {Object} result - Canonical result
+ * @param {string} format - Format name (see getRenderer())
+ * @param {Object} options - Render options
+ * @returns {string} - Rendered result
+ */
+function render(result, format = 'terminal', options = {}) {
+  return getRenderer(format).result(result, options);
+}
+
+module.exports = {
+  RENDERERS,
+  TextRenderer,
+  MarkdownRenderer,
+  HtmlRenderer,
+  getRenderer,
+  render
+};
@@ -0,0 +1,88 @@
+const Utils = require('../utils');
+const { RELATED_LABELS } = require('./content');
+
+/**
+ * Markdown renderer
+ *
+ * Each entry is a heading followed by its Kata Dasar and Etimologi, the
+ * meanings as a numbered list with their examples nested under them, and the
+ * related words. Text from KBBI is escaped, so it never turns into markup.
+ */
+class MarkdownRenderer {
+  /**
+   * Escape text for Markdown
+   * Brackets stay: without a link target after them they render as they are,
+   * and KBBI uses them around etymologies.
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  static escape(text) {
+    return String(text == null ? '' : text).replace(/[\\`*_<>]|\]\(/g, '\\$&');
+  }
+
+  /**
+   * Render an entry
+   * @param {Object} entry - Canonical entry
+   * @param {Object} options - Render options
+   * @param {boolean} options.examples - Include examples
+   * @param {number} options.headingLevel - Level of the headword heading
+   * @returns {string} - Markdown
+   */
+  entry(entry, { examples = true, headingLevel = 3 } = {}) {
+    const escape = MarkdownRenderer.escape;
+    const blocks = [];
+
+    let heading = `${'#'.repeat(headingLevel)} ${escape(entry.nama + Utils.toSuperscript(entry.nomor))}`;
+    if (entry.jenis) heading += ` *⟨${escape(entry.jenis)}⟩*`;
+    blocks.push(heading);
+
+    const details = [];
+    if (entry.rootWord) details.push(`**Kata Dasar:** ${escape(entry.rootWord)}`);
+    if (entry.etimologi && entry.etimologi.text) details.push(`**Etimologi:** ${escape(entry.etimologi.text)}`);
+    // Two trailing spaces break the line
+    if (details.length > 0) blocks.push(details.join('  \n'));
+
+    if (entry.makna.length > 0) {
+      blocks.push(entry.makna.map((meaning, index) => {
+        const classes = meaning.kelasKata
+          .map(wordClass => `*${escape(wordClass.kode)}*${wordClass.nama ? ` (${escape(wordClass.nama)})` : ''}`)
+          .join(', ');
+        const lines = [`${meaning.nomor || index + 1}. ${classes ? `${classes} ` : ''}${escape(meaning.definisi)}`];
+
+        if (examples) {
+          meaning.contoh.forEach(example => lines.push(`   - *${escape(example.teks)}*`));
+        }
+        return lines.join('\n');
+      }).join('\n'));
+    }
+
+    for (const [relation, label] of Object.entries(RELATED_LABELS)) {
+      const words = entry.terkait[relation];
+      if (words.length > 0) {
+        blocks.push(`**${label}:** ${words.map(escape).join('; ')}`);
+      }
+    }
+
+    return blocks.join('\n\n');
+  }
+
+  /**
+   * Render a result: its entries, or the similar words when nothing was found
+   * @param {Object} result - Canonical result
+   * @param {Object} options - Render options (see entry())
+   * @returns {string} - Markdown
+   */
+  result(result, options = {}) {
+    if (result.entries.length === 0) {
+      const blocks = [`No entries found for **${MarkdownRenderer.escape(result.word)}**.`];
+      if (result.mirip.length > 0) {
+        blocks.push(`**Mirip:** ${result.mirip.map(MarkdownRenderer.escape).join(', ')}`);
+      }
+      return blocks.join('\n\n');
+    }
+
+    return result.entries.map(entry => this.entry(entry, options)).join('\n\n');
+  }
+}
+
+module.exports = MarkdownRenderer;
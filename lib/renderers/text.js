@@ -0,0 +1,141 @@
+const chalk = require('chalk');
+const Utils = require('../utils');
+
+/**
+ * Text renderer, for the terminal (with chalk colors) or plain text
+ *
+ * Both give the same layout; only the styles differ (see TextRenderer.TERMINAL
+ * and TextRenderer.PLAIN). Chalk drops the colors by itself when the output
+ * isn't a terminal, but plain text never has them.
+ */
+class TextRenderer {
+  /**
+   * @param {Object} styles - Functions that style each part of the output
+   */
+  constructor(styles) {
+    this.styles = styles;
+  }
+
+  /**
+   * Render an entry
+   * @param {Object} entry - Canonical entry
+   * @param {Object} options - Render options
+   * @param {boolean} options.examples - Include examples
+   * @returns {string} - Rendered entry
+   */
+  entry(entry, { examples = true } = {}) {
+    const style = this.styles;
+    const result = [];
+
+    // Entry name with homonym number if present
+    result.push(style.headword((entry.nama || '') + Utils.toSuperscript(entry.nomor)));
+
+    // Entry type (peribahasa, idiom, etc.)
+    if (entry.jenis) {
+      result.push(style.jenis(` ⟨${entry.jenis}⟩`));
+    }
+
+    if (entry.rootWord) {
+      result.push(style.label(`   Kata Dasar: `) + style.value(entry.rootWord));
+    }
+
+    if (entry.etimologi && entry.etimologi.text) {
+      result.push(style.label(`   Etimologi: `) + style.etymology(entry.etimologi.text));
+    }
+
+    if (entry.makna && entry.makna.length > 0) {
+      result.push(''); // Empty line before meanings
+
+      entry.makna.forEach((meaning) => {
+        const meaningNumber = meaning.nomor || '';
+        result.push(style.heading(`Makna #${meaningNumber}`));
+
+        if (meaning.kelasKata && meaning.kelasKata.length > 0) {
+          const classes = meaning.kelasKata.map(wc =>
+            `${wc.kode}${wc.nama ? ` (${wc.nama})` : ''}`).join(',');
+          result.push(style.label(`   Kelas Kata: `) + style.value(classes));
+        }
+
+        if (meaning.definisi) {
+          result.push(style.label(`   Definisi: `) + style.value(meaning.definisi));
+        }
+
+        if (examples && meaning.contoh && meaning.contoh.length > 0) {
+          result.push('');
+          meaning.contoh.forEach((example) => {
+            const exampleNumber = example.nomor || '';
+            result.push(style.exampleHeading(`   Contoh #${meaningNumber}-${exampleNumber}`));
+            result.push(style.label('      ') + style.example(example.teks));
+            result.push('');
+          });
+        } else {
+          result.push('');
+        }
+      });
+    }
+
+    if (entry.terkait) {
+      const sections = [
+        ['kataTurunan', 'Kata Turunan:', style.word],
+        ['gabunganKata', 'Gabungan Kata:', style.word],
+        ['peribahasa', `Peribahasa (mengandung [${entry.nama}]):`, style.phrase],
+        ['idiom', `Idiom (mengandung [${entry.nama}]):`, style.phrase]
+      ];
+
+      for (const [type, heading, wordStyle] of sections) {
+        const words = entry.terkait[type] || [];
+        if (words.length === 0) continue;
+
+        // Kata turunan follows the meanings directly, the other sections get a blank line
+        if (type !== 'kataTurunan') result.push('');
+        result.push(style.relatedHeading(heading));
+        result.push(Utils.wrapText(words.map(word => wordStyle(word)).join('; ')));
+      }
+    }
+
+    return result.join('\n');
+  }
+
+  /**
+   * Render a result: its entries, or the similar words when nothing was found
+   * @param {Object} result - Canonical result
+   * @param {Object} options - Render options (see entry())
+   * @returns {string} - Rendered result
+   */
+  result(result, options = {}) {
+    const style = this.styles;
+
+    if (!result.entries || result.entries.length === 0) {
+      const lines = [style.error('No entries found')];
+      if (result.mirip && result.mirip.length > 0) {
+        lines.push('', style.notice('Mirip:'));
+        result.mirip.forEach(suggestion => lines.push(style.word(`  • ${suggestion}`)));
+      }
+      return lines.join('\n');
+    }
+
+    return result.entries.map(entry => this.entry(entry, options)).join('\n\n');
+  }
+}
+
+const plain = text => text;
+
+TextRenderer.TERMINAL = {
+  headword: chalk.bold,
+  jenis: chalk.hex('#8B4513'), // Saddlebrown
+  label: chalk.gray,
+  value: chalk.white,
+  etymology: chalk.yellow,
+  heading: chalk.bold,
+  exampleHeading: chalk.bold.italic,
+  example: chalk.italic.cyan,
+  relatedHeading: chalk.bold.magenta,
+  word: chalk.cyan,
+  phrase: chalk.yellow,
+  error: chalk.red,
+  notice: chalk.yellow
+};
+
+TextRenderer.PLAIN = Object.fromEntries(Object.keys(TextRenderer.TERMINAL).map(name => [name, plain]));
+
+module.exports = TextRenderer;
@@ -0,0 +1,67 @@
+const { normalizeResult } = require('./schema');
+const { getRenderer } = require('./renderers');
+
+/**
+ * Result returned by kbbi.create()
+ *
+ * Holds the canonical result (schemaVersion, word, authenticated, entries,
+ * mirip, ...) as its own properties, so JSON.stringify() gives the same shape
+ * as KBBI.lookup(). toString() renders it like the CLI, render() in another
+ * format (see lib/renderers), and serialize() gives the Indonesian-key format
+ * documented in the README.
+ */
+class KBBIResult {
+  /**
+   * @param {Object} data - Result from KBBI.lookup() or KBBI.scrape()
+   */
+  constructor(data) {
+    Object.assign(this, normalizeResult(data || {}));
+  }
+
+  /**
+   * Render the entries as text
+   * @param {boolean} showExamples - Include examples
+   * @returns {string} - Formatted entries, or the similar words when nothing was found
+   */
+  toString(showExamples = true) {
+    if (this.entries.length === 0) {
+      const lines = [`Entri tidak ditemukan: ${this.word}`];
+      if (this.mirip.length > 0) {
+        lines.push(`Mirip: ${this.mirip.join(', ')}`);
+      }
+      return lines.join('\n');
+    }
+
+    return getRenderer('terminal').result(this, { examples: showExamples });
+  }
+
+  /**
+   * Render the result in an output format
+   * @param {string} format - terminal, plain, markdown or html
+   * @param {Object} options - Render options ({ examples, ... }, see lib/renderers)
+   * @returns {string} - Rendered result
+   */
+  render(format = 'terminal', options = {}) {
+    return getRenderer(format).result(this, options);
+  }
+
+  /**
+   * Get the result as a plain object with Indonesian keys
+   * @returns {Object} - { kata, entri, mirip }, with kelaskata for each meaning's word classes
+   */
+  serialize() {
+    return {
+      kata: this.word,
+      entri: this.entries.map(entry => ({
+        ...entry,
+        makna: entry.makna.map(({ kelasKata, ...meaning }) => ({
+          ...meaning,
+          kelaskata: kelasKata
+        }))
+      })),
+      mirip: [...this.mirip]
+    };
+  }
+}
+
+module.exports = KBBIResult;
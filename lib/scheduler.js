@@ -0,0 +1,260 @@
+/**
+ * Request scheduler for all KBBI navigations
+ *
+ * Limits how many navigations run at the same time, spaces requests with
+ * token buckets per host and per cookie, retries failed navigations with
+ * jittered exponential backoff, and pauses everything for a while when KBBI
+ * blocks us (Cloudflare block or daily search limit).
+ */
+
+/**
+ * Token bucket that hands out reservations
+ * Tokens may go negative: each reservation is told how long to wait for its token.
+ */
+class TokenBucket {
+  /**
+   * @param {number} rate - Tokens added per second
+   * @param {number} burst - Maximum number of stored tokens
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Reserve one token
+   * @returns {number} - Milliseconds to wait before the token is available
+   */
+  reserve() {
+    if (!this.rate || this.rate <= 0) return 0;
+
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+    this.tokens -= 1;
+
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class Scheduler {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 2,
+      hostRate: 2,             // Requests per second per host
+      hostBurst: 2,
+      cookieRate: 1,           // Requests per second per cookie
+      cookieBurst: 2,
+      retries: 2,              // Extra attempts after a failed navigation
+      backoffBase: 1000,
+      backoffMax: 30000,
+      blockPause: 60000,       // Pause after a Cloudflare block
+      rateLimitPause: 15 * 60 * 1000, // Pause after a search limit without a known reset time
+      onPause: null,           // Called with (ms, reason) when the scheduler pauses
+      ...options
+    };
+
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.hostBuckets = new Map();
+    this.cookieBuckets = new Map();
+  }
+
+  /**
+   * Get the process-wide scheduler used when no scheduler is configured
+   * @returns {Scheduler} - Shared scheduler
+   */
+  static getDefault() {
+    if (!Scheduler.defaultInstance) {
+      Scheduler.defaultInstance = new Scheduler();
+    }
+    return Scheduler.defaultInstance;
+  }
+
+  /**
+   * Get the host part of a URL, used as the host bucket key
+   * @param {string} url - URL
+   * @returns {string} - Host or empty string for invalid URLs
+   */
+  static hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Run a task when a slot, the rate limits and any global pause allow it
+   * @param {Function} task - Async function performing one navigation
+   * @param {Object} options - Rate limit keys
+   * @param {string} options.host - Host the task requests
+   * @param {string} options.cookie - Cookie the task sends
+   * @returns {Promise<*>} - Result of the task
+   */
+  async schedule(task, options = {}) {
+    const { retries } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this._acquireSlot();
+
+      try {
+        await this._waitForPause();
+        await this._waitForTokens(options);
+        return await task();
+      } catch (error) {
+        this.noteError(error);
+        if (attempt >= retries || !Scheduler.isRetryable(error)) {
+          throw error;
+        }
+      } finally {
+        this._releaseSlot();
+      }
+
+      await sleep(this.backoff(attempt));
+    }
+  }
+
+  /**
+   * Whether a failed task is worth retrying
+   * Blocks and limits are handled by pausing, not by hammering the site again.
+   * @param {Error} error - Error thrown by the task
+   * @returns {boolean}
+   */
+  static isRetryable(error) {
+    return !['RateLimitError', 'CloudflareBlockError', 'AuthenticationError', 'NotFoundError', 'ReplayMissError'].includes(error && error.name);
+  }
+
+  /**
+   * Delay before the next attempt, exponential with jitter
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} - Delay in milliseconds
+   */
+  backoff(attempt) {
+    const delay = Math.min(this.options.backoffMax, this.options.backoffBase * Math.pow(2, attempt));
+    // "Equal jitter": half fixed, half random
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Pause all navigations
+   * @param {number} ms - Pause duration in milliseconds
+   * @param {string} reason - Why the scheduler pauses
+   */
+  pause(ms, reason = '') {
+    const until = Date.now() + ms;
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    if (this.options.onPause) {
+      this.options.onPause(ms, reason);
+    }
+  }
+
+  /**
+   * Let the scheduler react to an error seen while handling a page
+   * Cloudflare blocks and search limits pause all navigations.
+   * @param {Error} error - Error from a lookup or navigation
+   */
+  noteError(error) {
+    if (!error) return;
+
+    if (error.name === 'CloudflareBlockError') {
+      this.pause(this.options.blockPause, 'Cloudflare block');
+    } else if (error.name === 'RateLimitError') {
+      // Don't wait past the reset time when we know it
+      const untilReset = error.resetAt ? Date.parse(error.resetAt) - Date.now() : Infinity;
+      this.pause(Math.min(this.options.rateLimitPause, untilReset), 'KBBI search limit');
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} - Active and queued tasks and remaining pause
+   */
+  stats() {
+    return {
+      concurrency: this.options.concurrency,
+      active: this.active,
+      queued: this.queue.length,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+
+  /**
+   * Wait for a concurrency slot
+   * @private
+   */
+  _acquireSlot() {
+    if (this.active < this.options.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Free a concurrency slot, handing it to the next queued task
+   * @private
+   */
+  _releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Wait until any global pause is over
+   * @private
+   */
+  async _waitForPause() {
+    while (this.pausedUntil > Date.now()) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  /**
+   * Wait for a token from the host bucket and the cookie bucket
+   * @private
+   */
+  async _waitForTokens({ host, cookie }) {
+    const waits = [];
+
+    if (host) {
+      waits.push(this._bucket(this.hostBuckets, host, this.options.hostRate, this.options.hostBurst).reserve());
+    }
+    if (cookie) {
+      waits.push(this._bucket(this.cookieBuckets, cookie, this.options.cookieRate, this.options.cookieBurst).reserve());
+    }
+
+    const wait = Math.max(0, ...waits);
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Get or create a token bucket
+   * @private
+   */
+  _bucket(buckets, key, rate, burst) {
+    if (!buckets.has(key)) {
+      buckets.set(key, new TokenBucket(rate, burst));
+    }
+    return buckets.get(key);
+  }
+}
+
+Scheduler.defaultInstance = null;
+
+module.exports = Scheduler;
+module.exports.TokenBucket = TokenBucket;
@@ -0,0 +1,188 @@
+/**
+ * Canonical result model shared by lookup and scrape
+ *
+ * Every result and entry goes through normalizeResult() / normalizeEntry(),
+ * so consumers always see the same keys with the same types, whichever page
+ * (search results or details) the data came from. The model is described in
+ * schema/kbbi-result.schema.json and kbbi.d.ts; bump SCHEMA_VERSION whenever
+ * its shape changes.
+ */
+
+const SCHEMA_VERSION = 1;
+
+const RELATED_TYPES = ['kataTurunan', 'gabunganKata', 'peribahasa', 'idiom'];
+
+/**
+ * Turn an optional value into a trimmed string or null
+ * @private
+ */
+function optionalString(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+/**
+ * Turn a list of strings into trimmed, unique, non-empty strings
+ * @private
+ */
+function stringList(values) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Turn a 1-based position into a number, falling back to the index
+ * @private
+ */
+function position(value, index) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : index + 1;
+}
+
+/**
+ * Normalize a word class
+ * @param {Object} wordClass - Word class ({ kode, nama })
+ * @returns {Object} - { kode, nama }
+ */
+function normalizeWordClass(wordClass) {
+  return {
+    kode: String((wordClass && wordClass.kode) || '').trim(),
+    nama: String((wordClass && wordClass.nama) || '').trim()
+  };
+}
+
+/**
+ * Normalize an example
+ * @param {Object} example - Example ({ nomor, teks })
+ * @param {number} index - Position in the meaning
+ * @returns {Object} - { nomor, teks }
+ */
+function normalizeExample(example, index) {
+  return {
+    nomor: position(example && example.nomor, index),
+    teks: String((example && example.teks) || '').trim()
+  };
+}
+
+/**
+ * Normalize a meaning
+ * @param {Object} meaning - Meaning from the parser
+ * @param {number} index - Position in the entry
+ * @returns {Object} - { nomor, kelasKata, definisi, contoh, kiasan }
+ */
+function normalizeMeaning(meaning, index) {
+  const kelasKata = (meaning.kelasKata || []).map(normalizeWordClass).filter(wc => wc.kode);
+
+  return {
+    nomor: position(meaning.nomor, index),
+    kelasKata,
+    definisi: String(meaning.definisi || '').trim(),
+    contoh: (meaning.contoh || []).map(normalizeExample).filter(example => example.teks),
+    // Figurative use is marked with the "ki" label
+    kiasan: meaning.kiasan === true || kelasKata.some(wc => wc.kode === 'ki')
+  };
+}
+
+/**
+ * Normalize related words, always with all four lists
+ * @param {Object} terkait - Related words from the parser
+ * @returns {Object} - { kataTurunan, gabunganKata, peribahasa, idiom }
+ */
+function normalizeRelated(terkait) {
+  const related = {};
+  for (const type of RELATED_TYPES) {
+    related[type] = stringList(terkait && terkait[type]);
+  }
+  return related;
+}
+
+/**
+ * Normalize an entry
+ * @param {Object} entry - Entry from the search results page, the details page, or both merged
+ * @returns {Object} - Canonical entry
+ */
+function normalizeEntry(entry) {
+  const etimologi = entry.etimologi && entry.etimologi.text
+    ? { text: String(entry.etimologi.text).trim(), languages: stringList(entry.etimologi.languages) }
+    : null;
+
+  return {
+    id: optionalString(entry.id),
+    nama: String(entry.nama || '').trim(),
+    nomor: optionalString(entry.nomor),
+    jenis: optionalString(entry.jenis),
+    rootWord: optionalString(entry.rootWord),
+    etimologi,
+    makna: (entry.makna || []).map(normalizeMeaning),
+    terkait: normalizeRelated(entry.terkait)
+  };
+}
+
+/**
+ * Merge details page data into an entry from the search results page
+ * Only fields the details page actually has override the entry, so related
+ * words and etymology from the search page survive.
+ * @param {Object} entry - Entry from the search results page
+ * @param {Object|null} details - Entry from the details page
+ * @returns {Object} - Canonical entry
+ */
+function mergeEntry(entry, details) {
+  const merged = { ...entry };
+
+  if (details) {
+    for (const [key, value] of Object.entries(details)) {
+      if (value === null || value === undefined || value === '') continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+      if (key === 'terkait' && RELATED_TYPES.every(type => !value[type] || value[type].length === 0)) continue;
+      merged[key] = value;
+    }
+  }
+
+  return normalizeEntry(merged);
+}
+
+/**
+ * Get a key that identifies an entry across results
+ * Entries fetched without logging in have no eid: those are told apart by
+ * headword (without syllable dots) and homonym number.
+ * @param {Object} entry - Canonical entry
+ * @returns {string} - eid, or "nama:<headword>#<homonym number>"
+ */
+function entryKey(entry) {
+  if (entry.id) return entry.id;
+
+  const nama = entry.nama.replace(/\./g, '').normalize('NFC').replace(/\s+/g, ' ').toLowerCase();
+  return `nama:${nama}#${entry.nomor || ''}`;
+}
+
+/**
+ * Normalize a lookup or scrape result
+ * @param {Object} result - Result with word, entries and mirip
+ * @returns {Object} - Canonical result with schemaVersion
+ */
+function normalizeResult(result) {
+  const { schemaVersion, word, authenticated, entries, mirip, ...rest } = result;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    word: String(word || ''),
+    authenticated: !!authenticated,
+    entries: (entries || []).map(normalizeEntry),
+    mirip: stringList(mirip),
+    ...rest
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  RELATED_TYPES,
+  normalizeWordClass,
+  normalizeExample,
+  normalizeMeaning,
+  normalizeRelated,
+  normalizeEntry,
+  mergeEntry,
+  normalizeResult,
+  entryKey
+};
@@ -0,0 +1,217 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const KBBIParser = require('./parser');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const ACCEPT_LANGUAGE = 'id-ID,id;q=0.9,en-US;q=0.8,en;q=0.7';
+
+/**
+ * Page transports used by BrowserManager.navigateTo()
+ *
+ * A transport is any object with a `name` and an async
+ * `fetch(url, options)` method resolving to `{ url, status, headers, html }`.
+ * Options passed to fetch are `cookies` (a cookie header string), `timeout`
+ * (milliseconds) and `headers` (extra request headers).
+ */
+
+/**
+ * Check whether HTML is a Cloudflare challenge or block page
+ * Uses the same indicators as BrowserManager.checkCloudflare()
+ * @param {string} html - Page HTML
+ * @returns {boolean} - Whether the page is a challenge page
+ */
+function isChallengePage(html) {
+  if (!html) return false;
+  return new KBBIParser(html).checkChallenge();
+}
+
+/**
+ * Renders pages in the Playwright page owned by a BrowserManager
+ */
+class PlaywrightTransport {
+  /**
+   * @param {BrowserManager} manager - Browser manager owning the page
+   */
+  constructor(manager) {
+    this.name = 'playwright';
+    this.manager = manager;
+  }
+
+  async fetch(url, options = {}) {
+    const page = await this.manager._ensurePage();
+    if (!page) {
+      throw new Error('Browser is not available');
+    }
+
+    const { cookies, headers, ...gotoOptions } = options;
+    const response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      ...gotoOptions
+    });
+
+    if (this.manager.config.stealth) {
+      await page.waitForTimeout(200);
+    }
+
+    return {
+      url: page.url(),
+      status: response ? response.status() : 0,
+      headers: response ? response.headers() : {},
+      html: await page.content()
+    };
+  }
+}
+
+/**
+ * Fetches pages with plain Node HTTP requests, without a browser
+ * Only useful when the session cookies (and Cloudflare clearance) are already valid
+ */
+class HttpTransport {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.options = {
+      timeout: 30000,
+      maxRedirects: 5,
+      userAgent: USER_AGENT,
+      ...options
+    };
+  }
+
+  async fetch(url, options = {}) {
+    const timeout = options.timeout || this.options.timeout;
+    let cookies = options.cookies || '';
+    let currentUrl = url;
+
+    for (let redirects = 0; redirects <= this.options.maxRedirects; redirects++) {
+      // The session cookie only goes to the host it belongs to
+      const sameHost = HttpTransport.keepsCookies(url, currentUrl);
+      const response = await this._request(currentUrl, {
+        timeout,
+        headers: {
+          ...(cookies && sameHost ? { Cookie: cookies } : {}),
+          ...options.headers
+        }
+      });
+
+      // Keep cookies set by the server (e.g. refreshed sessions) across redirects
+      if (sameHost) {
+        cookies = HttpTransport.mergeCookies(cookies, response.headers['set-cookie']);
+      }
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        currentUrl = new URL(location, currentUrl).toString();
+        continue;
+      }
+
+      return { ...response, url: currentUrl, cookies };
+    }
+
+    throw new Error(`Too many redirects for ${url}`);
+  }
+
+  /**
+   * Perform a single GET request
+   * @private
+   */
+  _request(url, { timeout, headers }) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        headers: {
+          'User-Agent': this.options.userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': ACCEPT_LANGUAGE,
+          'Accept-Encoding': 'gzip, deflate, br',
+          ...headers
+        }
+      }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          try {
+            resolve({
+              status: response.statusCode,
+              headers: response.headers,
+              html: HttpTransport.decode(Buffer.concat(chunks), response.headers['content-encoding'])
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      request.setTimeout(timeout, () => {
+        request.destroy(new Error(`Request timed out after ${timeout}ms`));
+      });
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Whether cookies for a URL may be sent to a URL it redirected to
+   * Only on the same host, and never from HTTPS down to plain HTTP.
+   * @param {string} originUrl - URL the cookies belong to
+   * @param {string} url - Redirect target
+   * @returns {boolean}
+   */
+  static keepsCookies(originUrl, url) {
+    const origin = new URL(originUrl);
+    const target = new URL(url);
+    return target.host === origin.host && !(origin.protocol === 'https:' && target.protocol === 'http:');
+  }
+
+  /**
+   * Decompress a response body
+   * @param {Buffer} body - Raw body
+   * @param {string} encoding - Content-Encoding header
+   * @returns {string} - Decoded body
+   */
+  static decode(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+      case 'gzip': return zlib.gunzipSync(body).toString('utf8');
+      case 'deflate': return zlib.inflateSync(body).toString('utf8');
+      case 'br': return zlib.brotliDecompressSync(body).toString('utf8');
+      default: return body.toString('utf8');
+    }
+  }
+
+  /**
+   * Merge Set-Cookie headers into a cookie header string
+   * @param {string} cookieString - Existing "name=value; name2=value2" string
+   * @param {string[]} setCookies - Set-Cookie header values
+   * @returns {string} - Updated cookie string
+   */
+  static mergeCookies(cookieString, setCookies) {
+    if (!setCookies || setCookies.length === 0) return cookieString;
+
+    const jar = new Map();
+    for (const pair of (cookieString || '').split(';')) {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        jar.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+      }
+    }
+
+    for (const header of setCookies) {
+      const [pair] = header.split(';');
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        jar.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+      }
+    }
+
+    return Array.from(jar, ([name, value]) => `${name}=${value}`).join('; ');
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  ACCEPT_LANGUAGE,
+  isChallengePage,
+  PlaywrightTransport,
+  HttpTransport
+};
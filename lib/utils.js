@@ -1,6 +1,8 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const chalk = require('chalk');
+const Endpoints = require('./endpoints');
 
 class Utils {
   static wrapText(text, width = 80) {
@@ -34,9 +36,29 @@ class Utils {
     return dirPath;
   }
 
+  /**
+   * Write a file through a temporary file and a rename, so that an
+   * interrupted write can't leave a truncated file behind
+   * @param {string} file - File to write
+   * @param {string|Buffer} data - Content
+   * @param {Object|string} options - fs.writeFileSync options (encoding, mode)
+   */
+  static writeFileAtomic(file, data, options = 'utf8') {
+    // One temporary file per process, so two processes writing the same file don't mix their writes
+    const tempPath = `${file}.${process.pid}.tmp`;
+
+    try {
+      fs.writeFileSync(tempPath, data, options);
+      fs.renameSync(tempPath, file);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
   /**
    * Ensures the debug directory exists and cleans up old files
-   * @param {string} baseDir - Base directory (usually __dirname)
+   * @param {string} baseDir - Base directory (usually the cache directory from Config.getPaths())
    * @param {Object} options - Options for debug directory management
    * @param {number} options.maxFiles - Maximum number of files to keep (default: 10)
    * @param {number} options.maxAgeDays - Maximum age of files in days (default: 7)
@@ -116,16 +138,18 @@ class Utils {
 
   /**
    * Saves HTML content to a debug file
-   * @param {string} baseDir - Base directory (usually __dirname)
+   * @param {string} baseDir - Base directory (usually the cache directory from Config.getPaths())
    * @param {string} filename - Name of the file to save
    * @param {string} content - HTML content to save
+   * @param {string} [url] - URL the page came from, kept in a leading comment
+   *   so the file can be promoted to a test fixture (scripts/promote-fixture.js)
    * @returns {boolean} - Whether the file was saved successfully
    */
-  static saveDebugFile(baseDir, filename, content) {
+  static saveDebugFile(baseDir, filename, content, url = null) {
     try {
       const debugDir = this.ensureDebugDirectory(baseDir);
       const filePath = path.join(debugDir, filename);
-      fs.writeFileSync(filePath, content);
+      fs.writeFileSync(filePath, url ? `<!-- url: ${url} -->\n${content}` : content);
       console.log(chalk.gray(`Debug: Saved ${filename}`));
       return true;
     } catch (error) {
@@ -134,112 +158,130 @@ class Utils {
     }
   }
 
-  static buildUrl(word) {
-    return `https://kbbi.kemdikbud.go.id/entri/${encodeURIComponent(word)}`;
+  /**
+   * Get the next time the KBBI daily search limit resets
+   * The limit is counted per day in Indonesian Western Time (WIB, UTC+7).
+   * @param {Date} now - Current time
+   * @returns {string} - ISO timestamp of the next midnight WIB
+   */
+  static nextQuotaReset(now = new Date()) {
+    const offsetMs = 7 * 60 * 60 * 1000;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const wibDayStart = Math.floor((now.getTime() + offsetMs) / dayMs) * dayMs;
+    return new Date(wibDayStart + dayMs - offsetMs).toISOString();
   }
 
-  static formatOutput(entry, showExamples = true) {
-    if (!entry) return 'No entry data available';
-
-    const result = [];
+  /**
+   * Describe a fetched page, for the `sources` of a result
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML as fetched
+   * @param {Object} page - Page details
+   * @param {string} page.pageType - 'search' or 'details'
+   * @param {string} page.eid - Entry ID of a details page
+   * @param {boolean} page.authenticated - Whether the page was served to a logged-in session
+   * @returns {Object} - { url, pageType, eid, authenticated, fetchedAt, sha256 }
+   */
+  static pageSource(url, html, { pageType = 'search', eid = null, authenticated = false } = {}) {
+    return {
+      url,
+      pageType,
+      eid: eid ? String(eid) : null,
+      authenticated: !!authenticated,
+      fetchedAt: new Date().toISOString(),
+      sha256: crypto.createHash('sha256').update(html).digest('hex')
+    };
+  }
 
-    // Format entry name with homonym number if present
-    let header = entry.nama || '';
-    if (entry.nomor) {
-      header += this.toSuperscript(entry.nomor);
-    }
-    result.push(chalk.bold(header));
-    
-    // Add entry type if available (peribahasa, idiom, etc.)
-    if (entry.jenis) {
-      result.push(chalk.hex('#8B4513')(` ⟨${entry.jenis}⟩`)); // Saddlebrown color with special formatting
-    }
-    
-    // Add root word if available
-    if (entry.rootWord) {
-      result.push(chalk.gray(`   Kata Dasar: `) + chalk.white(entry.rootWord));
-    }
+  /**
+   * Get the search URL for a word
+   * @param {string} word - Word to look up
+   * @param {Endpoints|Object|string} [endpoints] - Endpoints, endpoint values or a base URL (see lib/endpoints.js)
+   * @returns {string} - Search URL
+   */
+  static buildUrl(word, endpoints) {
+    return Endpoints.from(endpoints).entryUrl(word);
+  }
 
-    // Add etymology if available
-    if (entry.etimologi && entry.etimologi.text) {
-      result.push(chalk.gray(`   Etimologi: `) + chalk.yellow(entry.etimologi.text));
-    }
+  /**
+   * Render an entry for the terminal
+   * @param {Object} entry - Canonical entry
+   * @param {boolean} showExamples - Include examples
+   * @returns {string} - Entry with chalk colors (see lib/renderers)
+   */
+  static formatOutput(entry, showExamples = true) {
+    if (!entry) return 'No entry data available';
 
-    // Format meanings
-    if (entry.makna && entry.makna.length > 0) {
-      result.push(''); // Add empty line before meanings
+    // Required here: the renderers use Utils themselves
+    const { getRenderer } = require('./renderers');
+    return getRenderer('terminal').entry(entry, { examples: showExamples });
+  }
 
-      entry.makna.forEach((meaning) => {
-        const meaningNumber = meaning.nomor || '';
-        result.push(chalk.bold(`Makna #${meaningNumber}`));
+  /**
+   * Escape text for HTML (or XML) content and attribute values
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  static escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
 
-        // Add word classes if available
-        if (meaning.kelasKata && meaning.kelasKata.length > 0) {
-          const classes = meaning.kelasKata.map(wc => 
-            `${wc.kode}${wc.nama ? ` (${wc.nama})` : ''}`).join(',');
-          result.push(chalk.gray(`   Kelas Kata: `) + chalk.white(classes));
-        }
+  static toSuperscript(number) {
+    if (!number) return '';
+    const superscripts = {
+      '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+      '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹'
+    };
+    return number.toString().split('').map(char => superscripts[char] || char).join('');
+  }
 
-        // Add definition
-        if (meaning.definisi) {
-          result.push(chalk.gray(`   Definisi: `) + chalk.white(meaning.definisi));
-        }
+  /**
+   * Map over items with at most `limit` calls running at the same time
+   * Once a call fails, no new calls start and the first error is thrown.
+   * @param {Array} items - Items to map
+   * @param {number} limit - Maximum number of concurrent calls
+   * @param {Function} fn - Async mapping function (item, index)
+   * @returns {Promise<Array>} - Results in input order
+   */
+  static async mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
 
-        // Add examples if available and requested
-        if (showExamples && meaning.contoh && meaning.contoh.length > 0) {
-          result.push('');
-          meaning.contoh.forEach((example) => {
-            const exampleNumber = example.nomor || '';
-            result.push(chalk.bold.italic(`   Contoh #${meaningNumber}-${exampleNumber}`));
-            result.push(chalk.gray('      ') + chalk.italic.cyan(example.teks));
-            result.push('');
-          });
-        } else {
-          result.push('');
+    const worker = async () => {
+      while (!failed && next < items.length) {
+        const index = next++;
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
         }
-      });
-    }
-
-    // Format related words if available
-    if (entry.terkait) {
-      // Add derivatives (kata turunan) if available
-      if (entry.terkait.kataTurunan && entry.terkait.kataTurunan.length > 0) {
-        result.push(chalk.bold.magenta('Kata Turunan:'));
-        result.push(this.wrapText(entry.terkait.kataTurunan.map(w => chalk.cyan(w)).join('; ')));
-      }
-
-      // Add compound words (gabungan kata) if available
-      if (entry.terkait.gabunganKata && entry.terkait.gabunganKata.length > 0) {
-        result.push('');
-        result.push(chalk.bold.magenta('Gabungan Kata:'));
-        result.push(this.wrapText(entry.terkait.gabunganKata.map(w => chalk.cyan(w)).join('; ')));
-      }
-
-      // Add proverbs (peribahasa) if available
-      if (entry.terkait.peribahasa && entry.terkait.peribahasa.length > 0) {
-        result.push('');
-        result.push(chalk.bold.magenta(`Peribahasa (mengandung [${entry.nama}]):`));
-        result.push(this.wrapText(entry.terkait.peribahasa.map(p => chalk.yellow(p)).join('; ')));
       }
+    };
 
-      // Add idioms if available
-      if (entry.terkait.idiom && entry.terkait.idiom.length > 0) {
-        result.push('');
-        result.push(chalk.bold.magenta(`Idiom (mengandung [${entry.nama}]):`));
-        result.push(this.wrapText(entry.terkait.idiom.map(i => chalk.yellow(i)).join('; ')));
-      }
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(1, limit || 1), items.length); i++) {
+      workers.push(worker());
     }
+    await Promise.all(workers);
 
-    return result.join('\n');
+    return results;
   }
 
-  static toSuperscript(number) {
-    if (!number) return '';
-    const superscripts = {
-      '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
-      '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹'
-    };
-    return number.toString().split('').map(char => superscripts[char] || char).join('');
+  /**
+   * Render a text progress bar
+   * @param {number} current - Completed items
+   * @param {number} total - Total items
+   * @param {number} width - Width of the bar in characters
+   * @returns {string} - Progress bar, e.g. "[#####-----] 50/100 50%"
+   */
+  static progressBar(current, total, width = 30) {
+    const ratio = total > 0 ? Math.min(current / total, 1) : 1;
+    const filled = Math.round(ratio * width);
+    const bar = '#'.repeat(filled) + '-'.repeat(width - filled);
+    return `[${bar}] ${current}/${total} ${Math.floor(ratio * 100)}%`;
   }
 
   static formatJson(data) {
@@ -0,0 +1,136 @@
+const zlib = require('zlib');
+
+// CRC-32 lookup table (polynomial 0xEDB88320, as ZIP uses)
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * Minimal ZIP archive writer
+ *
+ * Enough for the dictionary exports: files are deflated (or stored when that
+ * doesn't make them smaller) into a single in-memory archive, without ZIP64,
+ * so archives and files stay under 4 GB. Names are UTF-8.
+ */
+class ZipWriter {
+  /**
+   * @param {Object} options - Archive options
+   * @param {Date} options.date - Modification time of every file (default: now)
+   */
+  constructor(options = {}) {
+    this.date = options.date || new Date();
+    this.files = [];
+  }
+
+  /**
+   * Compute the CRC-32 of data
+   * @param {Buffer} data - Data
+   * @returns {number} - Unsigned CRC-32
+   */
+  static crc32(data) {
+    let crc = -1;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+  }
+
+  /**
+   * Encode a date as MS-DOS time and date fields
+   * @private
+   */
+  static _dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer|string} data - Contents (strings are written as UTF-8)
+   * @returns {ZipWriter}
+   */
+  add(name, data) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const deflated = zlib.deflateRawSync(raw);
+    const stored = deflated.length >= raw.length;
+
+    this.files.push({
+      name: Buffer.from(name, 'utf8'),
+      method: stored ? 0 : 8,
+      crc: ZipWriter.crc32(raw),
+      size: raw.length,
+      data: stored ? raw : deflated
+    });
+    return this;
+  }
+
+  /**
+   * Build the archive
+   * @returns {Buffer} - ZIP file contents
+   */
+  toBuffer() {
+    const { time, date } = ZipWriter._dosDateTime(this.date);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of this.files) {
+      // Local file header
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034B50, 0);
+      header.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+      header.writeUInt16LE(0x0800, 6); // Flags: UTF-8 names
+      header.writeUInt16LE(file.method, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(file.crc, 14);
+      header.writeUInt32LE(file.data.length, 18);
+      header.writeUInt32LE(file.size, 22);
+      header.writeUInt16LE(file.name.length, 26);
+      header.writeUInt16LE(0, 28); // Extra field length
+      parts.push(header, file.name, file.data);
+
+      // Central directory header
+      const entry = Buffer.alloc(46);
+      entry.writeUInt32LE(0x02014B50, 0);
+      entry.writeUInt16LE(20, 4); // Version made by
+      entry.writeUInt16LE(20, 6); // Version needed to extract
+      entry.writeUInt16LE(0x0800, 8);
+      entry.writeUInt16LE(file.method, 10);
+      entry.writeUInt16LE(time, 12);
+      entry.writeUInt16LE(date, 14);
+      entry.writeUInt32LE(file.crc, 16);
+      entry.writeUInt32LE(file.data.length, 20);
+      entry.writeUInt32LE(file.size, 24);
+      entry.writeUInt16LE(file.name.length, 28);
+      // Extra field, comment, disk number, attributes: all zero
+      entry.writeUInt32LE(offset, 42);
+      directory.push(entry, file.name);
+
+      offset += header.length + file.name.length + file.data.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.length, 0);
+
+    // End of central directory record
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(this.files.length, 8);
+    end.writeUInt16LE(this.files.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+  }
+}
+
+module.exports = ZipWriter;
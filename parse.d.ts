@@ -0,0 +1,6 @@
+// Type declarations for @doedja/kbbi-js/parse
+import KBBI = require('./kbbi');
+
+export declare function parseHtml(html: string, options?: KBBI.ParseOptions): KBBI.KBBIResult;
+export declare const KBBIParser: any;
+export declare const SCHEMA_VERSION: 1;
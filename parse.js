@@ -0,0 +1,98 @@
+/**
+ * KBBI-JS parse-only entry point
+ *
+ * Parses KBBI pages fetched elsewhere (archived HTML, a worker's own fetch)
+ * into the canonical result model without launching a browser. Only cheerio
+ * is required:
+ *
+ *   const { parseHtml } = require('@doedja/kbbi-js/parse');
+ *   const result = parseHtml(html, { url: 'https://kbbi.kemdikbud.go.id/entri/cinta' });
+ *
+ * Node loads this module for `import` too. Other `import`s (bundlers for the
+ * browser) get dist/parse.mjs, this module bundled with cheerio into a
+ * standalone ES module for workers and web pages (see scripts/build-parse.js).
+ */
+
+const KBBIParser = require('./lib/parser');
+const { SCHEMA_VERSION, normalizeResult } = require('./lib/schema');
+const { CloudflareBlockError, RateLimitError } = require('./lib/errors');
+
+/**
+ * Get the looked up word from a search page URL
+ * @private
+ * @param {string} url - Page URL
+ * @returns {string|null} - Decoded word or null
+ */
+function wordFromUrl(url) {
+  const match = String(url || '').match(/\/entri\/([^/?#]+)/i);
+  if (!match) return null;
+
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Parse a KBBI search results page or entry details page
+ *
+ * The page type is taken from the URL when it is given (`/entri/<word>` or
+ * `/DataDasarEntri/Details?eid=`), otherwise from the page itself.
+ *
+ * @param {string} html - Page HTML
+ * @param {Object} options - Options
+ * @param {string} options.url - URL the page was fetched from
+ * @param {string} options.word - Looked up word (defaults to the word in the URL, or the headword)
+ * @returns {Object} - Canonical result with url and pageType ('search' or 'details')
+ * @throws {CloudflareBlockError} - When the page is a Cloudflare challenge
+ * @throws {RateLimitError} - When the page is the daily search limit notice
+ */
+function parseHtml(html, options = {}) {
+  if (typeof html !== 'string' || !html) {
+    throw new Error('No HTML provided');
+  }
+
+  const { url = null } = options;
+  const parser = new KBBIParser(html);
+
+  if (parser.checkChallenge()) {
+    throw new CloudflareBlockError('Page is a Cloudflare challenge, not a KBBI page');
+  }
+
+  if (parser.checkQuotaExceeded()) {
+    throw new RateLimitError();
+  }
+
+  const isDetails = url
+    ? /\/DataDasarEntri\/Details/i.test(url)
+    : parser.isDetailsPage();
+
+  let entries;
+  let mirip = [];
+  if (isDetails) {
+    const entry = parser.parseDetailsPage();
+    entries = entry ? [entry] : [];
+  } else {
+    ({ entries, mirip } = parser.parseEntries());
+  }
+
+  const word = options.word
+    || wordFromUrl(url)
+    || (entries.length > 0 ? entries[0].nama : '');
+
+  return normalizeResult({
+    word,
+    authenticated: parser.checkAuthentication(),
+    entries,
+    mirip,
+    url,
+    pageType: isDetails ? 'details' : 'search'
+  });
+}
+
+module.exports = {
+  parseHtml,
+  KBBIParser,
+  SCHEMA_VERSION
+};
@@ -2,7 +2,8 @@
  * KBBI-JS Scraper Module
  * 
  * A module for scraping KBBI website to extract entry IDs and details.
- * Uses Playwright exclusively for browser automation.
+ * Pages are loaded through BrowserManager, so every request goes through the
+ * shared scheduler (concurrency, rate limits and backoff).
  * To be used with the --scrape flag in cli.js
  */
 
@@ -11,6 +12,12 @@ const BrowserManager = require('./lib/browser');
 const KBBIParser = require('./lib/parser');
 const Utils = require('./lib/utils');
 const Auth = require('./lib/auth');
+const Cache = require('./lib/cache');
+const Config = require('./lib/config');
+const Endpoints = require('./lib/endpoints');
+const Scheduler = require('./lib/scheduler');
+const { mergeEntry, normalizeResult } = require('./lib/schema');
+const { CloudflareBlockError, RateLimitError } = require('./lib/errors');
 const chalk = require('chalk');
 const fs = require('fs');
 
@@ -25,13 +32,114 @@ class KBBIScraper {
       debug: false,
       timeout: 30000,
       stealth: true,
+      transport: 'playwright',
+      fallback: true,   // Retry in the browser when the transport hits a challenge
+      scheduler: null,  // Scheduler for navigations (defaults to the shared scheduler)
+      concurrency: 1,   // Details pages fetched at the same time
       useCache: true,
+      pool: null, // SessionPool to lease warm browsers from instead of launching one per page
+      cache: null,
+      refresh: false,
+      endpoints: null, // KBBI site URLs (see lib/endpoints.js)
+      baseUrl: null, // Shorthand for endpoints.baseUrl
+      record: null,  // Directory to save fetched pages to
+      replay: null,  // Directory of recorded pages to serve instead of the network
       ...options
     };
     
     this.browser = null;
     this.authenticated = false;
-    this.auth = this.options.auth || new Auth();
+    // Cookie sources; `auth` (an Auth instance) is still accepted
+    this.credentials = this.options.credentials || this.options.auth || new Auth();
+    this.cache = this.options.useCache ? this.options.cache : null;
+    this.endpoints = Endpoints.from(this.options.endpoints || this.options.baseUrl);
+    // The scheduler the browsers navigate through, told about blocks and limits
+    this.scheduler = this.options.scheduler === false
+      ? null
+      : this.options.scheduler || Scheduler.getDefault();
+  }
+
+  /**
+   * Get a browser session, leased from the pool when one is configured
+   * @param {Object} options - Extra BrowserManager options (ignored when using a pool)
+   * @returns {Promise<BrowserManager>} - Initialized browser session
+   */
+  async acquireBrowser(options = {}) {
+    if (this.options.pool) {
+      return this.options.pool.acquire();
+    }
+
+    const browser = new BrowserManager({
+      headless: this.options.headless,
+      debug: this.options.debug,
+      timeout: this.options.timeout,
+      stealth: this.options.stealth,
+      transport: this.options.transport,
+      fallback: this.options.fallback,
+      scheduler: this.options.scheduler,
+      endpoints: this.endpoints,
+      record: this.options.record,
+      replay: this.options.replay,
+      ...options
+    });
+    await browser.initBrowser();
+    return browser;
+  }
+
+  /**
+   * Give a browser session back to the pool, or close it
+   * @param {BrowserManager} browser - Session from acquireBrowser()
+   * @param {Error} [error] - Error hit while using the session
+   */
+  async releaseBrowser(browser, error = null) {
+    if (this.options.pool) {
+      await this.options.pool.release(browser, error);
+    } else {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Throw a RateLimitError when KBBI answered with its daily search limit page
+   * @param {KBBIParser} parser - Parser for the fetched page
+   * @param {string|null} cookieString - Cookie used for the request
+   */
+  assertWithinQuota(parser, cookieString) {
+    if (parser.checkQuotaExceeded()) {
+      const error = new RateLimitError(undefined, {
+        cookie: cookieString ? Auth.maskCookie(cookieString) : null,
+        resetAt: Utils.nextQuotaReset()
+      });
+      // Don't hand this cookie out again before the reset
+      this.credentials.recordFailure(cookieString, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get cached details for an entry
+   * @param {string} entryId - Entry ID
+   * @returns {Object|null} Cached details or null
+   */
+  getCachedDetails(entryId) {
+    if (!this.cache || this.options.refresh) return null;
+
+    const record = this.cache.get(Cache.eidKey(entryId));
+    return record ? record.data : null;
+  }
+
+  /**
+   * Store fetched details for an entry
+   * @param {string} entryId - Entry ID
+   * @param {Object} details - Parsed details
+   * @param {Object} [source] - Where they came from (see Utils.pageSource())
+   */
+  setCachedDetails(entryId, details, source = null) {
+    if (!this.cache || !details) return;
+
+    this.cache.set(Cache.eidKey(entryId), source ? { ...details, source } : details, {
+      authenticated: this.authenticated
+    });
   }
 
   /**
@@ -42,24 +150,19 @@ class KBBIScraper {
   async scrapeWord(word) {
     if (!word) throw new Error('No word provided');
 
+    let failure = null;
+
     try {
       // Phase 1: Get entry IDs from main page
       console.log(chalk.bold.blue('\n=== PHASE 1: Finding Entries ==='));
-      const url = Utils.buildUrl(word);
+      const url = this.endpoints.entryUrl(word);
       console.log(`Searching for word: "${word}" at ${url}\n`);
       
       // Initialize first browser for entry search
-      this.browser = new BrowserManager({
-        headless: this.options.headless,
-        debug: this.options.debug,
-        timeout: this.options.timeout,
-        stealth: this.options.stealth
-      });
-
-      await this.browser.initBrowser();
+      this.browser = await this.acquireBrowser();
       
       // Get authentication cookie with rotation support
-      const cookieString = await this.auth.getCookieString();
+      const cookieString = await this.credentials.getCookieString();
       if (cookieString) {
         await this.browser.setCustomCookie(cookieString);
       }
@@ -71,42 +174,39 @@ class KBBIScraper {
 
       if (this.options.debug) {
         // Use the new Utils method for saving debug files
-        Utils.saveDebugFile(__dirname, 'entry-page.html', html);
+        Utils.saveDebugFile(Config.getPaths().cache, `entry-${encodeURIComponent(word)}.html`, html, url);
       }
 
       // Check for Cloudflare
       const isCloudflare = await this.browser.checkCloudflare();
       if (isCloudflare) {
-        if (!this.options.headless) {
+        if (!this.options.headless && this.browser.page) {
           console.log('Please solve the Cloudflare challenge in the browser window...');
           await this.browser.page.waitForNavigation({ 
             waitUntil: 'domcontentloaded',
             timeout: 45000
           });
         } else {
-          throw new Error('Cloudflare challenge detected in headless mode');
+          throw new CloudflareBlockError('Cloudflare challenge detected in headless mode');
         }
       }
 
       // Parse the page for entries
       const parser = new KBBIParser(html);
+      this.assertWithinQuota(parser, cookieString);
       this.authenticated = parser.checkAuthentication();
       
-      // For scraping, we want to extract just the basic entry information (IDs)
-      const entryHeadings = parser.$('h2[style*="margin-bottom:3px"]');
-      const entries = [];
-      
-      entryHeadings.each((index, h2) => {
-        const entry = parser.parseEntry(parser.$(h2));
-        if (entry) {
-          entries.push(entry);
-        }
-      });
-      
-      const mirip = parser.parseMirip();
+      // Search page entries carry the IDs, plus related words and etymology
+      // that the details pages don't have
+      const { entries, mirip } = parser.parseEntries();
+      const provenance = {
+        url,
+        parserVersion: KBBIParser.VERSION,
+        sources: [Utils.pageSource(url, html, { authenticated: this.authenticated })]
+      };
 
       // Close first browser instance
-      await this.browser.close();
+      await this.releaseBrowser(this.browser);
       this.browser = null;
 
       if (entries.length === 0) {
@@ -115,75 +215,20 @@ class KBBIScraper {
           console.log(chalk.yellow('Mirip:'));
           mirip.forEach(s => console.log(chalk.cyan(`  • ${s}`)));
         }
-        return { word, authenticated: this.authenticated, entries: [], mirip: mirip || [] };
+        return normalizeResult({ word, authenticated: this.authenticated, entries: [], mirip, ...provenance });
       }
 
       // Phase 2: Get details for each entry
       console.log(chalk.bold.blue('\n=== PHASE 2: Fetching Details ==='));
       console.log(`Found ${entries.length} entries, fetching details...\n`);
 
-      const detailedEntries = [];
-      for (const entry of entries) {
-        if (!entry || !entry.id) {
-          console.log(chalk.yellow(`⚠ Skipping invalid entry`));
-          continue;
+      const detailedEntries = await Utils.mapLimit(entries, this.options.concurrency, entry => {
+        if (!entry.id) {
+          console.log(chalk.yellow(`⚠ No entry ID for "${entry.nama}", keeping search page data`));
+          return entry;
         }
-
-        const detailsUrl = `https://kbbi.kemdikbud.go.id/DataDasarEntri/Details?eid=${entry.id}`;
-        console.log(`Fetching details for "${entry.nama}${entry.nomor ? ' ' + entry.nomor : ''}" (ID: ${entry.id})`);
-        console.log(chalk.gray(`URL: ${detailsUrl}`));
-
-        // Create new browser instance for each details page
-        this.browser = new BrowserManager({
-          headless: this.options.headless,
-          debug: this.options.debug,
-          timeout: this.options.timeout,
-          stealth: this.options.stealth
-        });
-
-        await this.browser.initBrowser();
-        
-        // Get fresh authentication cookie for each request with rotation
-        const cookieString = await this.auth.getCookieString();
-        if (cookieString) {
-          await this.browser.setCustomCookie(cookieString);
-        }
-
-        const detailsHtml = await this.browser.navigateTo(detailsUrl);
-        if (detailsHtml) {
-          if (this.options.debug) {
-            // Use the new Utils method for saving debug files
-            Utils.saveDebugFile(__dirname, `details-${entry.id}.html`, detailsHtml);
-          }
-
-          const detailsParser = new KBBIParser(detailsHtml, this.authenticated);
-          const details = detailsParser.parseDetailsPage();
-
-          if (this.options.debug) {
-            console.log(chalk.gray('Debug: Parsed details:'));
-            console.log(chalk.gray(JSON.stringify(details, null, 2)));
-          }
-          
-          // Merge entry info with details
-          const mergedEntry = {
-            ...entry,
-            ...details
-          };
-          
-          detailedEntries.push(mergedEntry);
-          console.log(chalk.green('✓ Details fetched successfully\n'));
-        } else {
-          console.log(chalk.red('✗ Failed to fetch details\n'));
-          detailedEntries.push(entry);
-        }
-
-        // Close browser instance after each details fetch
-        await this.browser.close();
-        this.browser = null;
-
-        // Add a small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
+        return this.fetchEntryDetails(entry, provenance.sources);
+      });
 
       // Phase 3: Summary
       console.log(chalk.bold.blue('\n=== PHASE 3: Summary ==='));
@@ -192,81 +237,166 @@ class KBBIScraper {
       console.log(`Authentication status: ${this.authenticated ? chalk.green('Yes') : chalk.yellow('No')}`);
       console.log(`✓ Found ${detailedEntries.length} definitions for "${word}"`);
 
-      return {
+      return normalizeResult({
         word,
         authenticated: this.authenticated,
         entries: detailedEntries,
-        mirip: mirip || []
-      };
+        mirip,
+        ...provenance
+      });
     } catch (error) {
+      failure = error;
       throw error;
     } finally {
       if (this.browser) {
-        await this.browser.close();
+        await this.releaseBrowser(this.browser, failure);
+        this.browser = null;
       }
     }
   }
 
   /**
-   * Fetch details for multiple entries sequentially with new browser for each
+   * Fetch the details page of an entry and merge it into the entry
+   * @param {Object} entry - Entry from the search page (with id)
+   * @param {Object[]} [sources] - Gets the details page added (see Utils.pageSource())
+   * @returns {Promise<Object>} - Entry merged with its details, or the entry itself if fetching failed
+   * @throws {CloudflareBlockError|RateLimitError} - When KBBI blocks us (the scheduler pauses too)
+   */
+  async fetchEntryDetails(entry, sources = null) {
+    const label = `"${entry.nama}${entry.nomor ? ' ' + entry.nomor : ''}" (ID: ${entry.id})`;
+
+    const cachedDetails = this.getCachedDetails(entry.id);
+    if (cachedDetails) {
+      console.log(`Using cached details for ${label}\n`);
+      const { source, ...details } = cachedDetails;
+      if (sources && source) sources.push(source);
+      return mergeEntry(entry, details);
+    }
+
+    const detailsUrl = this.endpoints.detailsUrl(entry.id);
+    console.log(`Fetching details for ${label}`);
+    console.log(chalk.gray(`URL: ${detailsUrl}`));
+
+    // Create new browser instance (or lease a pooled one) for each details page
+    const browser = await this.acquireBrowser();
+    let failure = null;
+
+    try {
+      // Get fresh authentication cookie for each request with rotation
+      const cookieString = await this.credentials.getCookieString();
+      if (cookieString) {
+        await browser.setCustomCookie(cookieString);
+      }
+
+      const detailsHtml = await browser.navigateTo(detailsUrl);
+      if (!detailsHtml) {
+        console.log(chalk.red(`✗ Failed to fetch details for ${label}\n`));
+        return entry;
+      }
+
+      if (this.options.debug) {
+        // Use the new Utils method for saving debug files
+        Utils.saveDebugFile(Config.getPaths().cache, `details-${entry.id}.html`, detailsHtml, detailsUrl);
+      }
+
+      const detailsParser = new KBBIParser(detailsHtml, this.authenticated);
+      if (detailsParser.checkChallenge()) {
+        throw new CloudflareBlockError('Cloudflare challenge on the details page');
+      }
+      this.assertWithinQuota(detailsParser, cookieString);
+      const details = detailsParser.parseDetailsPage();
+      const source = Utils.pageSource(detailsUrl, detailsHtml, {
+        pageType: 'details',
+        eid: entry.id,
+        authenticated: detailsParser.checkAuthentication()
+      });
+      if (sources) sources.push(source);
+      this.setCachedDetails(entry.id, details, source);
+
+      if (this.options.debug) {
+        console.log(chalk.gray('Debug: Parsed details:'));
+        console.log(chalk.gray(JSON.stringify(details, null, 2)));
+      }
+
+      console.log(chalk.green(`✓ Details fetched for ${label}\n`));
+
+      // Merge entry info with details
+      return mergeEntry(entry, details);
+    } catch (error) {
+      failure = error;
+      if (this.scheduler && (error instanceof CloudflareBlockError || error instanceof RateLimitError)) {
+        this.scheduler.noteError(error);
+      }
+      throw error;
+    } finally {
+      await this.releaseBrowser(browser, failure);
+    }
+  }
+
+  /**
+   * Fetch details for multiple entries, with a new (or pooled) browser for each
+   * Other failures are returned as { details: { error } }, but a Cloudflare
+   * block or the daily search limit pauses the scheduler and rejects, since
+   * the remaining pages would fail the same way.
    * @param {string[]} entryIds - Array of entry IDs to fetch details for
    * @param {object} options - Options for fetching
    * @returns {Promise<Object[]>} - Array of entry details
+   * @throws {CloudflareBlockError|RateLimitError} - When KBBI blocks us
    */
   async fetchMultipleDetails(entryIds, options = {}) {
-    const results = [];
-    
-    for (const entryId of entryIds) {
+    return Utils.mapLimit(entryIds, this.options.concurrency, async (entryId) => {
+      let browser = null;
+      let failure = null;
+
       try {
         // Initialize browser for each entry to avoid session issues
-        this.browser = new BrowserManager({
-          ...this.options,
-          ...options
-        });
-
-        await this.browser.initBrowser();
+        browser = await this.acquireBrowser(options);
         
         // Get fresh authentication cookie for each request with rotation
-        const cookieString = await this.auth.getCookieString();
+        const cookieString = await this.credentials.getCookieString();
         if (cookieString) {
-          await this.browser.setCustomCookie(cookieString);
+          await browser.setCustomCookie(cookieString);
         }
 
         // Navigate to details page
-        const detailsUrl = `https://kbbi.kemdikbud.go.id/DataDasarEntri/Details?eid=${entryId}`;
-        const html = await this.browser.navigateTo(detailsUrl);
+        const detailsUrl = this.endpoints.detailsUrl(entryId);
+        const html = await browser.navigateTo(detailsUrl);
 
         if (html) {
           if (this.options.debug) {
             // Use the new Utils method for saving debug files
-            Utils.saveDebugFile(__dirname, `details-multi-${entryId}.html`, html);
+            Utils.saveDebugFile(Config.getPaths().cache, `details-multi-${entryId}.html`, html, detailsUrl);
           }
           
           const parser = new KBBIParser(html, this.authenticated);
+          if (parser.checkChallenge()) {
+            throw new CloudflareBlockError('Cloudflare challenge on the details page');
+          }
+          this.assertWithinQuota(parser, cookieString);
           const details = parser.parseDetailsPage();
-          results.push({ entryId, details });
-        } else {
-          results.push({ 
-            entryId, 
-            details: { error: 'Failed to fetch details' }
-          });
+          return { entryId, details };
         }
+
+        return { 
+          entryId, 
+          details: { error: 'Failed to fetch details' }
+        };
       } catch (error) {
-        results.push({ 
+        failure = error;
+        if (error instanceof CloudflareBlockError || error instanceof RateLimitError) {
+          if (this.scheduler) this.scheduler.noteError(error);
+          throw error;
+        }
+        return { 
           entryId, 
           details: { error: error.message }
-        });
+        };
       } finally {
-        if (this.browser) {
-          await this.browser.close();
+        if (browser) {
+          await this.releaseBrowser(browser, failure);
         }
       }
-
-      // Add a small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-
-    return results;
+    });
   }
 }
 
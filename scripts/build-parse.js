@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Bundle the parse-only entry point into a standalone ES module
+ *
+ * Usage:
+ *   node scripts/build-parse.js [outfile] [--optional]   (default: dist/parse.mjs)
+ *
+ * parse.js is CommonJS and requires cheerio, so on its own it only loads in
+ * Node and in bundlers. The bundle holds parse.js, lib/parser.js and the
+ * browser build of cheerio, without any Node module, so web workers,
+ * <script type="module"> and bundlers targeting browsers can import it
+ * directly. package.json points the `import` condition of
+ * `@doedja/kbbi-js/parse` at it; Node matches the `node` condition first and
+ * loads parse.js, so it never needs the bundle.
+ *
+ * `npm pack` builds it through prepack, and `npm install` in a checkout, git
+ * installs and `npm link` through prepare. --optional (used by prepare) skips
+ * the build with a note when esbuild, a dev dependency, isn't installed.
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// parse.js has no ESM exports of its own, so they are re-exported by name
+const ENTRY = [
+  "import parse from './parse.js';",
+  'export const { parseHtml, KBBIParser, SCHEMA_VERSION } = parse;'
+].join('\n');
+
+/**
+ * Build the bundle
+ * @param {string} outfile - Output file
+ * @returns {Promise<Object>} - esbuild result
+ */
+async function build(outfile = path.join(ROOT, 'dist', 'parse.mjs')) {
+  // Only needed to build, not by the package
+  const esbuild = require('esbuild');
+
+  return esbuild.build({
+    stdin: { contents: ENTRY, resolveDir: ROOT, sourcefile: 'parse.mjs' },
+    bundle: true,
+    format: 'esm',
+    // Picks cheerio's browser build and fails on any Node module
+    platform: 'browser',
+    target: 'es2020',
+    outfile,
+    legalComments: 'eof',
+    logLevel: 'warning'
+  });
+}
+
+/**
+ * Check whether esbuild can be loaded
+ * @returns {boolean}
+ */
+function hasEsbuild() {
+  try {
+    require.resolve('esbuild');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const outfile = file ? path.resolve(file) : undefined;
+
+  if (args.includes('--optional') && !hasEsbuild()) {
+    console.error('esbuild is not installed, skipping the ES module build of parse.js');
+    process.exit(0);
+  }
+
+  build(outfile).then(() => {
+    console.log(`Built ${path.relative(process.cwd(), outfile || path.join(ROOT, 'dist', 'parse.mjs'))}`);
+  }).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { build };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Promote a saved KBBI page to a parser test fixture
+ *
+ * Usage:
+ *   node scripts/promote-fixture.js <page.html> [--name NAME] [--url URL] [--description TEXT] [--force]
+ *
+ * Pages saved with --debug (in the debug/ folder of the cache directory, see
+ * `kbbi config`) start with a `<!-- url: ... -->` comment and pages saved with
+ * --record have a .json metadata file next to them, so --url is only needed
+ * for pages saved some other way. The page is copied to
+ * test/fixtures/<name>.html, added to test/fixtures/fixtures.json as a
+ * captured page and its golden output is written from the current parser.
+ * Review that output before committing it: from then on `npm test` fails
+ * whenever it changes. Replace a hand-written fixture by promoting a capture
+ * of the same kind of page under its name with --force.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+  loadManifest,
+  saveManifest,
+  htmlPath,
+  goldenPath,
+  writeGolden
+} = require('../test/helpers/fixtures');
+
+const URL_COMMENT = /^\s*<!-- url: (\S+) -->\r?\n?/;
+
+function parseArgs(argv) {
+  const options = { file: null, name: null, url: null, description: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name') options.name = argv[++i];
+    else if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--description') options.description = argv[++i];
+    else if (arg === '--force') options.force = true;
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: node scripts/promote-fixture.js <page.html> [--name NAME] [--url URL] [--description TEXT] [--force]');
+  }
+
+  return options;
+}
+
+/**
+ * Get the metadata of a page saved with --record
+ * @param {string} file - Recorded HTML file
+ * @returns {Object} - { url, fetchedAt, ... }, empty for pages saved some other way
+ */
+function recordedMeta(file) {
+  const metaPath = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.json`);
+  if (!fs.existsSync(metaPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8')) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let html = fs.readFileSync(options.file, 'utf8');
+
+  // The URL comment written by Utils.saveDebugFile() moves to the manifest
+  const comment = html.match(URL_COMMENT);
+  if (comment) {
+    html = html.slice(comment[0].length);
+  }
+
+  const meta = recordedMeta(options.file);
+  const url = options.url || (comment && comment[1]) || meta.url;
+  if (!url) {
+    throw new Error(`${options.file} has no URL comment or --record metadata, pass --url`);
+  }
+
+  const name = (options.name || path.basename(options.file, path.extname(options.file)))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  const fixtures = loadManifest();
+  const existing = fixtures.findIndex(fixture => fixture.name === name);
+  if (existing >= 0 && !options.force) {
+    throw new Error(`Fixture ${name} already exists, pass --force to replace it`);
+  }
+
+  const fixture = {
+    name,
+    url,
+    description: options.description || (existing >= 0 ? fixtures[existing].description : `Page from ${url}`),
+    source: 'captured',
+    capturedAt: meta.fetchedAt || fs.statSync(options.file).mtime.toISOString()
+  };
+
+  fs.writeFileSync(htmlPath(name), html);
+  if (existing >= 0) {
+    fixtures[existing] = fixture;
+  } else {
+    fixtures.push(fixture);
+  }
+  saveManifest(fixtures);
+
+  const output = writeGolden(fixture);
+  const summary = output.error
+    ? `throws ${output.error}`
+    : `${output.pageType} page, ${output.entries.length} entries`;
+
+  console.log(`Added ${path.relative(process.cwd(), htmlPath(name))} (${summary})`);
+  console.log(`Review ${path.relative(process.cwd(), goldenPath(name))} before committing it`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
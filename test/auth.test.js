@@ -0,0 +1,306 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Keep cookie files away from the user's own directories
+process.env.KBBI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-auth-'));
+delete process.env.KBBI_COOKIE_PASSPHRASE;
+delete process.env.KBBI_COOKIE_KEY_FILE;
+
+const Auth = require('../lib/auth');
+const encryption = require('../lib/encryption');
+const { RateLimitError } = require('../lib/errors');
+
+const COOKIE = 'CfDJ8-session-cookie-value-0001';
+const OTHER_COOKIE = 'CfDJ8-session-cookie-value-0002';
+
+// 10:00 in Jakarta; the daily limit resets at the next midnight there
+const NOW = Date.parse('2026-01-10T03:00:00.000Z');
+const RESET = '2026-01-10T17:00:00.000Z';
+
+let count = 0;
+
+// An Auth with its own cookie files
+function createAuth(options = {}) {
+  const dir = options.dir || path.join(process.env.KBBI_HOME, `store-${++count}`);
+  return new Auth({
+    cookiesPath: path.join(dir, 'kbbi-cookies.json'),
+    legacyCookiePath: path.join(dir, 'kbbi-cookie.json'),
+    ...options
+  });
+}
+
+// An Auth whose cookies file holds the given records, at a fixed time
+function createAuthWith(t, records, options = {}) {
+  t.mock.method(Date, 'now', () => NOW);
+  const auth = createAuth(options);
+  fs.mkdirSync(path.dirname(auth.options.cookiesPath), { recursive: true });
+  fs.writeFileSync(auth.options.cookiesPath, JSON.stringify(records.map(record => ({
+    ...Auth._createRecord(record.value),
+    addedAt: '2026-01-01T00:00:00.000Z',
+    ...record
+  }))));
+  return auth;
+}
+
+function storedRecords(auth) {
+  return JSON.parse(fs.readFileSync(auth.options.cookiesPath, 'utf8'));
+}
+
+async function pick(auth, times) {
+  const picked = [];
+  for (let i = 0; i < times; i++) {
+    picked.push(await auth.getCookie());
+    Date.now.mock.mockImplementation(() => NOW + (i + 1) * 1000);
+  }
+  return picked;
+}
+
+// Run a function with console output captured
+async function capture(fn) {
+  const output = { stdout: [], stderr: [] };
+  const { log, error } = console;
+  console.log = (...args) => output.stdout.push(args.join(' '));
+  console.error = (...args) => output.stderr.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+  return output;
+}
+
+test.after(() => {
+  fs.rmSync(process.env.KBBI_HOME, { recursive: true, force: true });
+});
+
+test('encrypt and decrypt round-trip, and reject a wrong secret or modified data', () => {
+  const payload = encryption.encrypt('["secret"]', 'passphrase');
+
+  assert.strictEqual(encryption.isEncrypted(payload), true);
+  assert.ok(!JSON.stringify(payload).includes('secret"'));
+  assert.strictEqual(encryption.decrypt(payload, 'passphrase'), '["secret"]');
+  // A Buffer secret (key file contents) works the same
+  assert.strictEqual(encryption.decrypt(payload, Buffer.from('passphrase')), '["secret"]');
+
+  assert.throws(() => encryption.decrypt(payload, 'wrong'), /wrong passphrase or key file/);
+
+  const data = Buffer.from(payload.data, 'base64');
+  data[0] ^= 1;
+  assert.throws(() => encryption.decrypt({ ...payload, data: data.toString('base64') }, 'passphrase'),
+    /the file was modified/);
+  assert.throws(() => encryption.decrypt(['not', 'encrypted'], 'passphrase'), /Unsupported encrypted file format/);
+});
+
+test('cookies are stored encrypted with mode 0600 when a passphrase is set', async () => {
+  const auth = createAuth({ passphrase: 'correct horse' });
+  assert.strictEqual(await auth.addCookie(COOKIE, 'work'), true);
+
+  const file = fs.readFileSync(auth.options.cookiesPath, 'utf8');
+  assert.ok(encryption.isEncrypted(JSON.parse(file)));
+  assert.ok(!file.includes(COOKIE));
+  assert.strictEqual(auth.isEncrypted(), true);
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(auth.options.cookiesPath).mode & 0o777, 0o600);
+  }
+
+  // Another instance with the same passphrase reads them back
+  const again = createAuth({ dir: path.dirname(auth.options.cookiesPath), passphrase: 'correct horse' });
+  assert.deepStrictEqual((await again.listCookies()).cookies, [COOKIE]);
+});
+
+test('a key file works like a passphrase, ignoring its trailing newline', async () => {
+  const keyFile = path.join(process.env.KBBI_HOME, 'cookie.key');
+  fs.writeFileSync(keyFile, 'key file secret\n');
+
+  const auth = createAuth({ keyFile });
+  await auth.addCookie(COOKIE);
+
+  const again = createAuth({ dir: path.dirname(auth.options.cookiesPath), passphrase: 'key file secret' });
+  assert.deepStrictEqual((await again.listCookies()).cookies, [COOKIE]);
+});
+
+test('a wrong passphrase fails without overwriting the cookies file', async () => {
+  const auth = createAuth({ passphrase: 'right' });
+  await auth.addCookie(COOKIE);
+  const before = fs.readFileSync(auth.options.cookiesPath);
+
+  const dir = path.dirname(auth.options.cookiesPath);
+  const output = await capture(async () => {
+    const wrong = createAuth({ dir, passphrase: 'wrong' });
+    assert.strictEqual(await wrong.addCookie(OTHER_COOKIE), false);
+    assert.strictEqual(await wrong.removeCookie(COOKIE), false);
+    assert.deepStrictEqual((await wrong.listCookies()).cookies, []);
+
+    // Without any key the file can't be read either
+    const none = createAuth({ dir });
+    assert.strictEqual(await none.addCookie(OTHER_COOKIE), false);
+  });
+
+  assert.ok(output.stderr.some(line => line.includes('wrong passphrase or key file')));
+  assert.ok(output.stderr.some(line => line.includes('Saved cookies are encrypted')));
+  assert.deepStrictEqual(fs.readFileSync(auth.options.cookiesPath), before);
+  assert.deepStrictEqual((await createAuth({ dir, passphrase: 'right' }).listCookies()).cookies, [COOKIE]);
+});
+
+test('a plaintext cookies file is encrypted once a passphrase is set', async () => {
+  const plain = createAuth();
+  await plain.addCookie(COOKIE, 'work');
+  const stored = JSON.parse(fs.readFileSync(plain.options.cookiesPath, 'utf8'));
+  assert.ok(Array.isArray(stored));
+  assert.strictEqual(plain.isEncrypted(), false);
+
+  let auth;
+  const output = await capture(() => {
+    auth = createAuth({ dir: path.dirname(plain.options.cookiesPath), passphrase: 'now encrypted' });
+  });
+
+  assert.strictEqual(auth.isEncrypted(), true);
+  assert.ok(!fs.readFileSync(auth.options.cookiesPath, 'utf8').includes(COOKIE));
+  const { cookies, details } = await auth.listCookies();
+  assert.deepStrictEqual(cookies, [COOKIE]);
+  assert.strictEqual(details[0].label, 'work');
+
+  // The notice goes to stderr, so --json output on stdout stays valid
+  assert.deepStrictEqual(output.stdout, []);
+  assert.deepStrictEqual(output.stderr, ['Encrypted saved cookies']);
+});
+
+test('a legacy single-cookie file is migrated into the cookies file', async () => {
+  const dir = path.join(process.env.KBBI_HOME, 'legacy');
+  fs.mkdirSync(dir, { recursive: true });
+  const legacyPath = path.join(dir, 'kbbi-cookie.json');
+  fs.writeFileSync(legacyPath, JSON.stringify({ '.AspNet.ApplicationCookie': COOKIE }));
+
+  let auth;
+  const output = await capture(() => {
+    auth = createAuth({ dir, passphrase: 'legacy' });
+  });
+
+  assert.strictEqual(fs.existsSync(legacyPath), false);
+  assert.strictEqual(auth.isEncrypted(), true);
+  assert.deepStrictEqual((await auth.listCookies()).cookies, [COOKIE]);
+  assert.deepStrictEqual(output.stdout, []);
+  assert.deepStrictEqual(output.stderr, ['Migrated legacy cookie to new format']);
+});
+
+test('round-robin takes turns over every cookie, exhausted or not', async t => {
+  const auth = createAuthWith(t, [
+    { value: 'a', lastUsedAt: '2026-01-10T02:00:00.000Z' },
+    { value: 'b', status: 'exhausted', resetAt: RESET },
+    { value: 'c', lastUsedAt: '2026-01-10T01:00:00.000Z' }
+  ], { strategy: 'round-robin', usageSaveInterval: 0 });
+
+  // Never-used cookies first, then the one used longest ago
+  assert.deepStrictEqual(await pick(auth, 4), ['b', 'c', 'a', 'b']);
+});
+
+test('least-used picks the cookie with the fewest requests today', async t => {
+  const auth = createAuthWith(t, [
+    { value: 'a', requestsToday: 5 },
+    { value: 'b', requestsToday: 1, lastUsedAt: '2026-01-10T02:00:00.000Z' },
+    { value: 'c', requestsToday: 3, lastUsedAt: '2026-01-10T01:00:00.000Z' }
+  ], { strategy: 'least-used', usageSaveInterval: 0 });
+
+  // b catches up with c at 3 requests, then the one used longest ago goes first
+  assert.deepStrictEqual(await pick(auth, 5), ['b', 'b', 'c', 'b', 'c']);
+  assert.deepStrictEqual(storedRecords(auth).map(record => record.requestsToday), [5, 4, 5]);
+});
+
+test('skip-exhausted skips exhausted cookies, and throws once they all are', async t => {
+  const auth = createAuthWith(t, [
+    { value: 'a', status: 'exhausted', resetAt: RESET },
+    { value: 'b' },
+    { value: 'c', status: 'expired' }
+  ], { usageSaveInterval: 0 });
+
+  assert.deepStrictEqual(await pick(auth, 2), ['b', 'b']);
+
+  const earlier = '2026-01-10T12:00:00.000Z';
+  auth.recordFailure('.AspNet.ApplicationCookie=b', new RateLimitError(undefined, { resetAt: earlier }));
+
+  // No silent fall back to searching without logging in
+  await assert.rejects(auth.getCookie(), error => {
+    assert.ok(error instanceof RateLimitError);
+    assert.strictEqual(error.resetAt, earlier);
+    return true;
+  });
+  await assert.rejects(auth.getCookieString(), { name: 'RateLimitError' });
+
+  // Expired cookies alone aren't a rate limit
+  const expired = createAuthWith(t, [{ value: 'c', status: 'expired' }]);
+  assert.strictEqual(await expired.getCookie(), null);
+});
+
+test('exhausted cookies and daily counters reset at midnight in Jakarta', async t => {
+  const auth = createAuthWith(t, [
+    { value: 'a', status: 'exhausted', requestsToday: 40, totalRequests: 90, resetAt: RESET },
+    { value: 'b', requestsToday: 2, totalRequests: 2, resetAt: RESET }
+  ], { strategy: 'least-used', usageSaveInterval: 0 });
+
+  assert.strictEqual(await auth.getCookie(), 'b');
+
+  Date.now.mock.mockImplementation(() => Date.parse(RESET));
+  assert.strictEqual(await auth.getCookie(), 'a');
+
+  const [a, b] = storedRecords(auth);
+  assert.deepStrictEqual([a.status, a.requestsToday, a.totalRequests, a.resetAt], ['active', 1, 91, '2026-01-11T17:00:00.000Z']);
+  assert.deepStrictEqual([b.requestsToday, b.totalRequests], [0, 3]);
+});
+
+test('recordFailure marks a cookie exhausted on the daily limit only', async t => {
+  const auth = createAuthWith(t, [{ value: COOKIE }, { value: OTHER_COOKIE }]);
+
+  auth.recordFailure(`.AspNet.ApplicationCookie=${COOKIE}; other=1`, new Error('socket hang up'));
+  let [record] = storedRecords(auth);
+  assert.strictEqual(record.status, 'active');
+  assert.deepStrictEqual(record.lastFailure, { at: new Date(NOW).toISOString(), error: 'Error', message: 'socket hang up' });
+
+  auth.recordFailure(COOKIE, new RateLimitError(undefined, { resetAt: RESET }));
+  [record] = storedRecords(auth);
+  assert.deepStrictEqual([record.status, record.resetAt, record.lastFailure.error], ['exhausted', RESET, 'RateLimitError']);
+  assert.strictEqual(storedRecords(auth)[1].status, 'active');
+
+  // The next pick skips it
+  assert.strictEqual(await auth.getCookie(), OTHER_COOKIE);
+  auth.saveUsage();
+});
+
+test('cookie use is saved at most every usageSaveInterval, without losing any', async t => {
+  const auth = createAuthWith(t, [{ value: COOKIE }], { usageSaveInterval: 30000 });
+  const writes = t.mock.method(auth, '_writeRecords');
+  const reads = t.mock.method(auth, '_readRecords');
+
+  assert.deepStrictEqual(await pick(auth, 3), [COOKIE, COOKIE, COOKIE]);
+  // The first use is saved right away, the other two wait for the interval
+  assert.strictEqual(writes.mock.callCount(), 1);
+  assert.strictEqual(storedRecords(auth)[0].totalRequests, 1);
+  // The file isn't read again while nobody else changes it
+  assert.strictEqual(reads.mock.callCount(), 2);
+
+  // Another process changing the file is noticed, and our use is kept
+  const other = createAuth({ dir: path.dirname(auth.options.cookiesPath) });
+  await other.addCookie(OTHER_COOKIE);
+  Date.now.mock.mockImplementation(() => NOW + 31000);
+  assert.strictEqual(await auth.getCookie(), OTHER_COOKIE);
+  assert.deepStrictEqual(storedRecords(auth).map(record => record.totalRequests), [3, 1]);
+
+  await auth.getCookie();
+  auth.saveUsage();
+  assert.deepStrictEqual(storedRecords(auth).map(record => record.totalRequests), [4, 1]);
+  assert.strictEqual(auth.saveUsageOnExit, null);
+});
+
+test('credentials fall through to the next source when the saved cookies are exhausted', async t => {
+  const { Credentials } = require('../lib/credentials');
+  const auth = createAuthWith(t, [{ value: COOKIE, status: 'exhausted', resetAt: RESET }]);
+
+  const fallback = Credentials.fromOptions({ sources: ['file', () => OTHER_COOKIE], auth });
+  assert.strictEqual(await fallback.getCookieString(), `.AspNet.ApplicationCookie=${OTHER_COOKIE}`);
+
+  const fileOnly = Credentials.fromOptions({ sources: ['file'], auth });
+  await assert.rejects(fileOnly.getCookieString(), { name: 'RateLimitError', resetAt: RESET });
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Keep the default cache directory away from the user's own
+process.env.KBBI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-cache-'));
+
+const Cache = require('../lib/cache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-01-10T00:00:00.000Z');
+
+let count = 0;
+
+// A cache in its own directory, at a fixed time
+function createCache(t, options = {}) {
+  t.mock.method(Date, 'now', () => NOW);
+  return new Cache({ cacheDir: path.join(process.env.KBBI_HOME, `cache-${++count}`), ...options });
+}
+
+function readIndex(cache) {
+  return JSON.parse(fs.readFileSync(cache.indexPath, 'utf8'));
+}
+
+function recordFiles(cache) {
+  return fs.readdirSync(cache.options.cacheDir).filter(file => file !== 'index.json').sort();
+}
+
+function daysAgo(days) {
+  return new Date(NOW - days * DAY_MS).toISOString();
+}
+
+test.after(() => {
+  fs.rmSync(process.env.KBBI_HOME, { recursive: true, force: true });
+});
+
+test('keys are shared by different spellings of a word', () => {
+  assert.strictEqual(Cache.wordKey('  Cinta   Kasih '), 'lookup:cinta kasih');
+  assert.strictEqual(Cache.wordKey('cinta kasih', 'scrape'), 'scrape:cinta kasih');
+  // Decomposed and composed accents are the same word
+  assert.strictEqual(Cache.normalizeWord('ke\u0301'), Cache.normalizeWord('k\u00e9'));
+  assert.strictEqual(Cache.eidKey(1234), 'eid:1234');
+});
+
+test('results from other sites get their own directory', () => {
+  const dir = path.join(process.env.KBBI_HOME, 'cache', 'results');
+
+  assert.strictEqual(Cache.dirFor(), dir);
+  assert.strictEqual(Cache.dirFor('https://kbbi.kemdikbud.go.id'), dir);
+  assert.strictEqual(Cache.dirFor('http://127.0.0.1:8080'), `${dir}-127.0.0.1_8080`);
+});
+
+test('records are stored one per file and tracked in index.json', t => {
+  const cache = createCache(t);
+  const record = cache.set('lookup:cinta', { word: 'cinta' }, { authenticated: true, fetchedAt: daysAgo(1) });
+
+  assert.deepStrictEqual(record, {
+    key: 'lookup:cinta',
+    fetchedAt: daysAgo(1),
+    expiresAt: daysAgo(-6),
+    authenticated: true,
+    data: { word: 'cinta' }
+  });
+
+  const [file] = recordFiles(cache);
+  const meta = readIndex(cache).entries['lookup:cinta'];
+  assert.deepStrictEqual(meta, {
+    file,
+    size: fs.statSync(path.join(cache.options.cacheDir, file)).size,
+    fetchedAt: record.fetchedAt,
+    expiresAt: record.expiresAt,
+    authenticated: true
+  });
+
+  // Another instance reads the index from disk
+  const again = new Cache({ cacheDir: cache.options.cacheDir });
+  assert.deepStrictEqual(again.get('lookup:cinta'), record);
+
+  assert.strictEqual(again.delete('lookup:cinta'), true);
+  assert.strictEqual(again.delete('lookup:cinta'), false);
+  assert.deepStrictEqual(recordFiles(again), []);
+  assert.deepStrictEqual(readIndex(again).entries, {});
+});
+
+test('caches in two processes keep each other\'s records', t => {
+  const batch = createCache(t);
+  const lookup = new Cache({ cacheDir: batch.options.cacheDir });
+
+  batch.set('lookup:cinta', { word: 'cinta' });
+  lookup.set('lookup:bisa', { word: 'bisa' });
+  batch.set('lookup:buku', { word: 'buku' });
+
+  assert.deepStrictEqual(Object.keys(readIndex(batch).entries).sort(), ['lookup:bisa', 'lookup:buku', 'lookup:cinta']);
+  assert.strictEqual(batch.get('lookup:bisa').data.word, 'bisa');
+  assert.strictEqual(lookup.get('lookup:buku').data.word, 'buku');
+
+  // Removals are seen by the other one too
+  lookup.delete('lookup:cinta');
+  assert.strictEqual(batch.get('lookup:cinta'), null);
+  assert.strictEqual(batch.stats().entries, 2);
+  // Every record file is in the index, and no temporary file is left behind
+  assert.deepStrictEqual(recordFiles(batch), Object.values(readIndex(batch).entries).map(meta => meta.file).sort());
+});
+
+test('records expire after their TTL', t => {
+  const cache = createCache(t, { ttl: 7 * DAY_MS });
+  cache.set('lookup:cinta', { word: 'cinta' }, { fetchedAt: daysAgo(6) });
+  cache.set('lookup:cintx', { word: 'cintx' }, { fetchedAt: daysAgo(6), ttl: DAY_MS });
+
+  assert.ok(cache.get('lookup:cinta'));
+  assert.strictEqual(cache.get('lookup:cintx'), null);
+
+  Date.now.mock.mockImplementation(() => NOW + DAY_MS);
+  assert.strictEqual(cache.get('lookup:cinta'), null);
+
+  // Expired records stay on disk until pruned
+  assert.strictEqual(cache.stats().expired, 2);
+  assert.deepStrictEqual(Array.from(cache.records(), record => record.key).sort(), ['lookup:cinta', 'lookup:cintx']);
+});
+
+test('a missing record file is dropped from the index', t => {
+  const cache = createCache(t);
+  cache.set('lookup:cinta', { word: 'cinta' });
+  fs.unlinkSync(path.join(cache.options.cacheDir, recordFiles(cache)[0]));
+
+  assert.strictEqual(cache.get('lookup:cinta'), null);
+  assert.deepStrictEqual(readIndex(cache).entries, {});
+});
+
+test('prune removes expired records', t => {
+  const cache = createCache(t);
+  cache.set('lookup:cinta', { word: 'cinta' }, { fetchedAt: daysAgo(8) });
+  cache.set('lookup:bisa', { word: 'bisa' }, { fetchedAt: daysAgo(1) });
+  cache.set('eid:1234', { eid: 1234 }, { fetchedAt: daysAgo(10) });
+
+  assert.deepStrictEqual(cache.prune(), { expired: 2, evicted: 0 });
+  assert.deepStrictEqual(Object.keys(readIndex(cache).entries), ['lookup:bisa']);
+  assert.deepStrictEqual(recordFiles(cache), [readIndex(cache).entries['lookup:bisa'].file]);
+
+  const stats = cache.stats();
+  assert.strictEqual(stats.entries, 1);
+  assert.strictEqual(stats.words, 1);
+  assert.strictEqual(stats.eids, 0);
+  assert.strictEqual(stats.expired, 0);
+});
+
+test('the size limits evict expired records first, then the oldest', t => {
+  const cache = createCache(t, { maxEntries: 2 });
+  cache.set('lookup:lama', { word: 'lama' }, { fetchedAt: daysAgo(6) });
+  cache.set('lookup:kedaluwarsa', { word: 'kedaluwarsa' }, { fetchedAt: daysAgo(5), ttl: DAY_MS });
+  cache.set('lookup:baru', { word: 'baru' }, { fetchedAt: daysAgo(1) });
+
+  assert.deepStrictEqual(Object.keys(readIndex(cache).entries).sort(), ['lookup:baru', 'lookup:lama']);
+
+  cache.set('lookup:terbaru', { word: 'terbaru' });
+  assert.deepStrictEqual(Object.keys(readIndex(cache).entries).sort(), ['lookup:baru', 'lookup:terbaru']);
+  assert.strictEqual(recordFiles(cache).length, 2);
+
+  // maxSize counts the bytes of the record files
+  const small = createCache(t);
+  small.set('lookup:cinta', { word: 'cinta' }, { fetchedAt: daysAgo(3) });
+  small.options.maxSize = small.stats().size * 2.5;
+  small.set('lookup:bisa', { word: 'bisa' }, { fetchedAt: daysAgo(2) });
+  small.set('lookup:buku', { word: 'buku' }, { fetchedAt: daysAgo(1) });
+  assert.deepStrictEqual(Object.keys(readIndex(small).entries).sort(), ['lookup:bisa', 'lookup:buku']);
+  assert.ok(small.stats().size <= small.options.maxSize);
+});
+
+test('clear removes every record and empties the index', t => {
+  const cache = createCache(t);
+  cache.set('lookup:cinta', { word: 'cinta' });
+  cache.set('scrape:cinta', { word: 'cinta' });
+  cache.set('eid:1234', { eid: 1234 });
+
+  assert.strictEqual(cache.clear(), 3);
+  assert.deepStrictEqual(recordFiles(cache), []);
+  assert.deepStrictEqual(readIndex(cache), { version: 1, entries: {} });
+  assert.strictEqual(cache.get('lookup:cinta'), null);
+
+  // Clearing a cache that was never written doesn't create its directory
+  const empty = createCache(t);
+  assert.strictEqual(empty.clear(), 0);
+  assert.strictEqual(fs.existsSync(empty.options.cacheDir), false);
+});
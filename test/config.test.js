@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+
+// Keep config, cookie and cache files away from the user's own directories
+const ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-config-'));
+process.env.KBBI_HOME = path.join(ROOT, 'kbbi-home');
+delete process.env.KBBI_CONFIG;
+
+const Config = require('../lib/config');
+const KBBI = require('../kbbi');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+let count = 0;
+
+// A home directory, a working directory and XDG directories of their own,
+// with the environment and the working directory pointing at them
+function sandbox(t) {
+  const dir = path.join(ROOT, `sandbox-${++count}`);
+  const dirs = {
+    home: path.join(dir, 'home'),
+    cwd: path.join(dir, 'project'),
+    xdgConfig: path.join(dir, 'xdg-config'),
+    xdgData: path.join(dir, 'xdg-data'),
+    xdgCache: path.join(dir, 'xdg-cache')
+  };
+  for (const value of Object.values(dirs)) fs.mkdirSync(value, { recursive: true });
+
+  // Set on process.env itself (not a copy), so os.homedir() sees HOME too
+  const values = {
+    HOME: dirs.home,
+    USERPROFILE: dirs.home,
+    XDG_CONFIG_HOME: dirs.xdgConfig,
+    XDG_DATA_HOME: dirs.xdgData,
+    XDG_CACHE_HOME: dirs.xdgCache,
+    KBBI_HOME: undefined,
+    KBBI_CONFIG: undefined
+  };
+  const previous = {};
+  for (const [name, value] of Object.entries(values)) {
+    previous[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+
+  const cwd = process.cwd();
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    process.chdir(cwd);
+  });
+
+  process.chdir(dirs.cwd);
+  return dirs;
+}
+
+function writeJson(file, values) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+// Pretend to run on another platform for one test
+function setPlatform(t, platform) {
+  const descriptor = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { ...descriptor, value: platform });
+  t.after(() => Object.defineProperty(process, 'platform', descriptor));
+}
+
+// Run the CLI in a sandbox and parse its JSON output
+function runCli(dirs, args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI, ...args], { cwd: dirs.cwd, env: process.env, timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) reject(new Error(stderr || error.message));
+      else resolve(JSON.parse(stdout));
+    });
+  });
+}
+
+test.after(() => {
+  fs.rmSync(ROOT, { recursive: true, force: true });
+});
+
+test('directories follow XDG, with ~/.config, ~/.local/share and ~/.cache as fallbacks', t => {
+  const dirs = sandbox(t);
+  setPlatform(t, 'linux');
+
+  assert.deepStrictEqual(Config.resolvePaths(process.env), {
+    config: path.join(dirs.xdgConfig, 'kbbi'),
+    data: path.join(dirs.xdgData, 'kbbi'),
+    cache: path.join(dirs.xdgCache, 'kbbi')
+  });
+
+  assert.deepStrictEqual(Config.resolvePaths({}), {
+    config: path.join(dirs.home, '.config', 'kbbi'),
+    data: path.join(dirs.home, '.local', 'share', 'kbbi'),
+    cache: path.join(dirs.home, '.cache', 'kbbi')
+  });
+});
+
+test('Windows uses %APPDATA% and %LOCALAPPDATA% unless XDG_CONFIG_HOME is set', t => {
+  const dirs = sandbox(t);
+  setPlatform(t, 'win32');
+  const appData = path.join(dirs.home, 'Roaming');
+  const localAppData = path.join(dirs.home, 'Local');
+
+  assert.deepStrictEqual(Config.resolvePaths({ APPDATA: appData, LOCALAPPDATA: localAppData }), {
+    config: path.join(appData, 'kbbi'),
+    data: path.join(appData, 'kbbi', 'data'),
+    cache: path.join(localAppData, 'kbbi', 'cache')
+  });
+
+  assert.deepStrictEqual(Config.resolvePaths({}), {
+    config: path.join(dirs.home, 'AppData', 'Roaming', 'kbbi'),
+    data: path.join(dirs.home, 'AppData', 'Roaming', 'kbbi', 'data'),
+    cache: path.join(dirs.home, 'AppData', 'Local', 'kbbi', 'cache')
+  });
+
+  assert.strictEqual(Config.resolvePaths({ XDG_CONFIG_HOME: dirs.xdgConfig }).config, path.join(dirs.xdgConfig, 'kbbi'));
+});
+
+test('KBBI_HOME puts everything in one directory, on every platform', t => {
+  const dirs = sandbox(t);
+  setPlatform(t, 'win32');
+
+  const env = { KBBI_HOME: 'kbbi-home', APPDATA: dirs.home, XDG_CONFIG_HOME: dirs.xdgConfig };
+  assert.deepStrictEqual(Config.resolvePaths(env), {
+    config: path.join(dirs.cwd, 'kbbi-home'),
+    data: path.join(dirs.cwd, 'kbbi-home', 'data'),
+    cache: path.join(dirs.cwd, 'kbbi-home', 'cache')
+  });
+});
+
+test('config files are looked up in KBBI_CONFIG, ./.kbbirc, <config>/config.json, then ~/.kbbirc', t => {
+  const dirs = sandbox(t);
+  assert.strictEqual(Config.findConfigFile(), null);
+
+  const home = writeJson(path.join(dirs.home, '.kbbirc'), { format: 'plain' });
+  assert.strictEqual(Config.findConfigFile(), home);
+
+  const configJson = writeJson(path.join(dirs.xdgConfig, 'kbbi', 'config.json'), { format: 'markdown' });
+  assert.strictEqual(Config.findConfigFile(), configJson);
+
+  const project = writeJson(path.join(dirs.cwd, '.kbbirc'), { format: 'html' });
+  assert.strictEqual(Config.findConfigFile(), project);
+
+  // KBBI_CONFIG is used even before it exists, so a typo is reported
+  process.env.KBBI_CONFIG = path.join(dirs.home, 'kbbi.json');
+  assert.strictEqual(Config.findConfigFile(), process.env.KBBI_CONFIG);
+  assert.throws(() => Config.load(), /Invalid config file .*kbbi\.json/);
+
+  writeJson(process.env.KBBI_CONFIG, { format: 'json' });
+  assert.strictEqual(Config.load().format, 'json');
+
+  // With KBBI_HOME, <config>/config.json is the one in KBBI_HOME
+  delete process.env.KBBI_CONFIG;
+  fs.unlinkSync(project);
+  process.env.KBBI_HOME = path.join(dirs.home, 'kbbi-home');
+  const kbbiHome = writeJson(path.join(process.env.KBBI_HOME, 'config.json'), { format: 'terminal' });
+  assert.strictEqual(Config.findConfigFile(), kbbiHome);
+});
+
+test('config files are merged over the defaults, and bad ones are rejected', t => {
+  const dirs = sandbox(t);
+  const file = writeJson(path.join(dirs.cwd, '.kbbirc'), { headless: false, cacheTtl: 1000, future: 'kept' });
+
+  assert.deepStrictEqual(Config.load(), { ...Config.DEFAULTS, headless: false, cacheTtl: 1000, future: 'kept', file });
+  assert.deepStrictEqual(Config.load({ file: writeJson(path.join(dirs.home, 'empty.json'), {}) }),
+    { ...Config.DEFAULTS, file: path.join(dirs.home, 'empty.json') });
+
+  writeJson(file, { format: 'pdf' });
+  assert.throws(() => Config.load(), /format must be one of/);
+  writeJson(file, { endpoints: 'https://example.com' });
+  assert.throws(() => Config.load(), /endpoints must be an object/);
+  writeJson(file, []);
+  assert.throws(() => Config.load(), /expected a JSON object/);
+});
+
+test('the KBBI constructor takes its defaults from the config file', t => {
+  const dirs = sandbox(t);
+  writeJson(path.join(dirs.xdgConfig, 'kbbi', 'config.json'), {
+    headless: false,
+    timeout: 5000,
+    cookieStrategy: 'least-used',
+    cacheTtl: 60000
+  });
+
+  const kbbi = new KBBI({ cache: false });
+  assert.strictEqual(kbbi.options.headless, false);
+  assert.strictEqual(kbbi.options.timeout, 5000);
+  assert.strictEqual(kbbi.options.cookieStrategy, 'least-used');
+  assert.strictEqual(kbbi.auth.options.strategy, 'least-used');
+  assert.strictEqual(kbbi.config.cacheTtl, 60000);
+  // Saved cookies live in the XDG data directory
+  assert.strictEqual(kbbi.options.cookiesPath, path.join(dirs.xdgData, 'kbbi', 'kbbi-cookies.json'));
+
+  // Options win over the config file
+  assert.strictEqual(new KBBI({ cache: false, headless: true }).options.headless, true);
+
+  // config: false ignores config files, an object is merged over the defaults
+  assert.deepStrictEqual(new KBBI({ cache: false, config: false }).config, Config.DEFAULTS);
+  const merged = new KBBI({ cache: false, config: { timeout: 1000 } });
+  assert.deepStrictEqual(merged.config, { ...Config.DEFAULTS, timeout: 1000 });
+  assert.strictEqual(merged.options.headless, true);
+});
+
+test('the CLI takes its defaults from the config file', async t => {
+  const dirs = sandbox(t);
+
+  const defaults = await runCli(dirs, ['config', '--json']);
+  assert.strictEqual(defaults.file, null);
+  assert.deepStrictEqual(defaults.config, Config.DEFAULTS);
+  assert.deepStrictEqual(defaults.paths, {
+    config: path.join(dirs.xdgConfig, 'kbbi'),
+    data: path.join(dirs.xdgData, 'kbbi'),
+    cache: path.join(dirs.xdgCache, 'kbbi')
+  });
+
+  const file = writeJson(path.join(dirs.home, '.kbbirc'), {
+    format: 'markdown',
+    cacheTtl: 1000,
+    endpoints: { baseUrl: 'http://127.0.0.1:9' }
+  });
+  const configured = await runCli(dirs, ['config', '--json']);
+  assert.strictEqual(configured.file, file);
+  assert.deepStrictEqual(configured.config, { ...Config.DEFAULTS, format: 'markdown', cacheTtl: 1000, endpoints: { baseUrl: 'http://127.0.0.1:9' } });
+  assert.strictEqual(configured.endpoints.baseUrl, 'http://127.0.0.1:9');
+
+  // KBBI_HOME moves the directories, and its config.json is used
+  process.env.KBBI_HOME = path.join(dirs.home, 'kbbi-home');
+  writeJson(path.join(process.env.KBBI_HOME, 'config.json'), { headless: false });
+  const home = await runCli(dirs, ['config', '--json']);
+  assert.strictEqual(home.config.headless, false);
+  assert.strictEqual(home.paths.data, path.join(process.env.KBBI_HOME, 'data'));
+});
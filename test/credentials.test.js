@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Keep cookie files away from the user's own directories
+process.env.KBBI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-credentials-'));
+delete process.env.KBBI_COOKIE_PASSPHRASE;
+delete process.env.KBBI_COOKIE_KEY_FILE;
+
+const Auth = require('../lib/auth');
+const { Credentials, FileProvider, FunctionProvider, toCookieString } = require('../lib/credentials');
+const { RateLimitError } = require('../lib/errors');
+
+let count = 0;
+
+// An Auth with a cookie file of its own holding the given cookie values
+function fileAuth(...values) {
+  const auth = new Auth({ cookiesPath: path.join(process.env.KBBI_HOME, `cookies-${++count}.json`), usageSaveInterval: 0 });
+  for (const value of values) auth.addCookie(value);
+  return auth;
+}
+
+// A provider that hands out one cookie and remembers the failures it hears about
+function recordingProvider(name, cookie) {
+  return {
+    name,
+    failures: [],
+    async getCookieString() {
+      return cookie;
+    },
+    recordFailure(cookieString, error) {
+      this.failures.push([cookieString, error.message]);
+    }
+  };
+}
+
+// Set KBBI_COOKIE for one test
+function setEnvCookie(t, value) {
+  const previous = process.env.KBBI_COOKIE;
+  process.env.KBBI_COOKIE = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env.KBBI_COOKIE;
+    else process.env.KBBI_COOKIE = previous;
+  });
+}
+
+test.after(() => {
+  fs.rmSync(process.env.KBBI_HOME, { recursive: true, force: true });
+});
+
+test('cookie values become cookie strings, cookie strings pass through', () => {
+  assert.strictEqual(toCookieString(' abc '), '.AspNet.ApplicationCookie=abc');
+  assert.strictEqual(toCookieString('.AspNet.ApplicationCookie=abc; other=1'), '.AspNet.ApplicationCookie=abc; other=1');
+  assert.strictEqual(toCookieString('  '), null);
+  assert.strictEqual(toCookieString(null), null);
+});
+
+test('the first source with a cookie wins, in the order given', async t => {
+  setEnvCookie(t, 'from-env');
+  const auth = fileAuth('from-file');
+
+  const all = Credentials.fromOptions({ cookie: 'inline', auth });
+  assert.strictEqual(await all.getCookieString(), '.AspNet.ApplicationCookie=inline');
+
+  // Without a cookie option the inline source is left out
+  const noInline = Credentials.fromOptions({ auth });
+  assert.deepStrictEqual(noInline.providers.map(provider => provider.name), ['env', 'file']);
+  assert.strictEqual(await noInline.getCookieString(), '.AspNet.ApplicationCookie=from-env');
+
+  const fileFirst = Credentials.fromOptions({ sources: ['file', 'env', 'inline'], cookie: 'inline', auth });
+  assert.strictEqual(await fileFirst.getCookieString(), '.AspNet.ApplicationCookie=from-file');
+  assert.strictEqual(fileFirst.auth, auth);
+
+  // An empty source is skipped, and no source at all means no login
+  process.env.KBBI_COOKIE = '';
+  assert.strictEqual(await Credentials.fromOptions({ sources: ['env', 'file'], auth }).getCookieString(),
+    '.AspNet.ApplicationCookie=from-file');
+  assert.strictEqual(await Credentials.fromOptions({ sources: ['env'] }).getCookieString(), null);
+
+  assert.throws(() => Credentials.fromOptions({ sources: ['keychain'] }), /Unknown credential source: keychain/);
+});
+
+test('KBBI_COOKIE holds one or more cookies and is read on every request', async t => {
+  setEnvCookie(t, 'first, second');
+  const credentials = Credentials.fromOptions({ sources: ['env'] });
+
+  assert.deepStrictEqual([await credentials.getCookieString(), await credentials.getCookieString(), await credentials.getCookieString()],
+    ['.AspNet.ApplicationCookie=first', '.AspNet.ApplicationCookie=second', '.AspNet.ApplicationCookie=first']);
+
+  // A rotated secret is picked up without a restart
+  process.env.KBBI_COOKIE = '.AspNet.ApplicationCookie=rotated\n';
+  assert.strictEqual(await credentials.getCookieString(), '.AspNet.ApplicationCookie=rotated');
+
+  // Another variable can be used instead
+  process.env.KBBI_TEST_COOKIE = 'other';
+  t.after(() => delete process.env.KBBI_TEST_COOKIE);
+  assert.strictEqual(await Credentials.fromOptions({ sources: ['env'], cookieEnv: 'KBBI_TEST_COOKIE' }).getCookieString(),
+    '.AspNet.ApplicationCookie=other');
+});
+
+test('function sources may be async and return a value, a cookie string or null', async () => {
+  const calls = [];
+  async function vault() {
+    calls.push('vault');
+    return null;
+  }
+  const credentials = Credentials.fromOptions({ sources: [vault, () => 'from-function'] });
+
+  assert.deepStrictEqual(credentials.providers.map(provider => provider.name), ['vault', 'function']);
+  assert.strictEqual(await credentials.getCookieString(), '.AspNet.ApplicationCookie=from-function');
+  assert.deepStrictEqual(calls, ['vault']);
+
+  const failures = [];
+  const provider = new FunctionProvider(async () => '.AspNet.ApplicationCookie=x', (...args) => failures.push(args));
+  assert.strictEqual(await provider.getCookieString(), '.AspNet.ApplicationCookie=x');
+  const error = new Error('expired');
+  provider.recordFailure('.AspNet.ApplicationCookie=x', error);
+  assert.deepStrictEqual(failures, [['.AspNet.ApplicationCookie=x', error]]);
+
+  assert.throws(() => new FunctionProvider('not a function'), /Credential provider function is required/);
+});
+
+test('failures go back to the source that handed out the cookie', async () => {
+  const primary = recordingProvider('primary', null);
+  const secondary = recordingProvider('secondary', 'second-cookie');
+  const credentials = new Credentials([primary, secondary]);
+
+  const cookieString = await credentials.getCookieString();
+  credentials.recordFailure(cookieString, new Error('socket hang up'));
+  // Cookies nobody handed out, and requests without a cookie, are ignored
+  credentials.recordFailure('.AspNet.ApplicationCookie=unknown', new Error('expired'));
+  credentials.recordFailure(null, new Error('expired'));
+
+  assert.deepStrictEqual(primary.failures, []);
+  assert.deepStrictEqual(secondary.failures, [['.AspNet.ApplicationCookie=second-cookie', 'socket hang up']]);
+});
+
+test('the daily limit on a saved cookie marks it exhausted in the cookie file', async () => {
+  const auth = fileAuth('saved');
+  const credentials = new Credentials([new FileProvider(auth), recordingProvider('fallback', 'fallback')]);
+
+  const cookieString = await credentials.getCookieString();
+  assert.strictEqual(cookieString, '.AspNet.ApplicationCookie=saved');
+  credentials.recordFailure(cookieString, new RateLimitError());
+
+  const [record] = (await auth.listCookies()).details;
+  assert.strictEqual(record.status, 'exhausted');
+  assert.strictEqual(record.lastFailure.error, 'RateLimitError');
+
+  // The next request uses the next source
+  assert.strictEqual(await credentials.getCookieString(), '.AspNet.ApplicationCookie=fallback');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('assert');
+const Endpoints = require('../lib/endpoints');
+const BrowserManager = require('../lib/browser');
+
+test('defaults to the official site', () => {
+  const endpoints = new Endpoints({}, { env: {} });
+
+  assert.strictEqual(endpoints.entryUrl('rumah sakit'), 'https://kbbi.kemdikbud.go.id/entri/rumah%20sakit');
+  assert.strictEqual(endpoints.detailsUrl(20384), 'https://kbbi.kemdikbud.go.id/DataDasarEntri/Details?eid=20384');
+  assert.strictEqual(endpoints.loginUrl(), 'https://kbbi.kemdikbud.go.id/Account/Login');
+  assert.strictEqual(endpoints.cookieDomain, 'kbbi.kemdikbud.go.id');
+});
+
+test('options win over the environment, the environment over the config file', () => {
+  const env = { KBBI_BASE_URL: 'https://env.example/', KBBI_LOGIN_PATH: '/masuk' };
+  const config = { baseUrl: 'https://config.example', loginPath: '/login', entryPath: '/kata/{word}' };
+
+  assert.deepStrictEqual(new Endpoints({ baseUrl: 'http://127.0.0.1:8080' }, { env, config }).toJSON(), {
+    baseUrl: 'http://127.0.0.1:8080',
+    entryPath: '/kata/{word}',
+    detailsPath: '/DataDasarEntri/Details?eid={eid}',
+    loginPath: '/masuk',
+    cookieDomain: '127.0.0.1'
+  });
+  assert.strictEqual(new Endpoints({}, { env, config }).baseUrl, 'https://env.example');
+  assert.strictEqual(new Endpoints({}, { env: {}, config }).baseUrl, 'https://config.example');
+});
+
+test('from() takes an instance, values or a base URL', () => {
+  const endpoints = new Endpoints({ cookieDomain: '.example.org' }, { env: {} });
+
+  assert.strictEqual(Endpoints.from(endpoints), endpoints);
+  assert.strictEqual(Endpoints.from('https://kbbi.example.org/').baseUrl, 'https://kbbi.example.org');
+  assert.strictEqual(endpoints.cookieDomain, '.example.org');
+});
+
+test('rejects invalid values', () => {
+  assert.throws(() => new Endpoints({ baseUrl: 'kbbi.example.org' }, { env: {} }), /Invalid KBBI base URL/);
+  assert.throws(() => new Endpoints({ baseUrl: 'ftp://kbbi.example.org' }, { env: {} }), /use http or https/);
+  assert.throws(() => new Endpoints({ entryPath: '/entri/' }, { env: {} }), /must contain \{word\}/);
+  assert.throws(() => new Endpoints({ loginPath: 'Account/Login' }, { env: {} }), /must start with \//);
+});
+
+test('session cookies are set for the configured domain', () => {
+  const browser = new BrowserManager({ endpoints: { baseUrl: 'https://kbbi.example.org', cookieDomain: '.example.org' } });
+  const [cookie] = browser._parseCookieString('.AspNet.ApplicationCookie=abc');
+
+  assert.strictEqual(cookie.domain, '.example.org');
+});
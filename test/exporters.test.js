@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  readResults, exportSqlite, exportJsonl, exportAnki, AnkiExporter, exportStardict, exportYomitan, exportTei, TeiExporter
+} = require('../lib/exporters');
+const ZipWriter = require('../lib/zip');
+const { loadManifest, readGolden } = require('./helpers/fixtures');
+
+// Exporters are fed the fixtures' golden results
+function fixtureResults(fetchedAt = '2026-01-01T00:00:00.000Z') {
+  return loadManifest()
+    .map(fixture => readGolden(fixture.name))
+    .filter(result => result && result.entries && result.entries.length > 0)
+    .map(result => ({ ...result, fetchedAt }));
+}
+
+function hasModule(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Files in a ZIP written by ZipWriter (read through the local file headers)
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034B50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const crc = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const data = buffer.subarray(start, start + size);
+
+    files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    assert.strictEqual(ZipWriter.crc32(files[name]), crc);
+    offset = start + size;
+  }
+
+  return files;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-export-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('readResults reads JSONL files and skips failures', async () => {
+  const file = path.join(dir, 'results.jsonl');
+  fs.writeFileSync(file, [
+    ...fixtureResults().map(result => JSON.stringify(result)),
+    JSON.stringify({ word: 'cintx', error: 'NotFoundError', message: 'not found' }),
+    ''
+  ].join('\n'));
+
+  const results = [];
+  for await (const result of readResults({ files: [file] })) {
+    results.push(result);
+  }
+
+  assert.deepStrictEqual(results.map(result => result.word), fixtureResults().map(result => result.word));
+});
+
+test('SQLite export writes normalized tables and upserts', { skip: !hasModule('sql.js') && 'sql.js is not installed' }, async () => {
+  const file = path.join(dir, 'kbbi.db');
+  const query = async sql => {
+    const SQL = await require('sql.js')();
+    const db = new SQL.Database(fs.readFileSync(file));
+    try {
+      const [result] = db.exec(sql);
+      return result ? result.values : [];
+    } finally {
+      db.close();
+    }
+  };
+
+  const first = await exportSqlite(fixtureResults(), file);
+  assert.strictEqual(first.results, 8);
+  assert.deepStrictEqual(await query('PRAGMA foreign_key_check'), []);
+
+  const [[entries]] = await query('SELECT COUNT(*) FROM entries');
+  assert.strictEqual(entries, 8);
+  assert.deepStrictEqual(await query(
+    "SELECT nomor, definisi FROM meanings WHERE eid = '20384' ORDER BY nomor"
+  ), readGolden('details-entry').entries[0].makna.map(meaning => [meaning.nomor, meaning.definisi]));
+  assert.deepStrictEqual(await query(
+    "SELECT word FROM related WHERE eid = 'nama:cinta#' AND relation = 'gabunganKata' ORDER BY position"
+  ), [['cinta kasih'], ['cinta monyet'], ['cinta tanah air']]);
+
+  // Exporting again doesn't duplicate rows, and older copies don't replace newer ones
+  const counts = await query('SELECT (SELECT COUNT(*) FROM meanings), (SELECT COUNT(*) FROM examples), (SELECT COUNT(*) FROM related)');
+  await exportSqlite(fixtureResults(), file);
+  const older = await exportSqlite(fixtureResults('2025-01-01T00:00:00.000Z'), file);
+  assert.strictEqual(older.entries, 0);
+  assert.strictEqual(older.unchanged, 9);
+  assert.deepStrictEqual(await query('SELECT (SELECT COUNT(*) FROM meanings), (SELECT COUNT(*) FROM examples), (SELECT COUNT(*) FROM related)'), counts);
+
+  // A newer copy replaces the entry
+  const [updated] = fixtureResults('2027-01-01T00:00:00.000Z').filter(result => result.word === 'cinta');
+  updated.entries[0].makna = [{ ...updated.entries[0].makna[0], definisi: 'kasih sayang' }];
+  await exportSqlite([updated], file);
+  assert.deepStrictEqual(await query("SELECT nomor, definisi FROM meanings WHERE eid = 'nama:cinta#'"), [[1, 'kasih sayang']]);
+});
+
+test('JSONL export writes entries with provenance and a manifest', async () => {
+  const file = path.join(dir, 'kbbi.jsonl');
+  const results = fixtureResults();
+  const scraped = results.find(result => result.word === 'mencintai');
+  scraped.parserVersion = 1;
+  scraped.sources = [
+    { url: 'https://kbbi.example/entri/mencintai', pageType: 'search', eid: null, authenticated: true, fetchedAt: '2026-01-01T00:00:00.000Z', sha256: 'a'.repeat(64) },
+    { url: 'https://kbbi.example/DataDasarEntri/Details?eid=20384', pageType: 'details', eid: '20384', authenticated: true, fetchedAt: '2026-01-01T00:00:01.000Z', sha256: 'b'.repeat(64) }
+  ];
+
+  // Entries already written are skipped: the second copy of each result, and the details page of mencintai
+  const manifest = await exportJsonl([...results, ...fixtureResults()], file);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  assert.strictEqual(lines.length, 8);
+  assert.deepStrictEqual(manifest.counts, {
+    results: 16, entries: 8, words: 7, duplicates: 10, authenticated: 3, withoutHash: 7
+  });
+  assert.deepStrictEqual(manifest.parserVersions, [1]);
+  assert.strictEqual(manifest.file.sha256, crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex'));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'kbbi.manifest.json'), 'utf8')), manifest);
+
+  const line = lines.find(record => record.eid === '20384');
+  assert.deepStrictEqual(line.provenance, {
+    url: 'https://kbbi.example/DataDasarEntri/Details?eid=20384',
+    pageType: 'details',
+    fetchedAt: '2026-01-01T00:00:01.000Z',
+    authenticated: true,
+    parserVersion: 1,
+    sha256: 'b'.repeat(64),
+    schemaVersion: 1
+  });
+  assert.strictEqual(line.word, 'mencintai');
+});
+
+test('Anki export writes a note per meaning with a blanked example and tags', async () => {
+  const file = path.join(dir, 'kbbi.tsv');
+  const counts = await exportAnki(fixtureResults(), file);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+
+  assert.deepStrictEqual(lines.slice(0, 5), [
+    '#separator:tab',
+    '#html:true',
+    '#guid column:1',
+    '#tags column:4',
+    '#columns:GUID\tFront\tBack\tTags'
+  ]);
+  assert.strictEqual(counts.notes, lines.length - 5);
+  assert.strictEqual(counts.duplicates, 1);
+  assert.ok(lines.includes([
+    'kbbi:9421:2',
+    'bi.sa¹',
+    '<i>Nomina, kiasan</i> perkataan yang menyakitkan hati<br>____ lidahnya lebih tajam dari pisau',
+    'kbbi kelas::nomina kelas::kiasan bahasa::sanskerta'
+  ].join('\t')));
+
+  // Custom templates; commas in fields are quoted in CSV
+  const csv = path.join(dir, 'kbbi.csv');
+  await exportAnki(fixtureResults().filter(result => result.word === 'bisa'), csv, {
+    template: { front: '{contoh}', back: '{word} ({kelasKata})' }
+  });
+  assert.deepStrictEqual(fs.readFileSync(csv, 'utf8').split('\n').slice(5, 7), [
+    'kbbi:9421:1,ular itu mempunyai ____ yang sangat mematikan,bisa (Nomina),kbbi kelas::nomina bahasa::sanskerta',
+    'kbbi:9421:2,____ lidahnya lebih tajam dari pisau,"bisa (Nomina, kiasan)",kbbi kelas::nomina kelas::kiasan bahasa::sanskerta'
+  ]);
+  assert.throws(() => new AnkiExporter(csv, { template: { front: '{arti}', back: '' } }), /Unknown Anki template field: \{arti\}/);
+});
+
+test('Anki examples have the headword blanked', () => {
+  assert.strictEqual(AnkiExporter.blankHeadword('Cinta itu buta; -- monyet', 'cinta', '[...]'), '[...] itu buta; [...] monyet');
+  assert.strictEqual(AnkiExporter.blankHeadword('ular berbisa', 'bisa'), 'ular berbisa');
+});
+
+test('ZipWriter writes archives zip tools read', () => {
+  assert.strictEqual(ZipWriter.crc32(Buffer.from('123456789')).toString(16), 'cbf43926');
+
+  const zip = new ZipWriter().add('index.json', '{}').add('kata/bisa.txt', 'bisa '.repeat(100)).toBuffer();
+  const files = readZip(zip);
+
+  assert.deepStrictEqual(Object.keys(files), ['index.json', 'kata/bisa.txt']);
+  assert.strictEqual(files['kata/bisa.txt'].toString(), 'bisa '.repeat(100));
+  // End of central directory: two files
+  assert.strictEqual(zip.readUInt16LE(zip.length - 12), 2);
+});
+
+test('StarDict export writes a sorted index and derived forms', async () => {
+  const base = path.join(dir, 'stardict', 'kbbi');
+  const counts = await exportStardict(fixtureResults(), `${base}.ifo`, { date: new Date('2026-01-01T00:00:00Z') });
+
+  assert.deepStrictEqual(counts, { results: 8, entries: 8, articles: 7, synonyms: 7, duplicates: 1 });
+
+  const idx = fs.readFileSync(`${base}.idx`);
+  const dict = fs.readFileSync(`${base}.dict`);
+  const articles = {};
+  for (let offset = 0; offset < idx.length;) {
+    const end = idx.indexOf(0, offset);
+    const word = idx.toString('utf8', offset, end);
+    articles[word] = dict.toString('utf8', idx.readUInt32BE(end + 1), idx.readUInt32BE(end + 1) + idx.readUInt32BE(end + 5));
+    offset = end + 9;
+  }
+
+  assert.deepStrictEqual(Object.keys(articles), [
+    'bagai air di daun talas', 'bisa', 'buah tangan', 'cinta', 'cinta kasih', 'DPR', 'mencintai'
+  ]);
+  // Homonyms share an article, in order
+  assert.ok(articles.bisa.indexOf('bi.sa¹') < articles.bisa.indexOf('<hr>'));
+  assert.ok(articles.bisa.includes('bi.sa²'));
+  assert.ok(articles.mencintai.includes('<a href="bword://cinta">cinta</a>'));
+
+  const ifo = fs.readFileSync(`${base}.ifo`, 'utf8');
+  assert.ok(ifo.startsWith("StarDict's dict ifo file\nversion=3.0.0\n"));
+  assert.ok(ifo.includes(`\nwordcount=7\nsynwordcount=7\nidxfilesize=${idx.length}\n`));
+  assert.ok(ifo.includes('\ndate=2026.01.01\n'));
+
+  // "bercinta" points at the article of "cinta", the fourth one
+  const syn = fs.readFileSync(`${base}.syn`);
+  const start = syn.indexOf('bercinta\0');
+  assert.strictEqual(syn.readUInt32BE(start + 'bercinta\0'.length), 3);
+});
+
+test('Yomitan export writes term banks with derived forms pointing at their root', async () => {
+  const file = path.join(dir, 'kbbi-yomitan.zip');
+  const counts = await exportYomitan(fixtureResults(), file);
+  const files = readZip(fs.readFileSync(file));
+
+  assert.deepStrictEqual(Object.keys(files), ['index.json', 'tag_bank_1.json', 'term_bank_1.json']);
+  assert.strictEqual(JSON.parse(files['index.json']).format, 3);
+  assert.deepStrictEqual(counts, { results: 8, entries: 8, terms: 15, derived: 7, duplicates: 1 });
+
+  const terms = JSON.parse(files['term_bank_1.json']);
+  const [bisa] = terms.filter(term => term[0] === 'bisa');
+  assert.strictEqual(bisa[2], 'n ki');
+  assert.strictEqual(bisa[5][0].type, 'structured-content');
+  assert.deepStrictEqual(terms.find(term => term[0] === 'bercinta')[5], [['cinta', ['kata turunan']]]);
+  assert.ok(!terms.some(term => term[0] === 'mencintai' && Array.isArray(term[5][0])));
+
+  const tags = JSON.parse(files['tag_bank_1.json']);
+  assert.deepStrictEqual(tags.find(tag => tag[0] === 'n'), ['n', 'partOfSpeech', 0, 'Nomina', 0]);
+  assert.deepStrictEqual(tags.find(tag => tag[0] === 'gabungan_kata'), ['gabungan_kata', 'jenis', 0, 'gabungan kata', 0]);
+});
+
+test('TEI export writes Lex-0 entries with senses, examples and cross-references', async () => {
+  const file = path.join(dir, 'kbbi-tei.xml');
+  const counts = await exportTei(fixtureResults(), file, { date: new Date('2026-01-01T00:00:00Z') });
+  const xml = fs.readFileSync(file, 'utf8');
+
+  assert.deepStrictEqual(counts, { results: 8, entries: 8, senses: 15, duplicates: 1 });
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<TEI xmlns="http://www.tei-c.org/ns/1.0" xml:lang="id">'));
+  assert.ok(xml.includes('<date when="2026-01-01">2026-01-01</date>'));
+
+  // Homonyms are separate entries numbered by @n
+  assert.ok(xml.includes('<entry xml:id="bisa.1" xml:lang="id" n="1">\n        <form type="lemma">\n' +
+    '          <orth>bisa</orth>\n          <syll>bi.sa</syll>\n        </form>\n' +
+    '        <etym><lang>Sanskerta</lang> visa &#39;racun&#39;</etym>'));
+  assert.ok(xml.includes('<entry xml:id="bisa.2" xml:lang="id" n="2">'));
+  assert.ok(xml.includes('<sense xml:id="bisa.1.2" n="2">\n          <gramGrp>\n' +
+    '            <gram type="pos" norm="NOUN" expand="Nomina">n</gram>\n          </gramGrp>\n' +
+    '          <usg type="meaning" expand="kiasan">ki</usg>\n' +
+    '          <def>perkataan yang menyakitkan hati</def>\n' +
+    '          <cit type="example"><quote>-- lidahnya lebih tajam dari pisau</quote></cit>\n        </sense>'));
+  assert.ok(xml.includes('<gramGrp><gram type="entryType">gabungan kata</gram></gramGrp>'));
+
+  // Words with an entry in the document are linked to it
+  assert.ok(xml.includes('<xr type="related" subtype="rootWord">\n          <ref type="entry" target="#cinta">cinta</ref>'));
+  assert.ok(xml.includes('<ref type="entry" target="#cinta_kasih">cinta kasih</ref>'));
+  assert.ok(xml.includes('<ref type="entry">berbisa</ref>'));
+
+  const ids = [...xml.matchAll(/xml:id="([^"]+)"/g)].map(match => match[1]);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  for (const [, target] of xml.matchAll(/target="#([^"]+)"/g)) {
+    assert.ok(ids.includes(target), target);
+  }
+});
+
+test('TEI ids are XML names, unique across entries', () => {
+  assert.strictEqual(TeiExporter.xmlId({ nama: 'ba.gai air di da.un ta.las', nomor: null }), 'bagai_air_di_daun_talas');
+  assert.strictEqual(TeiExporter.xmlId({ nama: '3D', nomor: '2' }), '_3D.2');
+
+  const exporter = new TeiExporter(path.join(dir, 'ids.xml'));
+  exporter.add({ entries: [{ id: '1', nama: 'a.pa', nomor: null, makna: [] }, { id: '2', nama: 'apa', nomor: null, makna: [] }] });
+  assert.deepStrictEqual(exporter.entries.map(({ id }) => id), ['apa', 'apa-2']);
+
+  // Entry ids don't collide with sense ids either, whichever comes first
+  const sense = { nomor: 1, kelasKata: [], definisi: 'x', contoh: [] };
+  const entry = nomor => ({ id: null, nama: 'bi.sa', nomor, jenis: null, etimologi: null, rootWord: null,
+    makna: [sense], terkait: { kataTurunan: [], gabunganKata: [], peribahasa: [], idiom: [] } });
+  for (const order of [[null, '1'], ['1', null]]) {
+    const file = path.join(dir, 'sense-ids.xml');
+    const homonyms = new TeiExporter(file);
+    homonyms.add({ entries: order.map(entry) });
+    homonyms.close();
+
+    const ids = [...fs.readFileSync(file, 'utf8').matchAll(/xml:id="([^"]+)"/g)].map(match => match[1]);
+    assert.strictEqual(new Set(ids).size, 4, ids.join(' '));
+  }
+});
+
+// Validate XML against a RELAX NG schema in schema/
+async function validateRelaxNg(schemaFile, fileName, contents) {
+  const { validateXML } = require('xmllint-wasm');
+  const schema = { fileName: path.basename(schemaFile), contents: fs.readFileSync(schemaFile, 'utf8') };
+  return validateXML({ xml: { fileName, contents }, schema, extension: 'relaxng' });
+}
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schema');
+const LEX0_SCHEMA = path.join(SCHEMA_DIR, 'vendor', 'TEILex0.rng');
+
+test('TEI export has the structure in schema/kbbi-tei.rng', { skip: !hasModule('xmllint-wasm') && 'xmllint-wasm is not installed' }, async () => {
+  const validate = (fileName, contents) => validateRelaxNg(path.join(SCHEMA_DIR, 'kbbi-tei.rng'), fileName, contents);
+
+  const file = path.join(dir, 'kbbi-tei-valid.xml');
+  await exportTei(fixtureResults(), file);
+  const result = await validate('kbbi-tei.xml', fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(result.errors.map(error => error.message), []);
+  assert.ok(result.valid);
+
+  const empty = path.join(dir, 'kbbi-tei-empty.xml');
+  await exportTei([], empty);
+  assert.ok((await validate('empty.xml', fs.readFileSync(empty, 'utf8'))).valid);
+
+  // The schema does catch mistakes
+  const broken = fs.readFileSync(file, 'utf8').replace('<sense xml:id="bisa.1.1" n="1">', '<sense n="1">');
+  assert.ok(!(await validate('broken.xml', broken)).valid);
+});
+
+test('TEI export is valid against the official TEI Lex-0 schema', {
+  skip: (!hasModule('xmllint-wasm') && 'xmllint-wasm is not installed') ||
+    (!fs.existsSync(LEX0_SCHEMA) && 'schema/vendor/TEILex0.rng is missing (the TEI Lex-0 RELAX NG schema from DARIAH-ERIC)')
+}, async () => {
+  const file = path.join(dir, 'kbbi-tei-lex0.xml');
+  await exportTei(fixtureResults(), file);
+
+  const result = await validateRelaxNg(LEX0_SCHEMA, 'kbbi-tei.xml', fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(result.errors.map(error => error.message), []);
+  assert.ok(result.valid);
+});
@@ -0,0 +1,91 @@
+const path = require('path');
+const fs = require('fs');
+const { parseHtml } = require('../../parse');
+
+/**
+ * Fixture pages and their golden parse results
+ *
+ * Each fixture in test/fixtures/fixtures.json has a name, the URL the page
+ * stands for, a description and its source: 'captured' for pages saved from
+ * the site and promoted with scripts/promote-fixture.js (with the time they
+ * were fetched in capturedAt), 'hand-written' for pages written after KBBI's
+ * markup. The page is <name>.html and the expected
+ * output of parseHtml() is <name>.json. Pages that make parseHtml() throw
+ * (Cloudflare, daily search limit) have { "error": "<error name>" } as their
+ * golden output.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const MANIFEST = path.join(FIXTURES_DIR, 'fixtures.json');
+
+/**
+ * Read the fixture list
+ * @returns {Object[]} - [{ name, url, description, source, capturedAt }]
+ */
+function loadManifest() {
+  return JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+}
+
+/**
+ * Write the fixture list
+ * @param {Object[]} fixtures - [{ name, url, description, source, capturedAt }]
+ */
+function saveManifest(fixtures) {
+  fs.writeFileSync(MANIFEST, JSON.stringify(fixtures, null, 2) + '\n');
+}
+
+function htmlPath(name) {
+  return path.join(FIXTURES_DIR, `${name}.html`);
+}
+
+function goldenPath(name) {
+  return path.join(FIXTURES_DIR, `${name}.json`);
+}
+
+/**
+ * Parse a fixture page the way the golden output records it
+ * @param {Object} fixture - Fixture from the manifest
+ * @returns {Object} - Parsed result, or { error } when parsing throws
+ */
+function parseFixture(fixture) {
+  const html = fs.readFileSync(htmlPath(fixture.name), 'utf8');
+
+  try {
+    return parseHtml(html, { url: fixture.url });
+  } catch (error) {
+    return { error: error.name };
+  }
+}
+
+/**
+ * Read the golden output of a fixture
+ * @param {string} name - Fixture name
+ * @returns {Object|null} - Golden output or null if there is none yet
+ */
+function readGolden(name) {
+  const file = goldenPath(name);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write the golden output of a fixture from the current parser
+ * @param {Object} fixture - Fixture from the manifest
+ * @returns {Object} - Output written
+ */
+function writeGolden(fixture) {
+  const output = parseFixture(fixture);
+  fs.writeFileSync(goldenPath(fixture.name), JSON.stringify(output, null, 2) + '\n');
+  return output;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  loadManifest,
+  saveManifest,
+  htmlPath,
+  goldenPath,
+  parseFixture,
+  readGolden,
+  writeGolden
+};
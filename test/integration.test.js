@@ -0,0 +1,451 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const { execFile } = require('child_process');
+
+// Keep cookies and cache files away from the user's own directories
+process.env.KBBI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-test-'));
+
+const KBBI = require('../kbbi');
+const Auth = require('../lib/auth');
+const MockServer = require('../lib/mock-server');
+const Scheduler = require('../lib/scheduler');
+const Crawler = require('../lib/crawl');
+const BatchRunner = require('../lib/batch');
+const { KBBIScraper } = require('../scrape');
+const BrowserManager = require('../lib/browser');
+const KBBIParser = require('../lib/parser');
+const { HttpTransport } = require('../lib/transport');
+const { SCHEMA_VERSION } = require('../lib/schema');
+const { readGolden } = require('./helpers/fixtures');
+
+// Playwright's Chromium is optional here: browser-only flows are skipped without it
+function hasChromium() {
+  try {
+    return fs.existsSync(require('playwright').chromium.executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+// Stand-in for Playwright's Chromium: pages are loaded over HTTP with the
+// cookies added to their context for the page's host
+function fakeChromium() {
+  const browser = {
+    closed: false,
+    on() {},
+    async newContext() {
+      let cookies = [];
+      let current = null;
+      return {
+        async addInitScript() {},
+        async addCookies(added) {
+          cookies = cookies.filter(cookie => !added.some(item => item.name === cookie.name)).concat(added);
+        },
+        async cookies() {
+          return cookies;
+        },
+        async newPage() {
+          return {
+            async setExtraHTTPHeaders() {},
+            async waitForTimeout() {},
+            async evaluate() {
+              return false;
+            },
+            async goto(url) {
+              const { hostname } = new URL(url);
+              const cookieString = cookies
+                .filter(cookie => hostname === cookie.domain.replace(/^\./, '') || hostname.endsWith(cookie.domain))
+                .map(cookie => `${cookie.name}=${cookie.value}`)
+                .join('; ');
+              current = await new HttpTransport().fetch(url, { cookies: cookieString });
+              return { status: () => current.status, headers: () => current.headers };
+            },
+            url: () => current.url,
+            content: async () => current.html
+          };
+        },
+        async close() {}
+      };
+    },
+    async close() {
+      browser.closed = true;
+    }
+  };
+  return browser;
+}
+
+const server = new MockServer();
+let baseUrl = null;
+
+test.before(async () => {
+  baseUrl = await server.start();
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(process.env.KBBI_HOME, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  server.setMode('normal');
+});
+
+// Lookups over HTTP against the mock server, without config files, cache or pauses
+function createKBBI(options = {}) {
+  return new KBBI({
+    config: false,
+    cache: false,
+    transport: 'http',
+    credentials: ['inline'],
+    baseUrl,
+    scheduler: new Scheduler({ hostRate: 0, cookieRate: 0, retries: 0, blockPause: 0, rateLimitPause: 0 }),
+    ...options
+  });
+}
+
+// Golden output of a fixture, as lookup() returns it from the mock server
+function expected(name) {
+  const { url, pageType, ...golden } = readGolden(name);
+  return golden;
+}
+
+function withoutFetchMetadata(result) {
+  const { fetchedAt, cached, url, parserVersion, sources, ...rest } = result;
+  return rest;
+}
+
+test('lookup parses a search page from the mock server', async () => {
+  const result = await createKBBI().lookup('cinta');
+
+  assert.strictEqual(result.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(result.cached, false);
+  assert.deepStrictEqual(withoutFetchMetadata(result), expected('search-base-word'));
+});
+
+test('lookup returns similar words for an unknown word', async () => {
+  const result = await createKBBI().lookup('cintx');
+
+  assert.deepStrictEqual(result.entries, []);
+  assert.deepStrictEqual(result.mirip, ['cinta', 'cintai', 'cina']);
+});
+
+test('lookup sends the session cookie', async () => {
+  const session = server.createSession();
+  const result = await createKBBI({ cookie: session }).lookup('cinta');
+
+  assert.strictEqual(result.authenticated, true);
+  assert.strictEqual(server.requests[server.requests.length - 1].loggedIn, true);
+});
+
+test('the CLI logs in with the --cookie it was given', async () => {
+  const session = server.createSession();
+  // No config files, saved cookies or KBBI_COOKIE from the user's environment
+  const home = fs.mkdtempSync(path.join(process.env.KBBI_HOME, 'cli-'));
+  const env = { ...process.env, KBBI_HOME: home, HOME: home, USERPROFILE: home };
+  delete env.KBBI_COOKIE;
+  delete env.KBBI_CONFIG;
+
+  const before = server.requests.length;
+  const stdout = await new Promise((resolve, reject) => {
+    execFile(process.execPath, [
+      path.join(__dirname, '..', 'cli.js'), 'cinta',
+      '--cookie', session, '--transport', 'http', '--base-url', baseUrl, '--no-cache', '--json'
+    ], { cwd: home, env, timeout: 60000 }, (error, out, err) => (error ? reject(new Error(err || error.message)) : resolve(out)));
+  });
+
+  const requests = server.requests.slice(before);
+  assert.deepStrictEqual(requests.map(request => [request.path, request.loggedIn]), [['/entri/cinta', true]]);
+  assert.strictEqual(JSON.parse(stdout).authenticated, true);
+});
+
+test('create() looks up on a shared browser, and closeBrowser() closes it', async t => {
+  const browsers = [];
+  t.mock.method(BrowserManager, 'launchBrowser', async () => {
+    browsers.push(fakeChromium());
+    return browsers[browsers.length - 1];
+  });
+  // The site comes from the config file, like a user's mirror would
+  const previous = process.env.KBBI_CONFIG;
+  process.env.KBBI_CONFIG = path.join(process.env.KBBI_HOME, 'create.json');
+  fs.writeFileSync(process.env.KBBI_CONFIG, JSON.stringify({ endpoints: { baseUrl } }));
+  t.after(() => {
+    if (previous === undefined) delete process.env.KBBI_CONFIG;
+    else process.env.KBBI_CONFIG = previous;
+  });
+
+  const session = server.createSession();
+  const result = await KBBI.create('cinta', session);
+  const again = await KBBI.create('cintx', session);
+  assert.strictEqual(result instanceof KBBI.KBBIResult, true);
+  assert.strictEqual(server.requests[server.requests.length - 1].loggedIn, true);
+  // Both lookups used the one browser
+  assert.strictEqual(browsers.length, 1);
+
+  // The documented { kata, entri, mirip } shape, with kelaskata for the word classes
+  const data = result.serialize();
+  const golden = expected('search-base-word');
+  assert.deepStrictEqual(Object.keys(data), ['kata', 'entri', 'mirip']);
+  assert.strictEqual(data.kata, 'cinta');
+  assert.deepStrictEqual(data.entri.map(entry => [entry.nama, entry.jenis]), golden.entries.map(entry => [entry.nama, entry.jenis]));
+  for (const [i, entry] of data.entri.entries()) {
+    assert.deepStrictEqual(entry.makna, golden.entries[i].makna.map(({ kelasKata, ...meaning }) => ({ ...meaning, kelaskata: kelasKata })));
+  }
+  assert.ok(data.entri[0].makna[0].kelaskata.every(kelas => typeof kelas.kode === 'string' && typeof kelas.nama === 'string'));
+  assert.deepStrictEqual(data.mirip, []);
+  assert.deepStrictEqual(again.serialize(), { kata: 'cintx', entri: [], mirip: ['cinta', 'cintai', 'cina'] });
+
+  await KBBI.closeBrowser();
+  assert.strictEqual(browsers[0].closed, true);
+
+  // The next call starts a new browser (cintx is cached by now)
+  await KBBI.create('cintai', session);
+  assert.strictEqual(browsers.length, 2);
+  await KBBI.closeBrowser();
+  assert.strictEqual(browsers[1].closed, true);
+});
+
+test('lookup throws RateLimitError on the daily search limit page', async () => {
+  server.setMode('quota');
+
+  await assert.rejects(createKBBI().lookup('cinta'), { name: 'RateLimitError' });
+});
+
+test('scrape merges the details page into the entry', async () => {
+  const session = server.createSession();
+  const result = await createKBBI({ cookie: session }).scrape('mencintai');
+  const [entry] = result.entries;
+
+  assert.strictEqual(entry.id, '20384');
+  assert.strictEqual(entry.jenis, 'turunan');
+  assert.deepStrictEqual(entry.makna, expected('details-entry').entries[0].makna);
+  assert.ok(server.requests.some(request => request.path === '/DataDasarEntri/Details?eid=20384'));
+
+  assert.strictEqual(result.parserVersion, KBBIParser.VERSION);
+  assert.deepStrictEqual(result.sources.map(source => [source.url, source.pageType, source.eid, source.authenticated]), [
+    [`${baseUrl}/entri/mencintai`, 'search', null, true],
+    [`${baseUrl}/DataDasarEntri/Details?eid=20384`, 'details', '20384', true]
+  ]);
+  assert.ok(result.sources.every(source => /^[0-9a-f]{64}$/.test(source.sha256)));
+});
+
+test('fetchMultipleDetails stops and pauses the scheduler on the daily search limit', async () => {
+  const pauses = [];
+  const scheduler = new Scheduler({
+    hostRate: 0, cookieRate: 0, retries: 0, rateLimitPause: 60000, onPause: (ms, reason) => pauses.push(reason)
+  });
+  const scraper = new KBBIScraper({
+    transport: 'http',
+    scheduler,
+    useCache: false,
+    credentials: createKBBI().credentials,
+    endpoints: baseUrl
+  });
+
+  server.setMode('quota');
+  const requests = server.requests.length;
+  await assert.rejects(scraper.fetchMultipleDetails(['20384', '9421', '9422']), { name: 'RateLimitError' });
+
+  assert.deepStrictEqual(pauses, ['KBBI search limit']);
+  assert.ok(scheduler.stats().pausedFor > 0);
+  // The remaining entries are not fetched
+  assert.strictEqual(server.requests.length - requests, 1);
+});
+
+test('fetchEntryDetails throws and pauses the scheduler on a Cloudflare challenge', async () => {
+  const pauses = [];
+  const scheduler = new Scheduler({
+    hostRate: 0, cookieRate: 0, retries: 0, blockPause: 60000, onPause: (ms, reason) => pauses.push(reason)
+  });
+  const scraper = new KBBIScraper({
+    transport: 'http',
+    fallback: false,
+    scheduler,
+    useCache: false,
+    credentials: createKBBI().credentials,
+    endpoints: baseUrl
+  });
+  const entry = { id: '20384', nama: 'men.cin.ta.i', nomor: null, makna: [] };
+
+  server.setMode('challenge');
+  await assert.rejects(scraper.fetchEntryDetails(entry), { name: 'CloudflareBlockError' });
+
+  assert.deepStrictEqual(pauses, ['Cloudflare block']);
+  assert.ok(scheduler.stats().pausedFor > 0);
+});
+
+test('the HTTP transport sees Cloudflare pages', async () => {
+  const transport = new HttpTransport();
+
+  server.setMode('challenge');
+  const challenge = await transport.fetch(`${baseUrl}/entri/cinta`);
+  assert.strictEqual(challenge.status, 503);
+
+  server.setMode('block');
+  const block = await transport.fetch(`${baseUrl}/entri/cinta`);
+  assert.strictEqual(block.status, 403);
+});
+
+test('the HTTP transport keeps the session cookie on redirects to other hosts', async () => {
+  const seen = [];
+  const other = http.createServer((request, response) => {
+    seen.push(request.headers.cookie || null);
+    response.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'tracker=1' });
+    response.end('<html></html>');
+  });
+  await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+  const otherUrl = `http://127.0.0.1:${other.address().port}/landing`;
+
+  const redirect = http.createServer((request, response) => {
+    response.writeHead(302, { Location: otherUrl });
+    response.end();
+  });
+  await new Promise(resolve => redirect.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const response = await new HttpTransport().fetch(`http://127.0.0.1:${redirect.address().port}/entri/cinta`, {
+      cookies: '.AspNet.ApplicationCookie=secret'
+    });
+
+    assert.strictEqual(response.url, otherUrl);
+    assert.deepStrictEqual(seen, [null]);
+    // Cookies from the other host don't join the session either
+    assert.strictEqual(response.cookies, '.AspNet.ApplicationCookie=secret');
+  } finally {
+    await new Promise(resolve => other.close(resolve));
+    await new Promise(resolve => redirect.close(resolve));
+  }
+
+  assert.strictEqual(HttpTransport.keepsCookies('http://kbbi.test/a', 'https://kbbi.test/b'), true);
+  assert.strictEqual(HttpTransport.keepsCookies('https://kbbi.test/a', 'http://kbbi.test/b'), false);
+});
+
+test('the HTTP transport keeps the session cookie the server rotates', async () => {
+  const rotating = new MockServer({ rotateSessions: true });
+  const url = await rotating.start();
+  const browser = new BrowserManager({ transport: 'http', fallback: false, scheduler: false, baseUrl: url });
+
+  try {
+    await browser.initBrowser();
+    await browser.setCustomCookie(`.AspNet.ApplicationCookie=${rotating.createSession()}`);
+    for (const word of ['cinta', 'bisa', 'cinta kasih']) {
+      await browser.navigateTo(`${url}/entri/${encodeURIComponent(word)}`);
+    }
+
+    // Each request goes out with the cookie the previous page handed out
+    assert.deepStrictEqual(rotating.requests.map(request => request.loggedIn), [true, true, true]);
+    assert.ok(rotating.sessions.has(browser.cookies.find(cookie => cookie.name === '.AspNet.ApplicationCookie').value));
+  } finally {
+    await browser.close();
+    await rotating.close();
+  }
+});
+
+test('validateCookies tells valid and expired sessions apart', async () => {
+  const auth = new Auth({ cookiesPath: path.join(process.env.KBBI_HOME, 'validate.json'), baseUrl });
+  auth.addCookie(server.createSession(), 'valid');
+  auth.addCookie('not-a-session', 'stale');
+
+  const results = await auth.validateCookies({
+    transport: 'http',
+    scheduler: new Scheduler({ hostRate: 0, cookieRate: 0, retries: 0 })
+  });
+
+  assert.deepStrictEqual(results.map(result => [result.label, result.result]), [
+    ['valid', 'valid'],
+    ['stale', 'expired']
+  ]);
+});
+
+test('replay serves recorded pages without the server', async () => {
+  const dir = path.join(process.env.KBBI_HOME, 'capture');
+  const session = server.createSession();
+  const recorded = await createKBBI({ cookie: session, record: dir }).scrape('mencintai');
+  const requests = server.requests.length;
+
+  // Only the captures are read: the base URL still has to match the recorded URLs
+  const replay = createKBBI({ cookie: session, replay: dir });
+  const replayed = await replay.scrape('mencintai');
+
+  assert.strictEqual(server.requests.length, requests);
+  assert.deepStrictEqual(withoutFetchMetadata(replayed), withoutFetchMetadata(recorded));
+  assert.deepStrictEqual(replayed.sources.map(source => source.sha256), recorded.sources.map(source => source.sha256));
+  await assert.rejects(replay.lookup('cinta'), { name: 'ReplayMissError' });
+});
+
+test('crawl follows related words and resumes from the frontier', async () => {
+  const output = path.join(process.env.KBBI_HOME, 'crawl', 'cinta.results.jsonl');
+  const readWords = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).word);
+  const kbbi = createKBBI();
+
+  const first = await new Crawler(kbbi, { output, depth: 1, limit: 3 }).run(['cinta']);
+  assert.strictEqual(first.limitReached, true);
+  assert.ok(fs.existsSync(first.checkpoint));
+
+  // Seeds already crawled are ignored when resuming
+  const second = await new Crawler(kbbi, { output, depth: 1, limit: 100 }).run(['cinta']);
+  assert.strictEqual(second.resumed, true);
+  assert.strictEqual(second.remaining, 0);
+  assert.strictEqual(second.fetched, 11);
+  assert.ok(!fs.existsSync(second.checkpoint));
+
+  assert.deepStrictEqual(readWords(output), ['cinta', 'mencintai', 'cinta kasih']);
+  assert.strictEqual(readWords(second.failures).length, 8);
+
+  const [, mencintai] = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(mencintai.crawl, { depth: 1, from: 'cinta' });
+});
+
+test('batch stops on the daily search limit and resumes from the checkpoint', async () => {
+  const output = path.join(process.env.KBBI_HOME, 'batch', 'words.results.jsonl');
+  const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const words = ['cinta', 'cintx', 'bisa', 'DPR'];
+  const kbbi = createKBBI();
+
+  // The limit is hit after two words
+  const onProgress = progress => {
+    if (progress.completed === 2) server.setMode('quota');
+  };
+  const first = await new BatchRunner(kbbi, { output, onProgress }).run(words);
+
+  assert.strictEqual(first.stopped, true);
+  assert.strictEqual(first.rateLimitError.name, 'RateLimitError');
+  assert.strictEqual(first.succeeded, 1);
+  assert.strictEqual(first.failed, 1);
+  // The word that hit the limit isn't marked done, so the resumed run looks it up again
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(first.checkpoint, 'utf8')).done, ['cinta', 'cintx']);
+  assert.deepStrictEqual(readLines(first.failures).map(({ failedAt, ...failure }) => failure), [{
+    word: 'cintx',
+    error: 'NotFoundError',
+    message: 'Word "cintx" not found in KBBI',
+    mirip: ['cinta', 'cintai', 'cina']
+  }]);
+
+  server.setMode('normal');
+  const searches = server.requests.length;
+  const second = await new BatchRunner(kbbi, { output }).run(words);
+
+  assert.strictEqual(second.resumed, true);
+  assert.strictEqual(second.skipped, 2);
+  assert.strictEqual(second.stopped, false);
+  assert.strictEqual(second.succeeded, 3);
+  assert.strictEqual(second.failed, 1);
+  assert.deepStrictEqual(server.requests.slice(searches).map(request => request.path), ['/entri/bisa', '/entri/DPR']);
+  assert.ok(!fs.existsSync(second.checkpoint));
+
+  assert.deepStrictEqual(readLines(output).map(result => result.word), ['cinta', 'bisa', 'DPR']);
+  assert.deepStrictEqual(readLines(second.failures).map(failure => failure.word), ['cintx']);
+});
+
+test('login stores the session cookie', { skip: !hasChromium() && 'Playwright Chromium is not installed' }, async () => {
+  const auth = new Auth({ cookiesPath: path.join(process.env.KBBI_HOME, 'login.json'), baseUrl });
+
+  await assert.rejects(auth.login('user@example.com', 'wrong'), { name: 'AuthenticationError' });
+  assert.strictEqual(await auth.login('user@example.com', 'password'), true);
+
+  const [cookie] = auth.loadCookiesSync();
+  assert.ok(server.sessions.has(cookie));
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const KBBIParser = require('../lib/parser');
+const { parseHtml } = require('../parse');
+const { SCHEMA_VERSION } = require('../lib/schema');
+const {
+  loadManifest,
+  htmlPath,
+  parseFixture,
+  readGolden,
+  writeGolden
+} = require('./helpers/fixtures');
+const { build } = require('../scripts/build-parse');
+
+// UPDATE_GOLDEN=1 npm test rewrites the golden files from the current parser
+const update = !!process.env.UPDATE_GOLDEN;
+
+const fixtures = loadManifest();
+
+function hasModule(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test('every fixture page exists and says where it came from', () => {
+  for (const fixture of fixtures) {
+    assert.ok(fs.existsSync(htmlPath(fixture.name)), `missing ${fixture.name}.html`);
+    assert.ok(['captured', 'hand-written'].includes(fixture.source), `${fixture.name} has no source`);
+    if (fixture.source === 'captured') {
+      assert.ok(!Number.isNaN(Date.parse(fixture.capturedAt)), `${fixture.name} has no capturedAt`);
+    }
+  }
+});
+
+for (const fixture of fixtures) {
+  test(`${fixture.name}: ${fixture.description}`, () => {
+    if (update) {
+      writeGolden(fixture);
+      return;
+    }
+
+    const golden = readGolden(fixture.name);
+    assert.ok(golden, `no golden output for ${fixture.name}, run UPDATE_GOLDEN=1 npm test`);
+    assert.deepStrictEqual(parseFixture(fixture), golden);
+  });
+}
+
+test('page checks', async t => {
+  const page = name => new KBBIParser(fs.readFileSync(htmlPath(name), 'utf8'));
+
+  await t.test('detects Cloudflare pages', () => {
+    assert.strictEqual(page('cloudflare-block').checkChallenge(), true);
+    assert.strictEqual(page('cloudflare-challenge').checkChallenge(), true);
+    assert.strictEqual(page('search-base-word').checkChallenge(), false);
+  });
+
+  await t.test('detects the daily search limit', () => {
+    assert.strictEqual(page('quota-exceeded').checkQuotaExceeded(), true);
+    assert.strictEqual(page('not-found-mirip').checkQuotaExceeded(), false);
+  });
+
+  await t.test('entries that mention the search limit are not the limit notice', () => {
+    // An example sentence with the notice's words, in an entry and in an h4
+    const html = fs.readFileSync(htmlPath('search-base-word'), 'utf8')
+      .replace('orang tuaku -- kepada kami semua', 'kesabarannya telah mencapai batas')
+      .replace('<h4>Kata Turunan</h4>', '<h4>Kata Turunan (batas pencarian)</h4>');
+    assert.ok(html.includes('kesabarannya telah mencapai batas'));
+
+    assert.strictEqual(new KBBIParser(html).checkQuotaExceeded(), false);
+    const result = parseHtml(html, { url: 'https://kbbi.kemdikbud.go.id/entri/cinta' });
+    assert.strictEqual(result.entries[0].makna[0].contoh[0].teks, 'kesabarannya telah mencapai batas');
+  });
+
+  await t.test('detects details pages', () => {
+    assert.strictEqual(page('details-entry').isDetailsPage(), true);
+    assert.strictEqual(page('search-base-word').isDetailsPage(), false);
+  });
+
+  await t.test('detects logged-in pages', () => {
+    assert.strictEqual(page('search-homonyms').checkAuthentication(), true);
+    assert.strictEqual(page('search-base-word').checkAuthentication(), false);
+  });
+
+  await t.test('parseEntries and parseDetailsPage use the same model', () => {
+    const search = page('search-homonyms').parseEntries();
+    const details = page('details-entry').parseDetailsPage();
+
+    assert.strictEqual(search.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(Object.keys(details), Object.keys(search.entries[0]));
+  });
+});
+
+test('Node imports parse.js, so a checkout works without the bundle', async () => {
+  // Resolved through the exports map of package.json, like an installed package
+  const imported = await import('@doedja/kbbi-js/parse');
+
+  assert.strictEqual(imported.default, require('../parse'));
+  assert.strictEqual(imported.parseHtml, parseHtml);
+});
+
+test('the ES module bundle of parse.js parses like parse.js', { skip: !hasModule('esbuild') && 'esbuild is not installed' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kbbi-bundle-'));
+
+  try {
+    const outfile = path.join(dir, 'parse.mjs');
+    await build(outfile);
+    const bundle = await import(pathToFileURL(outfile).href);
+
+    assert.deepStrictEqual(Object.keys(bundle).sort(), ['KBBIParser', 'SCHEMA_VERSION', 'parseHtml']);
+    // The same output, or the same error, for every fixture
+    for (const fixture of fixtures) {
+      const html = fs.readFileSync(htmlPath(fixture.name), 'utf8');
+      let output;
+      try {
+        output = bundle.parseHtml(html, { url: fixture.url });
+      } catch (error) {
+        output = { error: error.name };
+      }
+      assert.deepStrictEqual(output, readGolden(fixture.name), fixture.name);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('assert');
+const BrowserManager = require('../lib/browser');
+const SessionPool = require('../lib/pool');
+
+// Stand-in for the Playwright browser: contexts and pages that do nothing
+function fakeBrowser() {
+  const browser = {
+    contexts: [],
+    closed: false,
+    on() {},
+    async newContext() {
+      const context = {
+        closed: false,
+        async addInitScript() {},
+        async addCookies() {},
+        async newPage() {
+          return { async setExtraHTTPHeaders() {} };
+        },
+        async close() {
+          context.closed = true;
+        }
+      };
+      browser.contexts.push(context);
+      return context;
+    },
+    async close() {
+      browser.closed = true;
+    }
+  };
+  return browser;
+}
+
+// A pool whose sessions share a fake browser instead of Chromium
+function createPool(t, options = {}) {
+  const browser = fakeBrowser();
+  const launch = t.mock.method(BrowserManager, 'launchBrowser', async () => browser);
+  const pool = new SessionPool({ size: 1, stealth: false, ...options });
+  return { pool, browser, launch };
+}
+
+test('sessions are reused until maxRequestsPerContext, then recycled', async t => {
+  const { pool, browser, launch } = createPool(t, { maxRequestsPerContext: 2 });
+
+  const first = await pool.acquire();
+  first.requestCount = 1;
+  await pool.release(first);
+  assert.strictEqual(await pool.acquire(), first);
+
+  // Worn out: the context is closed and the next lease gets a new one
+  first.requestCount = 2;
+  await pool.release(first);
+  assert.strictEqual(browser.contexts[0].closed, true);
+  assert.deepStrictEqual(pool.stats(), { size: 1, total: 0, idle: 0, leased: 0, waiting: 0 });
+
+  const second = await pool.acquire();
+  assert.notStrictEqual(second, first);
+  assert.strictEqual(browser.contexts.length, 2);
+  // Both contexts live in the one browser
+  assert.strictEqual(launch.mock.callCount(), 1);
+
+  await pool.close();
+});
+
+test('a session released with an error is recycled', async t => {
+  const { pool, browser } = createPool(t);
+
+  const session = await pool.acquire();
+  await pool.release(session, new Error('Navigation timeout'));
+
+  assert.strictEqual(browser.contexts[0].closed, true);
+  assert.strictEqual(session.ready, false);
+  const next = await pool.acquire();
+  assert.notStrictEqual(next, session);
+  await pool.release(next);
+
+  // use() releases with the error too
+  await assert.rejects(pool.use(async () => { throw new Error('page crashed'); }), /page crashed/);
+  assert.strictEqual(browser.contexts[1].closed, true);
+
+  await pool.close();
+});
+
+test('callers waiting for a full pool get the next free session', async t => {
+  const { pool, browser } = createPool(t);
+
+  const session = await pool.acquire();
+  const waiting = [pool.acquire(), pool.acquire()];
+  assert.strictEqual(pool.stats().waiting, 2);
+
+  // A released session goes to the first caller in line
+  await pool.release(session);
+  assert.strictEqual(await waiting[0], session);
+
+  // Capacity freed by a recycle goes to the next one, with a new session
+  await pool.release(session, new Error('Navigation timeout'));
+  const next = await waiting[1];
+  assert.notStrictEqual(next, session);
+  assert.strictEqual(browser.contexts.length, 2);
+  assert.deepStrictEqual(pool.stats(), { size: 1, total: 1, idle: 0, leased: 1, waiting: 0 });
+
+  await pool.close();
+});
+
+test('close() rejects waiting callers and closes the browser', async t => {
+  const { pool, browser } = createPool(t);
+
+  const session = await pool.acquire();
+  const waiting = pool.acquire();
+
+  await pool.close();
+  await assert.rejects(waiting, /Session pool is closed/);
+  await assert.rejects(pool.acquire(), /Session pool is closed/);
+  assert.strictEqual(browser.closed, true);
+
+  // A session still leased is closed when it comes back
+  await pool.release(session);
+  assert.strictEqual(browser.contexts[0].closed, true);
+  assert.strictEqual(pool.stats().idle, 0);
+});
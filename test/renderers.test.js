@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('assert');
+const Utils = require('../lib/utils');
+const KBBIResult = require('../lib/result');
+const { getRenderer, render } = require('../lib/renderers');
+const { readGolden } = require('./helpers/fixtures');
+
+const homonyms = readGolden('search-homonyms');
+const derived = readGolden('details-entry');
+
+test('plain text has the terminal layout without colors', () => {
+  const text = render(homonyms, 'plain');
+
+  assert.ok(!text.includes('\u001b['));
+  assert.ok(text.startsWith('bi.sa¹\n   Etimologi: [Sanskerta visa \'racun\']\n\nMakna #1\n   Kelas Kata: n (Nomina)\n'));
+  assert.ok(text.includes('\n\nbi.sa²\n'));
+  assert.ok(text.includes('Kata Turunan:\nberbisa; sebisa-bisanya'));
+
+  // Utils.formatOutput() is the terminal renderer
+  const [entry] = homonyms.entries;
+  assert.strictEqual(Utils.formatOutput(entry, false), getRenderer('terminal').entry(entry, { examples: false }));
+  assert.strictEqual(getRenderer('text'), getRenderer('terminal'));
+});
+
+test('Markdown lists meanings with their examples', () => {
+  const markdown = render(homonyms, 'markdown', { headingLevel: 2 });
+
+  assert.ok(markdown.startsWith('## bi.sa¹\n\n**Etimologi:** [Sanskerta visa \'racun\']\n\n'));
+  assert.ok(markdown.includes('2. *n* (Nomina), *ki* (kiasan) perkataan yang menyakitkan hati\n   - *-- lidahnya lebih tajam dari pisau*\n'));
+  assert.ok(markdown.includes('**Kata Turunan:** berbisa; sebisa-bisanya'));
+  assert.ok(!render(homonyms, 'markdown', { examples: false }).includes('   - '));
+
+  assert.strictEqual(render({ word: 'cintx', entries: [], mirip: ['cinta'] }, 'markdown'),
+    'No entries found for **cintx**.\n\n**Mirip:** cinta');
+});
+
+test('HTML is a standalone page with links to the entry pages', () => {
+  const html = render(derived, 'html', { endpoints: 'http://127.0.0.1:8080' });
+
+  assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="id">'));
+  assert.ok(html.includes('<title>KBBI: mencintai</title>'));
+  assert.ok(html.includes('<span style="font-weight:bold">mencintai</span> <span style="font-style:italic">⟨turunan⟩</span>'));
+  assert.ok(html.includes('Kata Dasar: </span><a href="http://127.0.0.1:8080/entri/cinta">cinta</a>'));
+
+  const fragment = render(derived, 'html', { standalone: false, link: word => `/wiki/${word}` });
+  assert.ok(fragment.startsWith('<article class="kbbi-entry">'));
+  assert.ok(fragment.includes('<a href="/wiki/cinta">cinta</a>'));
+});
+
+test('scrape and lookup results render through KBBIResult', () => {
+  const result = new KBBIResult(derived);
+
+  assert.strictEqual(result.render('plain'), render(derived, 'plain'));
+  assert.throws(() => result.render('xml'), /Unknown output format: xml/);
+});
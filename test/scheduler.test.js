@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('assert');
+const Scheduler = require('../lib/scheduler');
+const { TokenBucket } = Scheduler;
+const { RateLimitError, CloudflareBlockError, NotFoundError } = require('../lib/errors');
+
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+// Fake clock for a test: Date.now() only moves when a timer fires, and timers
+// fire on the next turn of the event loop instead of after their delay.
+// Returns the clock and the delays timers were set with.
+function fakeClock(t) {
+  const clock = { now: START, delays: [] };
+  const { setImmediate } = global;
+
+  t.mock.method(Date, 'now', () => clock.now);
+  t.mock.method(global, 'setTimeout', (callback, ms = 0) => {
+    const at = clock.now + ms;
+    clock.delays.push(ms);
+    setImmediate(() => {
+      clock.now = Math.max(clock.now, at);
+      callback();
+    });
+  });
+
+  clock.advance = ms => {
+    clock.now += ms;
+  };
+  return clock;
+}
+
+test('token buckets allow a burst, then refill at their rate', t => {
+  const clock = fakeClock(t);
+  const bucket = new TokenBucket(2, 2);
+
+  // Two tokens right away, then one every 500 ms
+  assert.deepStrictEqual([bucket.reserve(), bucket.reserve(), bucket.reserve(), bucket.reserve()], [0, 0, 500, 1000]);
+
+  // One second refills the two tokens that were borrowed
+  clock.advance(1000);
+  assert.strictEqual(bucket.reserve(), 500);
+
+  // A long wait refills up to the burst, not beyond it
+  clock.advance(60000);
+  assert.deepStrictEqual([bucket.reserve(), bucket.reserve(), bucket.reserve()], [0, 0, 500]);
+
+  // No rate means no limit
+  const unlimited = new TokenBucket(0, 1);
+  assert.deepStrictEqual([unlimited.reserve(), unlimited.reserve()], [0, 0]);
+});
+
+test('scheduled tasks wait for the host and cookie buckets', async t => {
+  const clock = fakeClock(t);
+  const scheduler = new Scheduler({ concurrency: 1, hostRate: 2, hostBurst: 1, cookieRate: 1, cookieBurst: 1 });
+  const startedAt = [];
+  const task = async () => startedAt.push(clock.now - START);
+
+  await scheduler.schedule(task, { host: 'kbbi.example', cookie: 'a' });
+  await scheduler.schedule(task, { host: 'kbbi.example', cookie: 'a' });
+  // A new cookie has a full bucket, and the host bucket refilled during the
+  // wait for the cookie bucket (1 per second)
+  await scheduler.schedule(task, { host: 'kbbi.example', cookie: 'b' });
+  // Now only the host bucket (2 per second) holds the next one back
+  await scheduler.schedule(task, { host: 'kbbi.example', cookie: 'c' });
+
+  assert.deepStrictEqual(startedAt, [0, 1000, 1000, 1500]);
+  assert.deepStrictEqual(clock.delays, [1000, 500]);
+});
+
+test('backoff grows exponentially up to backoffMax, with equal jitter', t => {
+  const scheduler = new Scheduler({ backoffBase: 1000, backoffMax: 30000 });
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 5, 6].map(attempt => scheduler.backoff(attempt)),
+    [500, 1000, 2000, 4000, 8000, 15000, 15000]);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 5, 6].map(attempt => scheduler.backoff(attempt)),
+    [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+});
+
+test('failed tasks are retried after the backoff delay', async t => {
+  const clock = fakeClock(t);
+  t.mock.method(Math, 'random', () => 0);
+  const scheduler = new Scheduler({ hostRate: 0, cookieRate: 0, retries: 2, backoffBase: 1000 });
+
+  let calls = 0;
+  const flaky = async () => {
+    calls++;
+    if (calls < 3) throw new Error('socket hang up');
+    return 'done';
+  };
+
+  assert.strictEqual(await scheduler.schedule(flaky), 'done');
+  assert.deepStrictEqual(clock.delays, [500, 1000]);
+
+  // Out of retries, the last error is thrown
+  calls = -10;
+  await assert.rejects(scheduler.schedule(flaky), /socket hang up/);
+  assert.strictEqual(calls, -7);
+
+  // Errors retrying can't fix are thrown right away
+  clock.delays.length = 0;
+  await assert.rejects(scheduler.schedule(async () => { throw new NotFoundError('cintx'); }), { name: 'NotFoundError' });
+  assert.deepStrictEqual(clock.delays, []);
+});
+
+test('the search limit pauses every navigation until the pause is over', async t => {
+  const clock = fakeClock(t);
+  const pauses = [];
+  const scheduler = new Scheduler({
+    hostRate: 0,
+    cookieRate: 0,
+    rateLimitPause: 15 * 60 * 1000,
+    onPause: (ms, reason) => pauses.push([ms, reason])
+  });
+
+  let calls = 0;
+  const limited = async () => {
+    calls++;
+    throw new RateLimitError();
+  };
+
+  // Not retried: every attempt would hit the limit again
+  await assert.rejects(scheduler.schedule(limited), { name: 'RateLimitError' });
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(pauses, [[15 * 60 * 1000, 'KBBI search limit']]);
+  assert.strictEqual(scheduler.stats().pausedFor, 15 * 60 * 1000);
+
+  // The next navigation waits out the rest of the pause
+  clock.advance(5 * 60 * 1000);
+  let startedAt = null;
+  await scheduler.schedule(async () => { startedAt = clock.now - START; });
+  assert.strictEqual(startedAt, 15 * 60 * 1000);
+  assert.strictEqual(scheduler.stats().pausedFor, 0);
+});
+
+test('pauses end at the known reset time and never shrink', t => {
+  fakeClock(t);
+  const pauses = [];
+  const scheduler = new Scheduler({
+    blockPause: 60000,
+    rateLimitPause: 15 * 60 * 1000,
+    onPause: (ms, reason) => pauses.push([ms, reason])
+  });
+
+  // The limit resets in two minutes, before the default pause would end
+  scheduler.noteError(new RateLimitError(undefined, { resetAt: new Date(START + 2 * 60 * 1000).toISOString() }));
+  assert.strictEqual(scheduler.stats().pausedFor, 2 * 60 * 1000);
+
+  // A shorter pause doesn't cut a longer one short
+  scheduler.noteError(new CloudflareBlockError());
+  assert.strictEqual(scheduler.stats().pausedFor, 2 * 60 * 1000);
+
+  scheduler.noteError(new Error('socket hang up'));
+  assert.deepStrictEqual(pauses, [[2 * 60 * 1000, 'KBBI search limit']]);
+});